@@ -27,8 +27,9 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
   if (event.request.method !== 'GET') return;
 
-  // HTML navigation: network-first so new deploys are always picked up
-  if (event.request.mode === 'navigate') {
+  // HTML navigation and block/item definitions: network-first so new deploys
+  // are always picked up (stale definitions wouldn't match the new code)
+  if (event.request.mode === 'navigate' || new URL(event.request.url).pathname.startsWith('/data/')) {
     event.respondWith(
       fetch(event.request)
         .then((response) => {
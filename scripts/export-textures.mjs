@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 // One-time script to export procedural textures as editable PNG files.
 // Run: node scripts/export-textures.mjs
-// Output: public/textures/*.png (16x16 RGBA PNGs)
+// Output: public/textures/*.png (16x16 RGBA PNGs; animated ones are vertical strips of 16x16 frames)
 
 import { writeFileSync, mkdirSync } from 'fs';
 import { deflateSync } from 'zlib';
@@ -98,6 +98,19 @@ function hex(h) {
   return [parseInt(h.substring(0,2),16), parseInt(h.substring(2,4),16), parseInt(h.substring(4,6),16)];
 }
 
+// Greyscale copy for biome-tinted textures (src/biome.js): pixels the colour
+// of `base` become grey `level`, chosen so the temperate tint brings the
+// texture back close to its old colour
+function greyscale(p, base, level) {
+  const lum = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+  const scale = level / lum(...hex(base));
+  for (let i = 0; i < p.d.length; i += 4) {
+    const v = clamp(lum(p.d[i], p.d[i+1], p.d[i+2]) * scale);
+    p.d[i] = p.d[i+1] = p.d[i+2] = v;
+  }
+  return p;
+}
+
 // ── Texture generators (ported from blocks.js) ──
 
 function grassTop() {
@@ -172,25 +185,35 @@ function sand() {
   return p;
 }
 
+// Animated: a vertical strip of WATER_FRAMES frames (see public/data/animations.json).
+// Ripples drift down one pixel a frame and the bands roll through a full
+// cycle, so the strip loops seamlessly.
+const WATER_FRAMES = 16;
+
 function water() {
-  const p = new Px();
+  const p = new Px(TEX, TEX * WATER_FRAMES);
   const [r,g,b] = hex('1a5c8a');
-  p.rect(0,0,16,16, r,g,b);
-  const rng = srand(701);
-  for (let y = 0; y < 16; y++) {
-    const wave = Math.sin(y * 0.8) * 0.15;
-    const a = Math.round((0.15 + wave) * 255);
-    p.rect(0,y,16,1, 40,150,220, Math.max(0, a));
-  }
-  for (let i = 0; i < 20; i++) {
-    const x = Math.floor(rng()*14)+1, y = Math.floor(rng()*14)+1;
-    const sz = rng() > 0.5 ? 2 : 1;
-    const a = Math.round((0.15 + rng()*0.15) * 255);
-    p.rect(x,y,sz,sz, 80,190,255, a);
-  }
-  for (let i = 0; i < 10; i++) {
-    const a = Math.round((0.1 + rng()*0.15) * 255);
-    p.rect(Math.floor(rng()*14), Math.floor(rng()*14), 2,2, 10,40,80, a);
+  for (let f = 0; f < WATER_FRAMES; f++) {
+    const top = f * TEX;
+    const phase = (f / WATER_FRAMES) * Math.PI * 2;
+    p.rect(0,top,16,16, r,g,b);
+    const rng = srand(701);
+    for (let y = 0; y < 16; y++) {
+      const wave = Math.sin(y * 0.8 + phase) * 0.15;
+      const a = Math.round((0.15 + wave) * 255);
+      p.rect(0,top+y,16,1, 40,150,220, Math.max(0, a));
+    }
+    for (let i = 0; i < 20; i++) {
+      const x = Math.floor(rng()*14)+1, y = (Math.floor(rng()*14)+1 + f) % 16;
+      const sz = rng() > 0.5 ? 2 : 1;
+      const a = Math.round((0.15 + rng()*0.15) * 255);
+      p.rect(x,top+y,sz,Math.min(sz, 16 - y), 80,190,255, a);
+    }
+    for (let i = 0; i < 10; i++) {
+      const a = Math.round((0.1 + rng()*0.15) * 255);
+      const x = (Math.floor(rng()*14) + f) % 16, y = Math.floor(rng()*14);
+      p.rect(x,top+y,Math.min(2, 16 - x),2, 10,40,80, a);
+    }
   }
   return p;
 }
@@ -354,7 +377,7 @@ function brick() {
 // ── Export all textures ──
 
 const textures = {
-  grass_top:    grassTop(),
+  grass_top:    greyscale(grassTop(), '5a9b2f', 221),
   grass_side:   grassSide(),
   dirt:         dirt(),
   stone:        stone(),
@@ -362,7 +385,7 @@ const textures = {
   water:        water(),
   oak_log_side: oakLogSide(),
   oak_log_top:  oakLogTop(),
-  oak_leaves:   oakLeaves(),
+  oak_leaves:   greyscale(oakLeaves(), '3a7a1a', 185),
   bedrock:      bedrock(),
   gravel:       gravel(),
   coal_ore:     ore('222222', 112),
@@ -0,0 +1,88 @@
+// Biome colours for tinted blocks.
+//
+// Every chunk keeps the temperature and moisture of its columns (chunk.biome,
+// from TerrainGenerator.biomes). Blocks with a `tint` in blocks.json have
+// greyscale textures on those faces, and the mesher multiplies them by the
+// column's colour from the matching map below, so deserts get dry yellow
+// grass, jungles lush green and snowy areas pale blue-green.
+
+import { BlockData } from './blocks.js';
+
+// Colour maps: the colours at the four corners of the temperature x moisture
+// square, blended between
+const COLOR_MAPS = {
+  grass: { coldDry: 0x8db39a, coldWet: 0x6aa584, hotDry: 0xbdb35a, hotWet: 0x3fc224 },
+  foliage: { coldDry: 0x7fa68a, coldWet: 0x4f9a66, hotDry: 0xaea42a, hotWet: 0x30bb0b },
+};
+
+// Tint kinds by index; 0 is untinted
+export const TINT_KINDS = [null, ...Object.keys(COLOR_MAPS)];
+
+// Columns take one of TINT_LEVELS colours per axis, so neighbouring faces
+// usually share a colour and greedy meshing can still merge them
+export const TINT_LEVELS = 64;
+
+// Bytes per column in chunk.biome: temperature, then moisture
+export const BIOME_STRIDE = 2;
+
+// Climate noise value (-1 to 1) as a chunk.biome byte
+export function climateByte(value) {
+  return Math.max(0, Math.min(255, Math.round((value + 1) * 127.5)));
+}
+
+// Colour index of column `column` (x * CHUNK_SIZE + z) in a chunk.biome array
+export function tintIndex(biome, column) {
+  const i = column * BIOME_STRIDE;
+  return (biome[i] >> 2) * TINT_LEVELS + (biome[i + 1] >> 2);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function channels(hex) {
+  return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+}
+
+// sRGB 0-255 -> colour map value at (temperature, moisture) in 0-1
+function mapColor(map, t, m) {
+  const [cd, cw, hd, hw] = [map.coldDry, map.coldWet, map.hotDry, map.hotWet].map(channels);
+  return [0, 1, 2].map(c => lerp(lerp(cd[c], cw[c], m), lerp(hd[c], hw[c], m), t));
+}
+
+function toLinear(c) {
+  const s = c / 255;
+  return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+}
+
+// Linear RGB for each kind and tint index, as vertex colours: three at
+// TINT_COLORS[kind][index * 3]
+export const TINT_COLORS = TINT_KINDS.map((kind) => {
+  if (!kind) return null;
+  const table = new Float32Array(TINT_LEVELS * TINT_LEVELS * 3);
+  for (let t = 0; t < TINT_LEVELS; t++) {
+    for (let m = 0; m < TINT_LEVELS; m++) {
+      const rgb = mapColor(COLOR_MAPS[kind], t / (TINT_LEVELS - 1), m / (TINT_LEVELS - 1));
+      const i = (t * TINT_LEVELS + m) * 3;
+      for (let c = 0; c < 3; c++) table[i + c] = toLinear(rgb[c]);
+    }
+  }
+  return table;
+});
+
+/**
+ * Tint a block icon drawn from the atlas at (0, 0, size, size) with the
+ * colour of a temperate, middling-wet biome, if the block's side texture is
+ * tinted. Icons show a block's side face.
+ */
+export function tintIcon(ctx, blockType, size) {
+  const kind = BlockData[blockType]?.tint?.side;
+  if (!kind) return;
+  const rgb = mapColor(COLOR_MAPS[kind], 0.5, 0.5);
+  const image = ctx.getImageData(0, 0, size, size);
+  const data = image.data;
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) data[i + c] = data[i + c] * rgb[c] / 255;
+  }
+  ctx.putImageData(image, 0, 0);
+}
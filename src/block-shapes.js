@@ -0,0 +1,133 @@
+// Block models for blocks that aren't full cubes.
+//
+// A shape is a list of boxes [x0, y0, z0, x1, y1, z1] in block-local units
+// (0-1). The same boxes drive the mesher, collision and raycasts, with a
+// `kind` picking which set: 'model' is what is drawn, 'collision' is what
+// bodies bump into (fences are taller than they look) and 'selection' is what
+// the crosshair hits. Shapes are pure so the mesh workers can use them.
+// Orientation comes from the block's metadata (see blocks.js), and
+// `blockAt(dx, dy, dz)` reads the blocks around the one being shaped, which
+// fences and panes connect to.
+
+import {
+  BlockType, BlockData, FACING_DIRS, META_FACING, META_TOP, META_OPEN, isWaterBlock, torchSupport,
+} from './blocks.js';
+
+const PX = 1 / 16;
+
+// Models are defined facing north and turned clockwise (seen from above) by
+// quarter turns; a Facing value is its number of turns
+
+const FULL = [[0, 0, 0, 1, 1, 1]];
+const SLAB_BOTTOM = [[0, 0, 0, 1, 0.5, 1]];
+const SLAB_TOP = [[0, 0.5, 0, 1, 1, 1]];
+// Facing north: the bottom half plus a back step on the north side
+const STAIRS = [[0, 0, 0, 1, 0.5, 1], [0, 0.5, 0, 1, 1, 0.5]];
+// Facing north and closed: a panel along the north edge. Opening swings it a
+// quarter turn clockwise
+const DOOR = [[0, 0, 0, 1, 1, 3 * PX]];
+const CROSS_SELECTION = [[2 * PX, 0, 2 * PX, 14 * PX, 13 * PX, 14 * PX]];
+
+const FENCE_POST = [6 * PX, 0, 6 * PX, 10 * PX, 1, 10 * PX];
+const FENCE_HEIGHT = 1.5;
+const PANE_POST = [7 * PX, 0, 7 * PX, 9 * PX, 1, 9 * PX];
+
+// Rotate a box about the block's vertical centre line by quarter turns
+function rotate(box, turns) {
+  let [x0, y0, z0, x1, y1, z1] = box;
+  for (let i = 0; i < turns; i++) {
+    [x0, z0, x1, z1] = [1 - z1, x0, 1 - z0, x1];
+  }
+  return [x0, y0, z0, x1, y1, z1];
+}
+
+function rotateAll(boxes, turns) {
+  return turns === 0 ? boxes : boxes.map(box => rotate(box, turns));
+}
+
+function isFullCube(type) {
+  const data = BlockData[type];
+  return !!data && data.solid && !data.transparent && !data.shape;
+}
+
+function fenceConnects(type) {
+  return type === BlockType.OAK_FENCE || isFullCube(type);
+}
+
+function paneConnects(type) {
+  return type === BlockType.GLASS_PANE || type === BlockType.GLASS || isFullCube(type);
+}
+
+// A post plus an arm out to every connected side. `post` is the box in the
+// middle; arms share its width, or `armWidth` either side of the centre
+function connectedBoxes(post, connects, blockAt, y0, y1, armWidth) {
+  const lo = armWidth === undefined ? post[0] : 0.5 - armWidth;
+  const hi = armWidth === undefined ? post[3] : 0.5 + armWidth;
+  const boxes = [[post[0], y0, post[2], post[3], y1, post[5]]];
+  for (let facing = 0; facing < FACING_DIRS.length; facing++) {
+    const [dx, , dz] = FACING_DIRS[facing];
+    if (!connects(blockAt(dx, 0, dz))) continue;
+    boxes.push(rotate([lo, y0, 0, hi, y1, post[2]], facing));
+  }
+  return boxes;
+}
+
+function fenceBoxes(kind, blockAt) {
+  if (kind === 'collision') return connectedBoxes(FENCE_POST, fenceConnects, blockAt, 0, FENCE_HEIGHT);
+  if (kind === 'selection') return connectedBoxes(FENCE_POST, fenceConnects, blockAt, 0, 1);
+  // Two rails between the posts
+  const boxes = [FENCE_POST];
+  for (const [y0, y1] of [[6 * PX, 9 * PX], [12 * PX, 15 * PX]]) {
+    boxes.push(...connectedBoxes(FENCE_POST, fenceConnects, blockAt, y0, y1, PX).slice(1));
+  }
+  return boxes;
+}
+
+function torchBoxes(meta) {
+  if (meta === 0) return [[6 * PX, 0, 6 * PX, 10 * PX, 10 * PX, 10 * PX]];
+  // Wall torches sit against their support, raised, leaning out of it
+  const [sx, , sz] = torchSupport(meta);
+  const x = 0.5 + sx * 0.25;
+  const z = 0.5 + sz * 0.25;
+  return [[x - 3 * PX, 3 * PX, z - 3 * PX, x + 3 * PX, 13 * PX, z + 3 * PX]];
+}
+
+/**
+ * Boxes of a block of `type` with metadata `meta` for `kind` ('model',
+ * 'collision' or 'selection'), or null for a full cube. Torches and cross
+ * plants have no model boxes (the mesher draws them specially) and nothing to
+ * collide with.
+ */
+export function shapeBoxes(type, meta, kind, blockAt) {
+  switch (BlockData[type]?.shape) {
+    case 'slab':
+      return meta & META_TOP ? SLAB_TOP : SLAB_BOTTOM;
+    case 'stairs':
+      return rotateAll(STAIRS, meta & META_FACING);
+    case 'fence':
+      return fenceBoxes(kind, blockAt);
+    case 'pane':
+      return connectedBoxes(PANE_POST, paneConnects, blockAt, 0, 1);
+    case 'door':
+      // Both halves carry the door's facing and open state
+      return rotateAll(DOOR, ((meta & META_FACING) + (meta & META_OPEN ? 1 : 0)) % 4);
+    case 'cross':
+      return kind === 'selection' ? CROSS_SELECTION : [];
+    case 'torch':
+      return kind === 'selection' ? torchBoxes(meta) : [];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Boxes of a block in the same local units, counting full cubes: one unit
+ * box, or none where there is nothing to collide with or select.
+ */
+export function blockBoxes(type, meta, kind, blockAt) {
+  const data = BlockData[type];
+  if (!data || type === BlockType.AIR) return [];
+  if (kind === 'collision' && !data.solid) return [];
+  if (kind === 'selection' && isWaterBlock(type)) return [];
+  return shapeBoxes(type, meta, kind, blockAt) ?? FULL;
+}
@@ -1,109 +1,171 @@
 // Block type definitions and texture generation
 
-export const BlockType = {
-  AIR: 0,
-  GRASS: 1,
-  DIRT: 2,
-  STONE: 3,
-  SAND: 4,
-  WATER: 5,
-  OAK_LOG: 6,
-  OAK_LEAVES: 7,
-  BEDROCK: 8,
-  GRAVEL: 9,
-  COAL_ORE: 10,
-  IRON_ORE: 11,
-  COBBLESTONE: 12,
-  OAK_PLANKS: 13,
-  SNOW: 14,
-  GLASS: 15,
-  BRICK: 16,
-  WATER_25: 17,
-  WATER_50: 18,
-  WATER_75: 19,
-  CRAFTING_TABLE: 20,
-  GOLD_ORE: 21,
-};
-
-// Block properties — drops: what block type is added to inventory when broken (null = nothing)
-// hardness: seconds to break (Infinity = unbreakable)
-export const BlockData = {
-  [BlockType.AIR]:         { name: 'Air',         solid: false, transparent: true,  drops: null,                   hardness: 0 },
-  [BlockType.GRASS]:       { name: 'Grass',       solid: true,  transparent: false, drops: BlockType.DIRT,         hardness: 0.5 },
-  [BlockType.DIRT]:        { name: 'Dirt',        solid: true,  transparent: false, drops: BlockType.DIRT,         hardness: 0.4 },
-  [BlockType.STONE]:       { name: 'Stone',       solid: true,  transparent: false, drops: BlockType.COBBLESTONE,  hardness: 1.5 },
-  [BlockType.SAND]:        { name: 'Sand',        solid: true,  transparent: false, drops: BlockType.SAND,         hardness: 0.4 },
-  [BlockType.WATER]:       { name: 'Water',       solid: false, transparent: true,  drops: null,                   hardness: 0 },
-  [BlockType.OAK_LOG]:     { name: 'Oak Log',     solid: true,  transparent: false, drops: BlockType.OAK_LOG,      hardness: 1.0 },
-  [BlockType.OAK_LEAVES]:  { name: 'Oak Leaves',  solid: true,  transparent: true,  drops: null,                   hardness: 0.2 },
-  [BlockType.BEDROCK]:     { name: 'Bedrock',     solid: true,  transparent: false, drops: null,                   hardness: Infinity },
-  [BlockType.GRAVEL]:      { name: 'Gravel',      solid: true,  transparent: false, drops: BlockType.GRAVEL,       hardness: 0.4 },
-  [BlockType.COAL_ORE]:    { name: 'Coal Ore',    solid: true,  transparent: false, drops: BlockType.COAL_ORE,     hardness: 2.0 },
-  [BlockType.IRON_ORE]:    { name: 'Iron Ore',    solid: true,  transparent: false, drops: BlockType.IRON_ORE,     hardness: 2.0 },
-  [BlockType.COBBLESTONE]: { name: 'Cobblestone', solid: true,  transparent: false, drops: BlockType.COBBLESTONE,  hardness: 1.5 },
-  [BlockType.OAK_PLANKS]:  { name: 'Oak Planks',  solid: true,  transparent: false, drops: BlockType.OAK_PLANKS,   hardness: 1.0 },
-  [BlockType.SNOW]:        { name: 'Snow',        solid: true,  transparent: false, drops: BlockType.SNOW,         hardness: 0.4 },
-  [BlockType.GLASS]:       { name: 'Glass',       solid: true,  transparent: true,  drops: null,                   hardness: 0.3 },
-  [BlockType.BRICK]:       { name: 'Brick',       solid: true,  transparent: false, drops: BlockType.BRICK,        hardness: 1.5 },
-  [BlockType.WATER_25]:    { name: 'Water',       solid: false, transparent: true,  drops: null,                   hardness: 0 },
-  [BlockType.WATER_50]:    { name: 'Water',       solid: false, transparent: true,  drops: null,                   hardness: 0 },
-  [BlockType.WATER_75]:    { name: 'Water',       solid: false, transparent: true,  drops: null,                   hardness: 0 },
-  [BlockType.CRAFTING_TABLE]: { name: 'Crafting Table', solid: true, transparent: false, drops: BlockType.CRAFTING_TABLE, hardness: 1.0 },
-  [BlockType.GOLD_ORE]:    { name: 'Gold Ore',    solid: true,  transparent: false, drops: BlockType.GOLD_ORE,     hardness: 3.0 },
-};
+import { Registry, NAMESPACE } from './registry.js';
+import { onContentLoaded } from './content.js';
+import { textureURL } from './resource-packs.js';
 
-export function isWaterBlock(type) {
-  return type === BlockType.WATER || type === BlockType.WATER_25 ||
-         type === BlockType.WATER_50 || type === BlockType.WATER_75;
+// Chunks store block ids as 16-bit values
+export const BLOCK_ID_LIMIT = 0x10000;
+
+// Block ids are handed out by name in registration order, which is the order
+// of public/data/blocks.json; saves record the names (see SavedIdTable), so
+// new blocks can go anywhere in that file. Air stays first: freshly zeroed
+// block arrays read as air.
+export const blockRegistry = new Registry('block', { limit: BLOCK_ID_LIMIT });
+
+// Ids of the default namespace's blocks by constant name ('minecraft:oak_log'
+// is BlockType.OAK_LOG). Filled in when content loads (content.js), like
+// everything else built from the definitions below.
+export const BlockType = {};
+
+// Block properties by id, from the blocks.json entries:
+// name: display name; drops: what block type is added to inventory when
+// broken (null = nothing); hardness: seconds to break (null in the file for
+// unbreakable, Infinity here); lightLevel: block light emitted, 0-15
+// (omitted = 0); lightFilter: extra light levels lost passing through a
+// transparent block; sound: material for step and break sounds; shape: model
+// other than a full cube (see block-shapes.js); shaped blocks are transparent
+// so neighbours keep their faces and light passes through; tint: biome colour
+// map ('grass' or 'foliage', see biome.js) for each of { top, bottom, side }
+// whose texture is greyscale, given in the file like `textures`.
+export const BlockData = {};
+
+// Texture file mapping: blockType -> { top/bottom/side/all: filename (without .png) }
+export const TEXTURE_FILES = {};
+
+// Blocks the player can hold and place, and the ones the starter hotbar offers
+export const PLACEABLE_BLOCKS = [];
+export const HOTBAR_BLOCKS = [];
+
+// Blocks whose textures depend on metadata (see textureFace)
+export const STATE_TEXTURED = [];
+
+// Animation settings by texture name, from animations.json:
+// frameTime: milliseconds per frame; frames: order to play the strip's
+// frames in (omitted = top to bottom). See TextureAtlas.setImage.
+export const TEXTURE_ANIMATIONS = {};
+
+function constantName(name) {
+  const [namespace, path] = name.split(':');
+  return namespace === NAMESPACE ? path.toUpperCase().replace(/\//g, '_') : null;
 }
 
-export function waterHeight(type) {
-  switch (type) {
-    case BlockType.WATER_25: return 0.25;
-    case BlockType.WATER_50: return 0.5;
-    case BlockType.WATER_75: return 0.75;
-    default: return 1.0;
+onContentLoaded(({ blocks, animations }) => {
+  for (const def of blocks) {
+    const id = blockRegistry.register(def.id);
+    const key = constantName(blockRegistry.name(id));
+    if (key) BlockType[key] = id;
   }
+  if (BlockType.AIR !== 0) throw new Error('blocks.json must list minecraft:air first');
+
+  for (const def of blocks) {
+    const id = blockRegistry.id(def.id);
+    const drops = def.drops ? blockRegistry.id(def.drops) : null;
+    if (drops === undefined) throw new Error(`Block ${def.id} drops unknown block ${def.drops}`);
+    BlockData[id] = {
+      name: def.name,
+      solid: !!def.solid,
+      transparent: !!def.transparent,
+      drops,
+      hardness: def.hardness ?? Infinity,
+    };
+    if (def.lightLevel) BlockData[id].lightLevel = def.lightLevel;
+    if (def.lightFilter) BlockData[id].lightFilter = def.lightFilter;
+    if (def.shape) BlockData[id].shape = def.shape;
+    if (def.sound) BlockData[id].sound = def.sound;
+    if (def.tint) {
+      const { all, top = all, bottom = all, side = all } = def.tint;
+      BlockData[id].tint = { top, bottom, side };
+    }
+    if (def.textures) TEXTURE_FILES[id] = def.textures;
+    if (def.placeable) PLACEABLE_BLOCKS.push(id);
+    if (def.hotbar) HOTBAR_BLOCKS.push(id);
+  }
+  STATE_TEXTURED.push(BlockType.OAK_LOG, BlockType.OAK_DOOR);
+  Object.assign(TEXTURE_ANIMATIONS, animations);
+});
+
+// ── Block metadata ──
+// Every block has a metadata byte beside its id for state that doesn't need
+// an id of its own. What it means depends on the block:
+//   stairs, doors   facing in the low two bits (Facing)
+//   slabs, doors    META_TOP set for a top slab or a door's upper half
+//   doors           META_OPEN set while open
+//   torches         0 standing, otherwise 1 + the Facing of a wall torch
+//   logs            LogAxis the log runs along
+//   water           0 full, otherwise the fill level in quarters (1-3)
+// Generated terrain and anything without state uses 0.
+
+export const Facing = { NORTH: 0, EAST: 1, SOUTH: 2, WEST: 3 };
+// Offset each Facing points along; north is -z
+export const FACING_DIRS = [[0, 0, -1], [1, 0, 0], [0, 0, 1], [-1, 0, 0]];
+export const META_FACING = 0b11;
+export const META_TOP = 0b100;
+export const META_OPEN = 0b1000;
+export const LogAxis = { Y: 0, X: 1, Z: 2 };
+
+// Facing closest to a horizontal look direction
+export function facingFromDirection(dx, dz) {
+  if (Math.abs(dx) > Math.abs(dz)) return dx > 0 ? Facing.EAST : Facing.WEST;
+  return dz > 0 ? Facing.SOUTH : Facing.NORTH;
 }
 
-// Hotbar blocks the player can place
-export const HOTBAR_BLOCKS = [
-  BlockType.GRASS,
-  BlockType.DIRT,
-  BlockType.STONE,
-  BlockType.OAK_LOG,
-  BlockType.OAK_PLANKS,
-  BlockType.COBBLESTONE,
-  BlockType.SAND,
-  BlockType.GLASS,
-  BlockType.BRICK,
-  BlockType.CRAFTING_TABLE,
-  BlockType.GOLD_ORE,
-];
+// Torches are thin posts rather than cubes. A torch stands on the block below
+// it, or hangs on the block behind it when on a wall.
+export function isTorch(type) {
+  return type === BlockType.TORCH;
+}
 
-const TEX_SIZE = 16;
+// Offset of the block a torch with metadata `meta` is attached to
+export function torchSupport(meta) {
+  if (meta === 0) return [0, -1, 0];
+  const [dx, , dz] = FACING_DIRS[meta - 1];
+  return [-dx, 0, -dz];
+}
 
-// Texture file mapping: blockType -> { top/bottom/side/all: filename (without .png) }
-export const TEXTURE_FILES = {
-  [BlockType.GRASS]:       { top: 'grass_top', bottom: 'dirt', side: 'grass_side' },
-  [BlockType.DIRT]:        { all: 'dirt' },
-  [BlockType.STONE]:       { all: 'stone' },
-  [BlockType.SAND]:        { all: 'sand' },
-  [BlockType.WATER]:       { all: 'water' },
-  [BlockType.OAK_LOG]:     { top: 'oak_log_top', bottom: 'oak_log_top', side: 'oak_log_side' },
-  [BlockType.OAK_LEAVES]:  { all: 'oak_leaves' },
-  [BlockType.BEDROCK]:     { all: 'bedrock' },
-  [BlockType.GRAVEL]:      { all: 'gravel' },
-  [BlockType.COAL_ORE]:    { all: 'coal_ore' },
-  [BlockType.IRON_ORE]:    { all: 'iron_ore' },
-  [BlockType.COBBLESTONE]: { all: 'cobblestone' },
-  [BlockType.OAK_PLANKS]:  { all: 'oak_planks' },
-  [BlockType.SNOW]:        { all: 'snow' },
-  [BlockType.GLASS]:       { all: 'glass' },
-  [BlockType.BRICK]:       { all: 'brick' },
-  [BlockType.CRAFTING_TABLE]: { top: 'crafting_table_top', bottom: 'oak_planks', side: 'crafting_table_side' },
-  [BlockType.GOLD_ORE]:    { all: 'gold_ore' },
-};
+// Torch metadata for a torch placed against the face of a block with normal
+// (nx, ny, nz); null for faces a torch can't hang from (the underside)
+export function torchForFace(nx, ny, nz) {
+  if (ny === 1) return 0;
+  if (ny === -1) return null;
+  return 1 + facingFromDirection(nx, nz);
+}
+
+// Log axis for a log placed against a face with normal (nx, ny, nz)
+export function logAxisForFace(nx, ny, nz) {
+  if (nx !== 0) return LogAxis.X;
+  if (nz !== 0) return LogAxis.Z;
+  return LogAxis.Y;
+}
+
+export function isDoor(type) {
+  return type === BlockType.OAK_DOOR;
+}
+
+/**
+ * Atlas face (0 top, 1 bottom, 2-5 sides, in the mesher's face order) whose
+ * texture shows on `face` of a block with metadata `meta`. Sideways logs show
+ * their rings on the ends; doors keep the upper half's texture in the top slot.
+ */
+export function textureFace(type, meta, face) {
+  if (type === BlockType.OAK_LOG && meta !== LogAxis.Y) {
+    const end = meta === LogAxis.X ? face === 4 || face === 5 : face === 2 || face === 3;
+    return end ? 0 : 2;
+  }
+  if (type === BlockType.OAK_DOOR) return meta & META_TOP ? 0 : 2;
+  return face;
+}
+
+export function isWaterBlock(type) {
+  return type === BlockType.WATER;
+}
+
+// Surface height of water with metadata `meta`
+export function waterHeight(meta) {
+  return meta === 0 ? 1.0 : meta / 4;
+}
+
+const TEX_SIZE = 16;
 
 // Mob texture names (editable in texture editor)
 export const MOB_TEXTURE_FILES = [
@@ -122,17 +184,24 @@ function loadImage(src) {
   });
 }
 
-// Build texture atlas: arrange all block face textures into a single large texture
+// Build texture atlas: arrange all block face textures into a single large texture.
+// Each texture comes from the highest enabled resource pack that has it.
 import * as THREE from 'three';
 
 const ATLAS_COLS = 16;
 
+// Frame time (ms) for animated textures without an animations.json entry
+const DEFAULT_FRAME_TIME = 100;
+
 export class TextureAtlas {
   constructor() {
     this.uvMap = {};
     this.canvas = null;
     this.texture = null;
     this.tileSize = 0;
+    this._slots = new Map();    // texture name -> atlas tile indices
+    this._animated = new Map(); // texture name -> { image, size, frames, frameTime, frame }
+    this._time = 0;
   }
 
   async load() {
@@ -145,12 +214,19 @@ export class TextureAtlas {
     // Load all images in parallel
     const images = {};
     await Promise.all([...unique].map(async (name) => {
-      images[name] = await loadImage(`/textures/${name}.png`);
+      images[name] = await loadImage(textureURL(name));
     }));
 
-    // Build atlas
+    // Assign atlas tiles
     let idx = 0;
-    const entries = [];
+    const addTile = (name) => {
+      if (!this._slots.has(name)) this._slots.set(name, []);
+      this._slots.get(name).push(idx);
+      const u = (idx % ATLAS_COLS) / ATLAS_COLS;
+      const v = Math.floor(idx / ATLAS_COLS) / ATLAS_COLS;
+      idx++;
+      return [u, v];
+    };
 
     for (const btStr of Object.keys(BlockData)) {
       const bt = Number(btStr);
@@ -158,38 +234,27 @@ export class TextureAtlas {
       const faces = TEXTURE_FILES[bt];
       if (!faces) continue;
 
-      this.uvMap[bt] = {};
       if (faces.all) {
-        entries.push({ image: images[faces.all], idx });
-        const u = (idx % ATLAS_COLS) / ATLAS_COLS;
-        const v = Math.floor(idx / ATLAS_COLS) / ATLAS_COLS;
-        this.uvMap[bt] = { top: [u, v], bottom: [u, v], side: [u, v] };
-        idx++;
+        const uv = addTile(faces.all);
+        this.uvMap[bt] = { top: uv, bottom: uv, side: uv };
       } else {
-        for (const face of ['top', 'bottom', 'side']) {
-          entries.push({ image: images[faces[face]], idx });
-          const u = (idx % ATLAS_COLS) / ATLAS_COLS;
-          const v = Math.floor(idx / ATLAS_COLS) / ATLAS_COLS;
-          this.uvMap[bt][face] = [u, v];
-          idx++;
-        }
+        this.uvMap[bt] = {};
+        for (const face of ['top', 'bottom', 'side']) this.uvMap[bt][face] = addTile(faces[face]);
       }
     }
 
+    if (idx > ATLAS_COLS * ATLAS_COLS) {
+      throw new Error(`Too many block textures for the atlas (${idx}, at most ${ATLAS_COLS * ATLAS_COLS})`);
+    }
+
     const atlasSize = ATLAS_COLS * TEX_SIZE;
     this.canvas = document.createElement('canvas');
     this.canvas.width = atlasSize;
     this.canvas.height = atlasSize;
-    const ctx = this.canvas.getContext('2d');
-    ctx.imageSmoothingEnabled = false;
-    ctx.fillStyle = '#ff00ff';
-    ctx.fillRect(0, 0, atlasSize, atlasSize);
-
-    for (const entry of entries) {
-      const col = entry.idx % ATLAS_COLS;
-      const row = Math.floor(entry.idx / ATLAS_COLS);
-      ctx.drawImage(entry.image, col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-    }
+    this._ctx = this.canvas.getContext('2d');
+    this._ctx.imageSmoothingEnabled = false;
+    this._ctx.fillStyle = '#ff00ff';
+    this._ctx.fillRect(0, 0, atlasSize, atlasSize);
 
     this.texture = new THREE.CanvasTexture(this.canvas);
     this.texture.flipY = false;
@@ -197,9 +262,81 @@ export class TextureAtlas {
     this.texture.minFilter = THREE.NearestFilter;
     this.texture.colorSpace = THREE.SRGBColorSpace;
 
+    for (const name of this._slots.keys()) this.setImage(name, images[name]);
+
     this.tileSize = 1 / ATLAS_COLS;
   }
 
+  /**
+   * Draw `image` into every tile showing texture `name`. An image at least
+   * twice as tall as it is wide is a vertical strip of square animation
+   * frames, played top to bottom (or in the order animations.json gives)
+   * by update().
+   */
+  setImage(name, image) {
+    if (!this._slots.has(name)) return;
+    const size = image.naturalWidth || image.width;
+    const count = Math.floor((image.naturalHeight || image.height) / size);
+
+    if (count > 1) {
+      const def = TEXTURE_ANIMATIONS[name] || {};
+      let frames = (def.frames || []).filter(f => Number.isInteger(f) && f >= 0 && f < count);
+      if (frames.length === 0) frames = [...Array(count).keys()];
+      const anim = { image, size, frames, frameTime: def.frameTime || DEFAULT_FRAME_TIME, frame: -1 };
+      this._animated.set(name, anim);
+      anim.frame = this._frameAt(anim);
+      this._drawTiles(name, image, anim.frame * size, size);
+    } else {
+      this._animated.delete(name);
+      this._drawTiles(name, image, 0, size);
+    }
+    this.texture.needsUpdate = true;
+  }
+
+  // Advance animated textures by `dt` seconds, redrawing tiles whose frame changed
+  update(dt) {
+    if (this._animated.size === 0) return;
+    this._time += dt * 1000;
+    let changed = false;
+    for (const [name, anim] of this._animated) {
+      const frame = this._frameAt(anim);
+      if (frame === anim.frame) continue;
+      anim.frame = frame;
+      this._drawTiles(name, anim.image, frame * anim.size, anim.size);
+      changed = true;
+    }
+    if (changed) this.texture.needsUpdate = true;
+  }
+
+  _frameAt(anim) {
+    return anim.frames[Math.floor(this._time / anim.frameTime) % anim.frames.length];
+  }
+
+  // Copy the `size`-pixel square at `sy` in `image` into the tiles of `name`
+  _drawTiles(name, image, sy, size) {
+    for (const idx of this._slots.get(name)) {
+      const x = (idx % ATLAS_COLS) * TEX_SIZE;
+      const y = Math.floor(idx / ATLAS_COLS) * TEX_SIZE;
+      this._ctx.clearRect(x, y, TEX_SIZE, TEX_SIZE);
+      this._ctx.drawImage(image, 0, sy, size, size, x, y, TEX_SIZE, TEX_SIZE);
+    }
+  }
+
+  // Average colour of the visible pixels of a block face's tile, as sRGB 0-255
+  averageColor(blockType, face) {
+    const [u, v] = this.getUV(blockType, face);
+    const size = this.canvas.width * this.tileSize;
+    const data = this._ctx.getImageData(Math.round(u * this.canvas.width), Math.round(v * this.canvas.height), size, size).data;
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) continue;
+      for (let c = 0; c < 3; c++) sum[c] += data[i + c];
+      count++;
+    }
+    return sum.map(s => (count ? s / count : 0));
+  }
+
   getUV(blockType, face) {
     const map = this.uvMap[blockType];
     if (!map) return [0, 0];
@@ -0,0 +1,134 @@
+// Compact on-disk encoding for chunk block data.
+//
+// Layout (version 3):
+//   [MAGIC, VERSION, paletteSize, ...palette, ...runs]
+// The palette lists each distinct block state in the chunk as a varint block
+// id followed by a metadata byte, and each run is a LEB128 varint length
+// followed by a varint palette index, walking the blocks in storage order.
+// Chunks are mostly long stretches of air and stone, so a typical chunk packs
+// into a few hundred bytes. Version 2 was the same with one-byte ids; version
+// 1 also had a one-byte palette size, ids alone in the palette and one-byte
+// indexes, and its blocks decode with zero metadata.
+//
+// The ids are the ones the world's save recorded names for (SavedIdTable in
+// registry.js); the codec copies them through without knowing what they are.
+//
+// Saves written before the codec existed hold the raw 32 KB block array. Its
+// first byte is a block id, which is always below MAGIC, so both formats can
+// be told apart and older worlds keep loading. Chunks that would not shrink
+// are written raw too, as the little-endian 16-bit ids followed by the
+// metadata array (version 2 wrote 8-bit ids there).
+
+import { CHUNK_SIZE, WORLD_HEIGHT } from './world.js';
+
+const MAGIC = 0xcb;
+const VERSION = 3;
+const CHUNK_BYTES = CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE;
+
+function writeVarint(out, value) {
+  while (value >= 0x80) {
+    out.push((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  out.push(value);
+}
+
+// Encode a chunk's block ids (Uint16Array) and metadata (Uint8Array)
+export function encodeChunk(blocks, meta) {
+  const paletteIndex = new Map();
+  const palette = [];
+  for (let i = 0; i < blocks.length; i++) {
+    // Ids take 16 bits, so the metadata goes above them
+    const state = blocks[i] + meta[i] * 0x10000;
+    if (!paletteIndex.has(state)) {
+      paletteIndex.set(state, paletteIndex.size);
+      writeVarint(palette, blocks[i]);
+      palette.push(meta[i]);
+    }
+  }
+
+  const out = [MAGIC, VERSION];
+  writeVarint(out, paletteIndex.size);
+  out.push(...palette);
+  let i = 0;
+  while (i < blocks.length) {
+    const state = blocks[i] + meta[i] * 0x10000;
+    let run = 1;
+    while (i + run < blocks.length && blocks[i + run] === blocks[i] && meta[i + run] === meta[i]) run++;
+    writeVarint(out, run);
+    writeVarint(out, paletteIndex.get(state));
+    i += run;
+  }
+  // Noisy chunks can come out larger than raw; store those uncompressed
+  if (out.length >= blocks.length * 3) {
+    const raw = new Uint8Array(blocks.length * 3);
+    const view = new DataView(raw.buffer);
+    for (let i = 0; i < blocks.length; i++) view.setUint16(i * 2, blocks[i], true);
+    raw.set(meta, blocks.length * 2);
+    return raw;
+  }
+  return Uint8Array.from(out);
+}
+
+// Accepts any encoded version or a raw chunk; always returns fresh
+// { blocks, meta } arrays the caller may keep and mutate.
+export function decodeChunk(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  // Raw 16-bit chunks can start with any byte, but encoding only ever
+  // produces something shorter
+  if (bytes.length === CHUNK_BYTES * 3) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blocks = new Uint16Array(CHUNK_BYTES);
+    for (let i = 0; i < CHUNK_BYTES; i++) blocks[i] = view.getUint16(i * 2, true);
+    return { blocks, meta: bytes.slice(CHUNK_BYTES * 2) };
+  }
+  if (bytes[0] !== MAGIC) {
+    if (bytes.length === CHUNK_BYTES) {
+      return { blocks: Uint16Array.from(bytes), meta: new Uint8Array(CHUNK_BYTES) };
+    }
+    if (bytes.length === CHUNK_BYTES * 2) {
+      return { blocks: Uint16Array.from(bytes.subarray(0, CHUNK_BYTES)), meta: bytes.slice(CHUNK_BYTES) };
+    }
+    throw new Error(`Unrecognised chunk data (${bytes.length} bytes)`);
+  }
+  const version = bytes[1];
+  if (version < 1 || version > VERSION) throw new Error(`Unsupported chunk format version ${version}`);
+
+  let pos = 2;
+  const readVarint = () => {
+    let value = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = bytes[pos++];
+      value |= (b & 0x7f) << shift;
+      shift += 7;
+    } while (b & 0x80 && pos < bytes.length);
+    return value;
+  };
+
+  const paletteSize = version === 1 ? bytes[pos++] : readVarint();
+  const paletteIds = new Uint16Array(paletteSize);
+  const paletteMeta = new Uint8Array(paletteSize);
+  for (let p = 0; p < paletteSize; p++) {
+    paletteIds[p] = version === 3 ? readVarint() : bytes[pos++];
+    if (version > 1) paletteMeta[p] = bytes[pos++];
+  }
+
+  const blocks = new Uint16Array(CHUNK_BYTES);
+  const meta = new Uint8Array(CHUNK_BYTES);
+  let filled = 0;
+  while (pos < bytes.length) {
+    const run = readVarint();
+    const index = version === 1 ? bytes[pos++] : readVarint();
+    if (index === undefined || index >= paletteSize || filled + run > CHUNK_BYTES) {
+      throw new Error('Corrupt chunk data');
+    }
+    blocks.fill(paletteIds[index], filled, filled + run);
+    meta.fill(paletteMeta[index], filled, filled + run);
+    filled += run;
+  }
+  if (filled !== CHUNK_BYTES || pos > bytes.length) throw new Error('Corrupt chunk data');
+  return { blocks, meta };
+}
@@ -1,173 +1,341 @@
 import * as THREE from 'three';
-import { CHUNK_SIZE, WORLD_HEIGHT } from './world.js';
-import { BlockType, BlockData, isWaterBlock, waterHeight } from './blocks.js';
-
-// Face directions: [dx, dy, dz] and corresponding face index
-const FACES = [
-  { dir: [0, 1, 0],  face: 0, corners: [[0,1,1],[1,1,1],[1,1,0],[0,1,0]] },       // top
-  { dir: [0, -1, 0], face: 1, corners: [[0,0,0],[1,0,0],[1,0,1],[0,0,1]] },       // bottom
-  { dir: [0, 0, 1],  face: 2, corners: [[0,0,1],[1,0,1],[1,1,1],[0,1,1]] },       // front (south +z)
-  { dir: [0, 0, -1], face: 3, corners: [[1,0,0],[0,0,0],[0,1,0],[1,1,0]] },       // back (north -z)
-  { dir: [1, 0, 0],  face: 4, corners: [[1,0,1],[1,0,0],[1,1,0],[1,1,1]] },       // right (east +x)
-  { dir: [-1, 0, 0], face: 5, corners: [[0,0,0],[0,0,1],[0,1,1],[0,1,0]] },       // left (west -x)
-];
-
-// AO calculation for a face vertex
-function vertexAO(side1, side2, corner) {
-  if (side1 && side2) return 0;
-  return 3 - (side1 + side2 + corner);
+import { buildUVTable, padChunk, buildSectionMesh } from './mesh-builder.js';
+import { SECTION_COUNT, ALL_FACES_CONNECTED, isSectionEmpty, isSectionFull } from './sections.js';
+import { loadedContent } from './content.js';
+import { createWaterMaterial, createFastWaterMaterial, addCaustics } from './water.js';
+import { addShadows } from './shadows.js';
+
+const MAX_WORKERS = 4;
+
+// Results for sections that need no geometry: all air, which can be seen
+// through in every direction, and opaque ones buried on every side
+const EMPTY_MESH = { solid: null, water: null, glass: null, visibility: ALL_FACES_CONNECTED };
+const BURIED_MESH = { solid: null, water: null, glass: null, visibility: 0 };
+
+// Materials for greedy meshes: UVs are in tiles and the atlas tile origin
+// comes from the `tileOrigin` attribute, so fract() repeats the tile across a
+// merged quad. Used for the solid material and the one its shadows are drawn
+// with, which would otherwise cut holes where the alpha test misses.
+function useTiledMap(material, atlas) {
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.tileSize = { value: atlas.tileSize };
+    shader.vertexShader = 'attribute vec2 tileOrigin;\nvarying vec2 vTileOrigin;\n' +
+      shader.vertexShader.replace('#include <uv_vertex>', '#include <uv_vertex>\n  vTileOrigin = tileOrigin;');
+    shader.fragmentShader = 'uniform float tileSize;\nvarying vec2 vTileOrigin;\n' +
+      shader.fragmentShader.replace('#include <map_fragment>', `
+#ifdef USE_MAP
+  diffuseColor *= texture2D( map, vTileOrigin + fract( vMapUv ) * tileSize );
+#endif`);
+  };
+  material.customProgramCacheKey = () => 'tiled-atlas';
+  return material;
 }
 
+// Builds section meshes in a pool of mesh workers. Chunks with dirty sections
+// are queued with schedule(); urgent ones (the chunk the player is editing)
+// jump the queue, the rest go nearest-first. One job meshes all of a chunk's
+// queued sections. All-air sections and opaque sections buried on every side
+// are cleared without meshing. Finished meshes are applied in collect(), which
+// the game loop calls once per frame. Without workers, meshing falls back to
+// the main thread.
+//
+// With `greedy` set, opaque faces are merged into larger quads, and `ao`
+// adds corner shading; changing either only affects chunks meshed
+// afterwards, so callers remesh everything.
+// `fancyWater` picks the shaded water material over the plain one (water.js);
+// switch it with setFancyWater.
 export class ChunkMesher {
-  constructor(world, atlas) {
+  constructor(world, atlas, { greedy = false, ao = true, fancyWater = true } = {}) {
     this.world = world;
     this.atlas = atlas;
+    this.greedy = greedy;
+    this.ao = ao;
+    this.fancyWater = fancyWater;
+    this._uvTable = buildUVTable(atlas);
+
+    const solidParams = {
+      map: atlas.texture, vertexColors: true, alphaTest: 0.1, side: THREE.FrontSide,
+    };
+    this._waterMaterials = {
+      fancy: addShadows(createWaterMaterial(atlas)),
+      fast: addShadows(createFastWaterMaterial(atlas)),
+    };
+    this._materials = {
+      solid: addShadows(addCaustics(new THREE.MeshLambertMaterial(solidParams))),
+      tiled: addShadows(addCaustics(useTiledMap(new THREE.MeshLambertMaterial(solidParams), atlas))),
+      water: fancyWater ? this._waterMaterials.fancy : this._waterMaterials.fast,
+      glass: addShadows(new THREE.MeshLambertMaterial({
+        map: atlas.texture, vertexColors: true, transparent: true,
+        opacity: 0.3, side: THREE.DoubleSide, depthWrite: false,
+      })),
+    };
+    this._tiledDepthMaterial = useTiledMap(new THREE.MeshDepthMaterial({ map: atlas.texture, alphaTest: 0.1 }), atlas);
+
+    this._workers = [];
+    this._idle = [];
+    this._queue = new Map();       // chunk key -> { chunk, urgent, sections (bitmask) }
+    this._inFlight = new Map();    // worker -> { key, chunk, sections: [index], versions: [version] }
+    this._results = [];            // { key, chunk, section, version, mesh }
+    this._versions = new WeakMap(); // chunk -> Uint32Array of latest scheduled version per section
+    this._focusX = 0;
+    this._focusZ = 0;
+    this._useWorkers = typeof Worker !== 'undefined';
+
+    if (this._useWorkers) {
+      const size = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+      try {
+        for (let i = 0; i < size; i++) {
+          const worker = new Worker(new URL('./mesh-worker.js', import.meta.url), { type: 'module' });
+          worker.onmessage = (e) => this._onResult(worker, e.data);
+          worker.onerror = (e) => this._onError(e);
+          worker.postMessage({ type: 'content', content: loadedContent() });
+          worker.postMessage({ type: 'atlas', uvTable: this._uvTable, tileSize: atlas.tileSize });
+          this._workers.push(worker);
+          this._idle.push(worker);
+        }
+      } catch (err) {
+        this._onError(err);
+      }
+    }
+  }
+
+  get pending() {
+    return this._queue.size + this._inFlight.size;
+  }
+
+  // Chunk coordinates the queue is ordered around (usually the player's chunk)
+  setFocus(cx, cz) {
+    this._focusX = cx;
+    this._focusZ = cz;
+  }
+
+  // Triangle counts across loaded chunks that have been meshed
+  stats() {
+    let chunks = 0;
+    let triangles = 0;
+    for (const chunk of this.world.chunks.values()) {
+      if (!chunk.sections.some(section => section.triangles !== undefined)) continue;
+      chunks++;
+      for (const section of chunk.sections) triangles += section.triangles || 0;
+    }
+    return { greedy: this.greedy, chunks, triangles };
+  }
+
+  // Swap the water material on every section already meshed
+  setFancyWater(fancy) {
+    this.fancyWater = fancy;
+    this._materials.water = fancy ? this._waterMaterials.fancy : this._waterMaterials.fast;
+    for (const chunk of this.world.chunks.values()) {
+      for (const section of chunk.sections) {
+        if (section.waterMesh) section.waterMesh.material = this._materials.water;
+      }
+    }
+  }
+
+  // Re-send atlas UVs after the atlas changed
+  updateAtlas() {
+    this._uvTable = buildUVTable(this.atlas);
+    for (const worker of this._workers) {
+      worker.postMessage({ type: 'atlas', uvTable: this._uvTable, tileSize: this.atlas.tileSize });
+    }
   }
 
-  buildMesh(chunk) {
-    const solid    = { pos: [], norm: [], uv: [], idx: [], col: [], vi: 0 };
-    const water    = { pos: [], norm: [], uv: [], idx: [], col: [], vi: 0 };
-    const glass    = { pos: [], norm: [], uv: [], idx: [], col: [], vi: 0 };
-
-    const wx = chunk.cx * CHUNK_SIZE;
-    const wz = chunk.cz * CHUNK_SIZE;
-
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-      for (let y = 0; y < WORLD_HEIGHT; y++) {
-        for (let z = 0; z < CHUNK_SIZE; z++) {
-          const blockType = chunk.blocks[(x * WORLD_HEIGHT + y) * CHUNK_SIZE + z];
-          if (blockType === BlockType.AIR) continue;
-
-          const isWater = isWaterBlock(blockType);
-          const isGlass = blockType === BlockType.GLASS;
-          const isTransparent = BlockData[blockType].transparent;
-
-          for (const { dir, face, corners } of FACES) {
-            const nx = wx + x + dir[0];
-            const ny = y + dir[1];
-            const nz = wz + z + dir[2];
-
-            // For water at chunk borders, treat unloaded chunks as opaque
-            // so water doesn't render faces into the void
-            let neighbor;
-            if (isWater && (nx < wx || nx >= wx + CHUNK_SIZE || nz < wz || nz >= wz + CHUNK_SIZE)) {
-              const ncx = Math.floor(nx / CHUNK_SIZE);
-              const ncz = Math.floor(nz / CHUNK_SIZE);
-              if (!this.world.getChunk(ncx, ncz)) {
-                continue; // skip face — neighbor chunk not loaded
-              }
-            }
-            neighbor = this.world.getBlock(nx, ny, nz);
-            const neighborData = BlockData[neighbor];
-            const neighborTransparent = neighborData?.transparent ?? true;
-
-            if (neighbor === blockType && !isWater) continue;
-            if (!isTransparent && !neighborTransparent) continue;
-            if (isWater && neighbor === BlockType.WATER && blockType === BlockType.WATER) continue;
-            if (isWater && !neighborTransparent && neighbor !== BlockType.AIR) continue;
-            if (isTransparent && !isWater && neighbor === blockType) continue;
-
-            const [u0, v0] = this.atlas.getUV(isWater ? BlockType.WATER : blockType, face);
-            const tileSize = this.atlas.tileSize;
-
-            // Pick buffer
-            const buf = isWater ? water : isGlass ? glass : solid;
-
-            // AO
-            const aoValues = [];
-            for (const corner of corners) {
-              const cx_ = wx + x + corner[0];
-              const cy_ = y + corner[1];
-              const cz_ = wz + z + corner[2];
-
-              if (isWater || isGlass) {
-                aoValues.push(3);
-              } else {
-                const s1 = this.world.isSolid(cx_ + dir[0], cy_ - (1 - Math.abs(dir[1])), cz_ + dir[2]) ? 1 : 0;
-                const s2 = this.world.isSolid(cx_ - (1 - Math.abs(dir[0])), cy_ + dir[1], cz_ - (1 - Math.abs(dir[2]))) ? 1 : 0;
-                const c_ = this.world.isSolid(cx_ + dir[0] - (1 - Math.abs(dir[0])), cy_ + dir[1] - (1 - Math.abs(dir[1])), cz_ + dir[2] - (1 - Math.abs(dir[2]))) ? 1 : 0;
-                aoValues.push(vertexAO(s1, s2, c_));
-              }
-            }
-
-            const uvCorners = [
-              [u0, v0 + tileSize],
-              [u0 + tileSize, v0 + tileSize],
-              [u0 + tileSize, v0],
-              [u0, v0],
-            ];
-
-            const wh = isWater ? waterHeight(blockType) : 1;
-            const tVertIdx = buf.vi;
-            for (let i = 0; i < 4; i++) {
-              const vy = isWater && corners[i][1] === 1 ? wh : corners[i][1];
-              buf.pos.push(wx + x + corners[i][0], y + vy, wz + z + corners[i][2]);
-              buf.norm.push(dir[0], dir[1], dir[2]);
-              buf.uv.push(uvCorners[i][0], uvCorners[i][1]);
-              const ao = aoValues[i] / 3;
-              const brightness = 0.5 + 0.5 * ao;
-              let faceBright = 1.0;
-              if (dir[1] === 1) faceBright = 1.0;
-              else if (dir[1] === -1) faceBright = 0.5;
-              else if (dir[2] !== 0) faceBright = 0.8;
-              else faceBright = 0.6;
-              const shade = brightness * faceBright;
-              buf.col.push(shade, shade, shade);
-            }
-
-            if (isWater || isGlass) {
-              buf.idx.push(tVertIdx, tVertIdx+1, tVertIdx+2, tVertIdx, tVertIdx+2, tVertIdx+3);
-            } else {
-              if (aoValues[0] + aoValues[2] > aoValues[1] + aoValues[3]) {
-                buf.idx.push(tVertIdx, tVertIdx+1, tVertIdx+2, tVertIdx, tVertIdx+2, tVertIdx+3);
-              } else {
-                buf.idx.push(tVertIdx+1, tVertIdx+2, tVertIdx+3, tVertIdx+1, tVertIdx+3, tVertIdx);
-              }
-            }
-            buf.vi += 4;
-          }
+  // Queue a remesh of a chunk's dirty sections. The block data is copied when
+  // a worker picks it up, so later edits before then are included.
+  schedule(chunk, urgent = false) {
+    const sections = chunk.dirty;
+    chunk.dirty = 0;
+    if (!sections) return;
+    const key = `${chunk.cx},${chunk.cz}`;
+    let versions = this._versions.get(chunk);
+    if (!versions) {
+      versions = new Uint32Array(SECTION_COUNT);
+      this._versions.set(chunk, versions);
+    }
+    for (let s = 0; s < SECTION_COUNT; s++) {
+      if (sections & (1 << s)) versions[s]++;
+    }
+
+    if (!this._useWorkers) {
+      this.buildMesh(chunk, sections);
+      for (let s = 0; s < SECTION_COUNT; s++) {
+        if (sections & (1 << s)) this._results.push({ key, chunk, section: s, mesh: null });
+      }
+      return;
+    }
+    const prev = this._queue.get(key);
+    this._queue.set(key, {
+      chunk,
+      urgent: urgent || (prev?.urgent ?? false),
+      sections: sections | (prev?.sections ?? 0),
+    });
+    this._pump();
+  }
+
+  // Apply up to `limit` finished meshes; the rest wait for the next call.
+  // Returns [{ key, chunk, section }] for sections whose meshes changed, so
+  // the caller can swap them in the scene.
+  collect(limit = Infinity) {
+    const updated = [];
+    let taken = 0;
+    while (taken < this._results.length && updated.length < limit) {
+      const { key, chunk, section, version, mesh } = this._results[taken++];
+      // Skip stale results: chunk unloaded, or section rescheduled since this was sent
+      if (this.world.chunks.get(key) !== chunk) continue;
+      if (mesh) {
+        if (this._versions.get(chunk)[section] !== version) continue;
+        this._applyMesh(chunk, section, mesh);
+      }
+      updated.push({ key, chunk, section });
+    }
+    this._results.splice(0, taken);
+    return updated;
+  }
+
+  // Mesh the sections in the `sections` bitmask synchronously on the main thread
+  buildMesh(chunk, sections) {
+    const { padded, meta, light, biome, neighbors } = padChunk(chunk, (cx, cz) => this.world.getChunk(cx, cz));
+    for (let s = 0; s < SECTION_COUNT; s++) {
+      if (!(sections & (1 << s))) continue;
+      const mesh = this._skipMesh(chunk, s) ||
+        buildSectionMesh(padded, meta, light, biome, neighbors, chunk.cx, chunk.cz, s, this._uvTable, this.atlas.tileSize, this.greedy, this.ao);
+      this._applyMesh(chunk, s, mesh);
+    }
+  }
+
+  // A section has no visible faces if it is all air, or fully opaque with
+  // fully opaque sections on all six sides (the world edges count as open).
+  // Returns the result to use for such a section, or null.
+  _skipMesh(chunk, s) {
+    const section = chunk.sections[s];
+    if (isSectionEmpty(section)) return EMPTY_MESH;
+    if (!isSectionFull(section)) return null;
+    if (s === 0 || s === SECTION_COUNT - 1) return null;
+    if (!isSectionFull(chunk.sections[s - 1]) || !isSectionFull(chunk.sections[s + 1])) return null;
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const neighbor = this.world.getChunk(chunk.cx + dx, chunk.cz + dz);
+      if (!neighbor || !isSectionFull(neighbor.sections[s])) return null;
+    }
+    return BURIED_MESH;
+  }
+
+  _nextQueued() {
+    let best = null;
+    let bestScore = Infinity;
+    for (const [key, { chunk, urgent }] of this._queue) {
+      const dx = chunk.cx - this._focusX;
+      const dz = chunk.cz - this._focusZ;
+      const score = (urgent ? 0 : 1e9) + dx * dx + dz * dz;
+      if (score < bestScore) {
+        bestScore = score;
+        best = key;
+      }
+    }
+    return best;
+  }
+
+  _pump() {
+    while (this._idle.length > 0 && this._queue.size > 0) {
+      const key = this._nextQueued();
+      const { chunk, sections: mask } = this._queue.get(key);
+      this._queue.delete(key);
+      if (this.world.chunks.get(key) !== chunk) continue; // unloaded while queued
+
+      const versions = this._versions.get(chunk);
+      const sections = [];
+      for (let s = 0; s < SECTION_COUNT; s++) {
+        if (!(mask & (1 << s))) continue;
+        const skipped = this._skipMesh(chunk, s);
+        if (skipped) {
+          this._results.push({ key, chunk, section: s, version: versions[s], mesh: skipped });
+        } else {
+          sections.push(s);
         }
       }
+      if (sections.length === 0) continue;
+
+      const { padded, meta, light, biome, neighbors } = padChunk(chunk, (cx, cz) => this.world.getChunk(cx, cz));
+      const worker = this._idle.pop();
+      this._inFlight.set(worker, { key, chunk, sections, versions: sections.map(s => versions[s]) });
+      worker.postMessage(
+        { type: 'mesh', key, cx: chunk.cx, cz: chunk.cz, padded, meta, light, biome, neighbors, sections, greedy: this.greedy, ao: this.ao },
+        [padded.buffer, meta.buffer, light.buffer],
+      );
     }
+  }
 
-    // Dispose old meshes
-    if (chunk.mesh) chunk.mesh.geometry.dispose();
-    if (chunk.waterMesh) chunk.waterMesh.geometry.dispose();
-    if (chunk.glassMesh) chunk.glassMesh.geometry.dispose();
+  _onResult(worker, { meshes }) {
+    const job = this._inFlight.get(worker);
+    this._inFlight.delete(worker);
+    this._idle.push(worker);
+    job.sections.forEach((section, i) => {
+      this._results.push({ key: job.key, chunk: job.chunk, section, version: job.versions[i], mesh: meshes[i] });
+    });
+    this._pump();
+  }
 
-    // Solid mesh
-    chunk.mesh = this._buildGeo(solid, chunk.mesh, () => new THREE.MeshLambertMaterial({
-      map: this.atlas.texture, vertexColors: true, alphaTest: 0.1, side: THREE.FrontSide,
-    }));
+  // Workers failed to load or crashed: mesh everything on the main thread
+  _onError(err) {
+    if (!this._useWorkers) return;
+    console.error('Mesh worker failed; meshing on the main thread', err);
+    this._useWorkers = false;
+    for (const worker of this._workers) worker.terminate();
+    this._workers = [];
+    this._idle = [];
+    const jobs = [...this._queue.values()];
+    for (const { chunk, sections } of this._inFlight.values()) {
+      jobs.push({ chunk, sections: sections.reduce((mask, s) => mask | (1 << s), 0) });
+    }
+    this._inFlight.clear();
+    this._queue.clear();
+    for (const { chunk, sections } of jobs) {
+      if (this.world.chunks.get(`${chunk.cx},${chunk.cz}`) !== chunk) continue;
+      chunk.dirty |= sections;
+      this.schedule(chunk);
+    }
+  }
 
-    // Water mesh
-    chunk.waterMesh = this._buildGeo(water, chunk.waterMesh, () => new THREE.MeshLambertMaterial({
-      map: this.atlas.texture, vertexColors: true, transparent: true,
-      opacity: 0.65, side: THREE.DoubleSide, color: new THREE.Color(0.3, 0.7, 0.95), depthWrite: false,
-    }), 1);
+  _applyMesh(chunk, s, mesh) {
+    const section = chunk.sections[s];
+    // Dispose old meshes
+    if (section.mesh) section.mesh.geometry.dispose();
+    if (section.waterMesh) section.waterMesh.geometry.dispose();
+    if (section.glassMesh) section.glassMesh.geometry.dispose();
 
-    // Glass mesh
-    chunk.glassMesh = this._buildGeo(glass, chunk.glassMesh, () => new THREE.MeshLambertMaterial({
-      map: this.atlas.texture, vertexColors: true, transparent: true,
-      opacity: 0.3, side: THREE.DoubleSide, depthWrite: false,
-    }), 2);
+    const m = this._materials;
+    section.mesh = this._buildGeo(mesh.solid, section.mesh, mesh.solid?.tile ? m.tiled : m.solid);
+    section.waterMesh = this._buildGeo(mesh.water, section.waterMesh, m.water, 1);
+    section.glassMesh = this._buildGeo(mesh.glass, section.glassMesh, m.glass, 2);
+    section.visibility = mesh.visibility;
+    // Only the opaque layer casts sun shadows (shadows.js)
+    if (section.mesh) {
+      section.mesh.castShadow = true;
+      section.mesh.customDepthMaterial = mesh.solid.tile ? this._tiledDepthMaterial : undefined;
+    }
 
-    chunk.dirty = false;
+    section.triangles = 0;
+    for (const layer of [mesh.solid, mesh.water, mesh.glass]) {
+      if (layer) section.triangles += layer.idx.length / 3;
+    }
   }
 
-  _buildGeo(buf, existingMesh, createMat, renderOrder) {
-    if (buf.pos.length === 0) return null;
+  _buildGeo(buf, existingMesh, material, renderOrder) {
+    if (!buf) return null;
     const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.Float32BufferAttribute(buf.pos, 3));
-    geo.setAttribute('normal', new THREE.Float32BufferAttribute(buf.norm, 3));
-    geo.setAttribute('uv', new THREE.Float32BufferAttribute(buf.uv, 2));
-    geo.setAttribute('color', new THREE.Float32BufferAttribute(buf.col, 3));
-    geo.setIndex(buf.idx);
+    geo.setAttribute('position', new THREE.BufferAttribute(buf.pos, 3));
+    geo.setAttribute('normal', new THREE.BufferAttribute(buf.norm, 3));
+    geo.setAttribute('uv', new THREE.BufferAttribute(buf.uv, 2));
+    geo.setAttribute('color', new THREE.BufferAttribute(buf.col, 3));
+    if (buf.tile) geo.setAttribute('tileOrigin', new THREE.BufferAttribute(buf.tile, 2));
+    if (buf.depth) geo.setAttribute('waterDepth', new THREE.BufferAttribute(buf.depth, 1));
+    geo.setIndex(new THREE.BufferAttribute(buf.idx, 1));
     if (existingMesh) {
       existingMesh.geometry = geo;
+      existingMesh.material = material;
       return existingMesh;
     }
-    const mesh = new THREE.Mesh(geo, createMat());
+    const mesh = new THREE.Mesh(geo, material);
+    mesh.receiveShadow = true;
     if (renderOrder !== undefined) mesh.renderOrder = renderOrder;
     return mesh;
   }
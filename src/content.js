@@ -0,0 +1,62 @@
+// Block and item definitions and recipes, loaded from public/data at startup
+// and layered with the enabled resource packs (resource-packs.js).
+//
+// Every block is one entry in blocks.json and every item one in items.json;
+// see README.md for the fields. Modules that build lookups from the
+// definitions (blocks.js, crafting.js, the mesher's tables...) register with
+// onContentLoaded, and the page calls installContent once the files are in,
+// before creating the world. Workers get the same definitions in their init
+// message and install them too.
+
+import { packJSON } from './resource-packs.js';
+
+const listeners = [];
+let installed = null;
+
+// A pack entry with the id of an existing definition replaces the fields it
+// sets; any other entry is a new definition, added at the end
+function mergeDefinitions(base, layer) {
+  const merged = base.map(def => ({ ...def }));
+  const byId = new Map(merged.map(def => [def.id, def]));
+  for (const def of layer) {
+    if (byId.has(def.id)) Object.assign(byId.get(def.id), def);
+    else merged.push({ ...def });
+  }
+  return merged;
+}
+
+export async function fetchContent() {
+  const load = async (file) => {
+    const res = await fetch(`/data/${file}`);
+    if (!res.ok) throw new Error(`Failed to load ${file} (${res.status})`);
+    return res.json();
+  };
+  let [blocks, items, recipes, animations] = await Promise.all(
+    ['blocks.json', 'items.json', 'recipes.json', 'animations.json'].map(load));
+  for (const layer of await packJSON('data/blocks.json')) blocks = mergeDefinitions(blocks, layer);
+  for (const layer of await packJSON('data/items.json')) items = mergeDefinitions(items, layer);
+  // Higher packs' recipes are matched first
+  for (const layer of await packJSON('data/recipes.json')) recipes = [...layer, ...recipes];
+  for (const layer of await packJSON('data/animations.json')) animations = { ...animations, ...layer };
+  return { blocks, items, recipes, animations };
+}
+
+// Install definitions ({ blocks, items, recipes, animations }); only the first call counts
+export function installContent(content) {
+  if (installed) return;
+  installed = content;
+  for (const fn of listeners) fn(content);
+}
+
+// The definitions passed to installContent, for handing on to workers
+export function loadedContent() {
+  return installed;
+}
+
+// Run `fn(content)` once definitions are installed. Listeners run in
+// registration order, which follows module evaluation order, so a module's
+// listener always runs after those of the modules it imports.
+export function onContentLoaded(fn) {
+  listeners.push(fn);
+  if (installed) fn(installed);
+}
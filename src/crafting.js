@@ -1,70 +1,68 @@
-import { BlockType, BlockData } from './blocks.js';
+import { BlockData, BLOCK_ID_LIMIT, blockRegistry } from './blocks.js';
+import { Registry, NAMESPACE } from './registry.js';
+import { onContentLoaded } from './content.js';
 
-// Item types start at 1000 to avoid collision with BlockType
-export const ItemType = {
-  STICK: 1000,
-  WOODEN_AXE: 1001,
-};
+// Item ids start above every possible block id, so one number can name either
+export const itemRegistry = new Registry('item', { firstId: BLOCK_ID_LIMIT });
 
-export const ItemData = {
-  [ItemType.STICK]: {
-    name: 'Stick',
-    stackable: true,
-    maxStack: 64,
-  },
-  [ItemType.WOODEN_AXE]: {
-    name: 'Wooden Axe',
-    stackable: false,
-    maxStack: 1,
-    toolType: 'axe',
-    miningMultiplier: 2.0,
-    effectiveOn: [BlockType.OAK_LOG, BlockType.OAK_PLANKS, BlockType.CRAFTING_TABLE],
-  },
-};
+// Like BlockType and BlockData (blocks.js), filled from items.json: name,
+// stackable, maxStack, texture (file without .png) and, for tools, toolType,
+// miningMultiplier and the blocks it is effectiveOn
+export const ItemType = {};
+export const ItemData = {};
+
+onContentLoaded(({ items }) => {
+  for (const def of items) {
+    const id = itemRegistry.register(def.id);
+    const [namespace, path] = itemRegistry.name(id).split(':');
+    if (namespace === NAMESPACE) ItemType[path.toUpperCase()] = id;
+    const data = { ...def };
+    delete data.id;
+    if (def.effectiveOn) data.effectiveOn = def.effectiveOn.map(name => blockRegistry.id(name));
+    ItemData[id] = data;
+  }
+});
 
 export function isItemType(id) {
-  return id >= 1000;
+  return id >= BLOCK_ID_LIMIT;
 }
 
 export function getItemOrBlockData(id) {
   return isItemType(id) ? ItemData[id] : BlockData[id];
 }
 
-// Shaped crafting recipes
-// pattern: row-major array of size width*height, 0 = empty slot
-export const CraftingRecipes = [
-  // 1 oak log → 4 oak planks
-  {
-    width: 1, height: 1,
-    pattern: [BlockType.OAK_LOG],
-    result: { type: BlockType.OAK_PLANKS, count: 4 },
-  },
-  // 4 planks in 2x2 → crafting table
-  {
-    width: 2, height: 2,
-    pattern: [
-      BlockType.OAK_PLANKS, BlockType.OAK_PLANKS,
-      BlockType.OAK_PLANKS, BlockType.OAK_PLANKS,
-    ],
-    result: { type: BlockType.CRAFTING_TABLE, count: 1 },
-  },
-  // 2 planks vertically → 4 sticks
-  {
-    width: 1, height: 2,
-    pattern: [BlockType.OAK_PLANKS, BlockType.OAK_PLANKS],
-    result: { type: ItemType.STICK, count: 4 },
-  },
-  // Wooden axe
-  {
-    width: 2, height: 3,
-    pattern: [
-      BlockType.OAK_PLANKS, BlockType.OAK_PLANKS,
-      BlockType.OAK_PLANKS, ItemType.STICK,
-      0,                    ItemType.STICK,
-    ],
-    result: { type: ItemType.WOODEN_AXE, count: 1 },
-  },
-];
+// Namespaced name of a block or item id, as saves store it
+export function itemOrBlockName(id) {
+  return isItemType(id) ? itemRegistry.name(id) : blockRegistry.name(id);
+}
+
+// Block or item id for a saved name, or undefined
+export function itemOrBlockId(name) {
+  return blockRegistry.id(name) ?? itemRegistry.id(name);
+}
+
+// Shaped crafting recipes, from recipes.json: `pattern` is rows of block or
+// item names (null = empty slot), made into `count` of `result`. Here each is
+// { width, height, pattern, result: { type, count } } with pattern a row-major
+// array of ids, 0 = empty slot.
+export const CraftingRecipes = [];
+
+onContentLoaded(({ recipes }) => {
+  for (const def of recipes) {
+    const ids = def.pattern.flat().map(name => (name ? itemOrBlockId(name) : 0));
+    const type = itemOrBlockId(def.result);
+    if (ids.includes(undefined) || type === undefined) {
+      console.warn(`Skipping recipe for ${def.result}: unknown block or item`);
+      continue;
+    }
+    CraftingRecipes.push({
+      width: def.pattern[0].length,
+      height: def.pattern.length,
+      pattern: ids,
+      result: { type, count: def.count ?? 1 },
+    });
+  }
+});
 
 /**
  * Check if recipe matches at a given offset in the 3x3 grid.
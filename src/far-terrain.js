@@ -0,0 +1,292 @@
+import * as THREE from 'three';
+import { CHUNK_SIZE, WORLD_HEIGHT, SEA_LEVEL } from './terrain.js';
+import { BlockType, BlockData, isWaterBlock } from './blocks.js';
+import { TINT_KINDS, TINT_COLORS, tintIndex } from './biome.js';
+import { addShadows } from './shadows.js';
+
+// Low-detail terrain past the render distance.
+//
+// The world around the loaded chunks is covered by tiles of TILE_CHUNKS x
+// TILE_CHUNKS chunks, each a heightfield mesh with a vertex every STEP
+// blocks, coloured by its top block's texture and the biome tint. Heights
+// and top blocks come from the terrain generator's own noise
+// (TerrainGenerator.heightfield, run in the terrain workers at low
+// priority), so the far terrain lines up with the chunks that replace it.
+// A tile hides its part over each chunk whose meshes are all built, and
+// shows it again when the chunk unloads.
+//
+// Chunks the player has changed are read back from their blocks as they
+// unload, so builds stay visible from a distance until the far terrain
+// leaves them behind; elsewhere it is the generated ground, without trees.
+
+// How far the far terrain reaches, in chunks
+export const FAR_DISTANCE = 32;
+
+const TILE_CHUNKS = 4;
+const TILE_SIZE = TILE_CHUNKS * CHUNK_SIZE;
+const STEP = 4;
+const CELLS = TILE_SIZE / STEP;
+const SAMPLES = CELLS + 1;
+const CHUNK_CELLS = CHUNK_SIZE / STEP;
+// Tile meshes built per frame, so a burst of finished heightfields doesn't stall
+const TILES_PER_FRAME = 4;
+const WATER_SURFACE = SEA_LEVEL + 0.9;
+const WATER_TINT = new THREE.Color(0.3, 0.7, 0.95);
+// Tile offsets whose samples can fall in a chunk: samples on a tile's low
+// edges also belong to the tiles before it
+const TILE_SHARERS = [[0, 0], [-1, 0], [0, -1], [-1, -1]];
+
+// Triangle indices per tile, grouped by chunk (CHUNK_CELLS^2 cells of two
+// triangles each) so a covered chunk's run can be left out
+const CHUNK_INDICES = CHUNK_CELLS * CHUNK_CELLS * 6;
+const TILE_INDICES = new Uint16Array(TILE_CHUNKS * TILE_CHUNKS * CHUNK_INDICES);
+{
+  let n = 0;
+  for (let ci = 0; ci < TILE_CHUNKS; ci++) {
+    for (let cj = 0; cj < TILE_CHUNKS; cj++) {
+      for (let i = ci * CHUNK_CELLS; i < (ci + 1) * CHUNK_CELLS; i++) {
+        for (let j = cj * CHUNK_CELLS; j < (cj + 1) * CHUNK_CELLS; j++) {
+          const a = i * SAMPLES + j;
+          const b = a + SAMPLES;
+          TILE_INDICES.set([a, a + 1, b, b, a + 1, b + 1], n);
+          n += 6;
+        }
+      }
+    }
+  }
+}
+
+function floorDiv(a, b) {
+  return Math.floor(a / b);
+}
+
+export class FarTerrain {
+  constructor(scene, world, atlas) {
+    this.scene = scene;
+    this.world = world;
+    this.atlas = atlas;
+    this.material = addShadows(new THREE.MeshLambertMaterial({ vertexColors: true }));
+
+    this._tiles = new Map();     // tile key -> { tx, tz, field, mesh, covered, rebuild }
+    this._overrides = new Map(); // chunk key -> { heights, surface } of a changed chunk, per sample
+    this._coverDirty = new Set(); // tile keys whose covered chunks may have changed
+    this._colors = null;         // block id -> linear RGB of its top face
+  }
+
+  // Request the tiles around chunk (cx, cz) and drop those out of range
+  setCenter(cx, cz) {
+    const pool = this.world.terrainPool;
+    const tcx = floorDiv(cx, TILE_CHUNKS);
+    const tcz = floorDiv(cz, TILE_CHUNKS);
+    const reach = Math.ceil(FAR_DISTANCE / TILE_CHUNKS) + 1;
+    const wanted = [];
+    for (let tx = tcx - reach; tx <= tcx + reach; tx++) {
+      for (let tz = tcz - reach; tz <= tcz + reach; tz++) {
+        // Distance from the centre chunk to the tile's middle, in chunks
+        const dx = (tx + 0.5) * TILE_CHUNKS - (cx + 0.5);
+        const dz = (tz + 0.5) * TILE_CHUNKS - (cz + 0.5);
+        const dist = dx * dx + dz * dz;
+        if (dist <= FAR_DISTANCE * FAR_DISTANCE) wanted.push({ tx, tz, dist });
+      }
+    }
+    wanted.sort((a, b) => a.dist - b.dist);
+
+    const keys = new Set();
+    for (const { tx, tz } of wanted) {
+      const key = `${tx},${tz}`;
+      keys.add(key);
+      if (this._tiles.has(key)) continue;
+      this._tiles.set(key, { tx, tz, field: null, mesh: null, covered: 0, rebuild: false });
+      pool.requestHeightfield(key, tx * TILE_SIZE, tz * TILE_SIZE, SAMPLES, STEP);
+    }
+    pool.retainHeightfields(keys);
+    for (const [key, tile] of this._tiles) {
+      if (keys.has(key)) continue;
+      this._disposeTile(tile);
+      this._tiles.delete(key);
+    }
+    // Forget changed chunks no tile in range samples
+    for (const key of this._overrides.keys()) {
+      const [ocx, ocz] = key.split(',').map(Number);
+      const tx = floorDiv(ocx, TILE_CHUNKS);
+      const tz = floorDiv(ocz, TILE_CHUNKS);
+      if (!TILE_SHARERS.some(([dx, dz]) => keys.has(`${tx + dx},${tz + dz}`))) this._overrides.delete(key);
+    }
+  }
+
+  // A chunk's meshes were built or it unloaded: recheck which chunks hide
+  // the far terrain under them
+  chunkChanged(cx, cz) {
+    this._coverDirty.add(`${floorDiv(cx, TILE_CHUNKS)},${floorDiv(cz, TILE_CHUNKS)}`);
+  }
+
+  // A chunk is back in the world and hides the far terrain under it; its
+  // recorded surface is stale now, and recordChunk takes a new one on unload
+  chunkLoaded(cx, cz) {
+    this._overrides.delete(`${cx},${cz}`);
+  }
+
+  // Remember the surface of a changed chunk that is about to unload
+  recordChunk(chunk) {
+    const key = `${chunk.cx},${chunk.cz}`;
+    if (!chunk.modified && !this.world.chunkStore?.has(key)) return;
+    const heights = new Uint8Array(CHUNK_CELLS * CHUNK_CELLS);
+    const surface = new Uint16Array(CHUNK_CELLS * CHUNK_CELLS);
+    for (let i = 0; i < CHUNK_CELLS; i++) {
+      for (let j = 0; j < CHUNK_CELLS; j++) {
+        const row = (i * STEP * WORLD_HEIGHT) * CHUNK_SIZE + j * STEP;
+        let y = WORLD_HEIGHT - 1;
+        for (; y > 0; y--) {
+          const type = chunk.blocks[row + y * CHUNK_SIZE];
+          if (BlockData[type]?.solid || isWaterBlock(type)) break;
+        }
+        heights[i * CHUNK_CELLS + j] = y;
+        surface[i * CHUNK_CELLS + j] = chunk.blocks[row + y * CHUNK_SIZE];
+      }
+    }
+    this._overrides.set(key, { heights, surface });
+    const tx = floorDiv(chunk.cx, TILE_CHUNKS);
+    const tz = floorDiv(chunk.cz, TILE_CHUNKS);
+    for (const [dx, dz] of TILE_SHARERS) {
+      const tile = this._tiles.get(`${tx + dx},${tz + dz}`);
+      if (tile?.field) tile.rebuild = true;
+    }
+  }
+
+  // Texture colours changed (texture editor): recolour every tile
+  refreshColors() {
+    this._colors = null;
+    for (const tile of this._tiles.values()) {
+      if (tile.field) tile.rebuild = true;
+    }
+  }
+
+  // Per frame: mesh finished heightfields and keep covered chunks hidden
+  update() {
+    let built = 0;
+    for (const { key, ...field } of this.world.terrainPool.drainHeightfields(TILES_PER_FRAME)) {
+      const tile = this._tiles.get(key);
+      if (!tile) continue;
+      tile.field = field;
+      this._buildTile(tile);
+      built++;
+    }
+    for (const tile of this._tiles.values()) {
+      if (built >= TILES_PER_FRAME) break;
+      if (!tile.rebuild) continue;
+      this._buildTile(tile);
+      built++;
+    }
+    for (const key of this._coverDirty) {
+      const tile = this._tiles.get(key);
+      if (tile?.mesh) this._updateCoverage(tile);
+    }
+    this._coverDirty.clear();
+  }
+
+  _blockColors() {
+    if (this._colors) return this._colors;
+    const color = new THREE.Color();
+    this._colors = new Map();
+    for (const id of Object.keys(BlockData)) {
+      const type = Number(id);
+      if (type === BlockType.AIR) continue;
+      const [r, g, b] = this.atlas.averageColor(type, 0);
+      color.setRGB(r / 255, g / 255, b / 255, THREE.SRGBColorSpace);
+      if (isWaterBlock(type)) color.multiply(WATER_TINT);
+      this._colors.set(type, [color.r, color.g, color.b]);
+    }
+    return this._colors;
+  }
+
+  // Height and top block of sample (i, j), from a changed chunk if one was recorded
+  _sample(tile, i, j) {
+    const x = tile.tx * TILE_SIZE + i * STEP;
+    const z = tile.tz * TILE_SIZE + j * STEP;
+    const cx = floorDiv(x, CHUNK_SIZE);
+    const cz = floorDiv(z, CHUNK_SIZE);
+    const override = this._overrides.get(`${cx},${cz}`);
+    if (override) {
+      const n = ((x - cx * CHUNK_SIZE) / STEP) * CHUNK_CELLS + (z - cz * CHUNK_SIZE) / STEP;
+      return [override.heights[n], override.surface[n]];
+    }
+    const n = i * SAMPLES + j;
+    return [tile.field.heights[n], tile.field.surface[n]];
+  }
+
+  _buildTile(tile) {
+    tile.rebuild = false;
+    const colors = this._blockColors();
+    const water = colors.get(BlockType.WATER);
+    const pos = new Float32Array(SAMPLES * SAMPLES * 3);
+    const col = new Float32Array(SAMPLES * SAMPLES * 3);
+    for (let i = 0; i < SAMPLES; i++) {
+      for (let j = 0; j < SAMPLES; j++) {
+        const n = i * SAMPLES + j;
+        const [height, type] = this._sample(tile, i, j);
+        let y = height + 1;
+        let rgb = colors.get(type) || [1, 1, 1];
+        if (isWaterBlock(type)) {
+          y = height + 0.9;
+        } else if (height < SEA_LEVEL) {
+          y = WATER_SURFACE;
+          rgb = water;
+        }
+        const kind = TINT_KINDS.indexOf(BlockData[type]?.tint?.top ?? null);
+        const tint = rgb !== water && kind > 0 ? TINT_COLORS[kind] : null;
+        const t = tint ? tintIndex(tile.field.climate, n) * 3 : 0;
+        pos.set([i * STEP, y, j * STEP], n * 3);
+        for (let c = 0; c < 3; c++) col[n * 3 + c] = tint ? rgb[c] * tint[t + c] : rgb[c];
+      }
+    }
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    geo.setAttribute('color', new THREE.BufferAttribute(col, 3));
+    geo.setIndex(new THREE.BufferAttribute(TILE_INDICES.slice(), 1));
+    geo.computeVertexNormals();
+
+    if (tile.mesh) {
+      tile.mesh.geometry.dispose();
+      tile.mesh.geometry = geo;
+    } else {
+      tile.mesh = new THREE.Mesh(geo, this.material);
+      tile.mesh.position.set(tile.tx * TILE_SIZE, 0, tile.tz * TILE_SIZE);
+      this.scene.add(tile.mesh);
+    }
+    tile.covered = -1;
+    this._updateCoverage(tile);
+  }
+
+  // Leave out the cells over chunks whose meshes are all built
+  _updateCoverage(tile) {
+    let covered = 0;
+    for (let ci = 0; ci < TILE_CHUNKS; ci++) {
+      for (let cj = 0; cj < TILE_CHUNKS; cj++) {
+        const chunk = this.world.getChunk(tile.tx * TILE_CHUNKS + ci, tile.tz * TILE_CHUNKS + cj);
+        if (chunk && chunk.sections.every(section => section.triangles !== undefined)) {
+          covered |= 1 << (ci * TILE_CHUNKS + cj);
+        }
+      }
+    }
+    if (covered === tile.covered) return;
+    tile.covered = covered;
+
+    const index = tile.mesh.geometry.index;
+    let n = 0;
+    for (let c = 0; c < TILE_CHUNKS * TILE_CHUNKS; c++) {
+      if (covered & (1 << c)) continue;
+      index.array.set(TILE_INDICES.subarray(c * CHUNK_INDICES, (c + 1) * CHUNK_INDICES), n);
+      n += CHUNK_INDICES;
+    }
+    index.needsUpdate = true;
+    tile.mesh.geometry.setDrawRange(0, n);
+    tile.mesh.visible = n > 0;
+  }
+
+  _disposeTile(tile) {
+    if (!tile.mesh) return;
+    this.scene.remove(tile.mesh);
+    tile.mesh.geometry.dispose();
+  }
+}
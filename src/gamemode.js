@@ -1,8 +1,12 @@
-// Game mode singleton — 'creative' or 'survival'
+// Game mode singleton — 'creative' or 'survival', stored per world slot
 
-const STORAGE_KEY = 'gameMode';
+import { WorldSlots } from './worlds.js';
 
-let currentMode = localStorage.getItem(STORAGE_KEY) || 'creative';
+let currentMode = WorldSlots.active().gameMode || 'creative';
+
+function store() {
+  WorldSlots.update(WorldSlots.active().id, { gameMode: currentMode });
+}
 
 export const GameMode = {
   get current() { return currentMode; },
@@ -12,7 +16,7 @@ export const GameMode = {
 
   toggle() {
     currentMode = currentMode === 'creative' ? 'survival' : 'creative';
-    localStorage.setItem(STORAGE_KEY, currentMode);
+    store();
     document.dispatchEvent(new CustomEvent('gamemode-change', { detail: { mode: currentMode } }));
     return currentMode;
   },
@@ -20,7 +24,7 @@ export const GameMode = {
   set(mode) {
     if (mode !== 'creative' && mode !== 'survival') return;
     currentMode = mode;
-    localStorage.setItem(STORAGE_KEY, currentMode);
+    store();
     document.dispatchEvent(new CustomEvent('gamemode-change', { detail: { mode: currentMode } }));
   },
 };
@@ -0,0 +1,71 @@
+import { GraphicsSettings, GRAPHICS_PRESETS, GRAPHICS_RANGES, SHADOW_LEVELS } from './graphics.js';
+
+// Slider label text for each numeric option
+const FORMATS = {
+  renderDistance: v => `${v} chunks`,
+  resolutionScale: v => `${Math.round(v * 100)}%`,
+  fov: v => `${v}°`,
+  fog: v => (v === 0 ? 'Off' : `${Math.round(v * 100)}%`),
+  targetFps: v => `${v} FPS`,
+};
+
+// Graphics settings overlay (Settings → Graphics): preset buttons, a slider
+// per numeric option and toggles. Changes go straight to GraphicsSettings,
+// which applies them; the controls redraw from its 'graphics-change' event.
+export class GraphicsMenu {
+  constructor() {
+    this.sliders = {};
+    for (const [key, range] of Object.entries(GRAPHICS_RANGES)) {
+      const input = document.getElementById(`graphics-${key}`);
+      Object.assign(input, { min: range.min, max: range.max, step: range.step });
+      input.addEventListener('input', () => GraphicsSettings.set({ [key]: Number(input.value) }));
+      this.sliders[key] = { input, label: document.getElementById(`graphics-${key}-value`) };
+    }
+
+    this.presetButtons = {};
+    for (const name of Object.keys(GRAPHICS_PRESETS)) {
+      const btn = document.getElementById(`btn-preset-${name}`);
+      btn.addEventListener('click', () => GraphicsSettings.applyPreset(name));
+      this.presetButtons[name] = btn;
+    }
+
+    this.aoBtn = document.getElementById('btn-ao');
+    this.aoBtn.addEventListener('click', () => GraphicsSettings.set({ ao: !GraphicsSettings.get().ao }));
+    this.adaptiveBtn = document.getElementById('btn-adaptive');
+    this.adaptiveBtn.addEventListener('click', () => {
+      GraphicsSettings.set({ adaptive: !GraphicsSettings.get().adaptive });
+    });
+    this.waterBtn = document.getElementById('btn-water');
+    this.waterBtn.addEventListener('click', () => {
+      GraphicsSettings.set({ fancyWater: !GraphicsSettings.get().fancyWater });
+    });
+    // Steps through the shadow levels, back to off after the highest
+    this.shadowsBtn = document.getElementById('btn-shadows');
+    this.shadowsBtn.addEventListener('click', () => {
+      const next = (SHADOW_LEVELS.indexOf(GraphicsSettings.get().shadows) + 1) % SHADOW_LEVELS.length;
+      GraphicsSettings.set({ shadows: SHADOW_LEVELS[next] });
+    });
+
+    document.addEventListener('graphics-change', () => this._render());
+    this._render();
+  }
+
+  _render() {
+    const settings = GraphicsSettings.get();
+    for (const [key, { input, label }] of Object.entries(this.sliders)) {
+      // Leave a slider alone while it is being dragged
+      if (document.activeElement !== input) input.value = settings[key];
+      label.textContent = FORMATS[key](settings[key]);
+    }
+    const preset = GraphicsSettings.preset();
+    for (const [name, btn] of Object.entries(this.presetButtons)) {
+      btn.classList.toggle('selected', name === preset);
+    }
+    this.aoBtn.textContent = settings.ao ? 'Ambient Occlusion: ON' : 'Ambient Occlusion: OFF';
+    this.waterBtn.textContent = settings.fancyWater ? 'Water: Fancy' : 'Water: Fast';
+    const shadows = settings.shadows;
+    this.shadowsBtn.textContent = `Shadows: ${shadows[0].toUpperCase()}${shadows.slice(1)}`;
+    this.adaptiveBtn.textContent = settings.adaptive ? 'Adaptive Quality: ON' : 'Adaptive Quality: OFF';
+    this.sliders.targetFps.input.disabled = !settings.adaptive;
+  }
+}
@@ -0,0 +1,99 @@
+// Graphics options, shared by every world and kept in localStorage. set()
+// saves a change and dispatches 'graphics-change' on the document with the
+// full settings, which main.js applies to the running game.
+//
+// renderDistance:  loaded chunks in each direction
+// resolutionScale: fraction of the screen's pixel ratio (itself capped at 2)
+// fov:             vertical field of view in degrees
+// fog:             multiplier on the default fog density; 0 turns fog off
+// ao:              ambient occlusion (corner shading) in chunk meshes
+// fancyWater:      shaded water over the plain translucent material (water.js)
+// shadows:         sun shadow quality, one of SHADOW_LEVELS (shadows.js)
+// adaptive:        let the performance governor (perf-governor.js) lower the
+//                  resolution and render distance below the ones set here
+//                  to hold targetFps
+
+const STORAGE_KEY = 'graphics';
+
+export const SHADOW_LEVELS = ['off', 'low', 'medium', 'high'];
+
+// Allowed values of the options that aren't numbers or switches
+const CHOICES = { shadows: SHADOW_LEVELS };
+
+// Each preset sets the quality options; fov, fog, shadows and the governor
+// are left alone. Shadows cost too much on the machines the presets are for
+// to turn on without asking.
+export const GRAPHICS_PRESETS = {
+  low: { renderDistance: 4, resolutionScale: 0.5, ao: false, fancyWater: false },
+  medium: { renderDistance: 6, resolutionScale: 0.75, ao: true, fancyWater: false },
+  high: { renderDistance: 8, resolutionScale: 1, ao: true, fancyWater: true },
+};
+
+// Slider ranges of the numeric options
+export const GRAPHICS_RANGES = {
+  renderDistance: { min: 2, max: 16, step: 1 },
+  resolutionScale: { min: 0.25, max: 1, step: 0.05 },
+  fov: { min: 50, max: 110, step: 1 },
+  fog: { min: 0, max: 2, step: 0.1 },
+  targetFps: { min: 30, max: 144, step: 1 },
+};
+
+function defaults() {
+  return {
+    ...GRAPHICS_PRESETS.high,
+    fov: 70,
+    fog: 1,
+    shadows: 'off',
+    adaptive: true,
+    targetFps: 60,
+    // Before this panel, water quality had its own key
+    fancyWater: localStorage.getItem('fancyWater') !== 'false',
+  };
+}
+
+// Keep only known options with values of the right type, inside their ranges
+function sanitize(values) {
+  const settings = defaults();
+  for (const key of Object.keys(settings)) {
+    const value = values?.[key];
+    if (typeof value !== typeof settings[key]) continue;
+    if (CHOICES[key] && !CHOICES[key].includes(value)) continue;
+    const range = GRAPHICS_RANGES[key];
+    settings[key] = range ? Math.max(range.min, Math.min(range.max, value)) : value;
+  }
+  return settings;
+}
+
+export const GraphicsSettings = {
+  _current: null,
+
+  get() {
+    if (!this._current) {
+      let stored = null;
+      try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      } catch { /* fall back to the defaults */ }
+      this._current = sanitize(stored);
+    }
+    return this._current;
+  },
+
+  set(changes) {
+    this._current = sanitize({ ...this.get(), ...changes });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this._current));
+    document.dispatchEvent(new CustomEvent('graphics-change', { detail: this._current }));
+  },
+
+  applyPreset(name) {
+    this.set(GRAPHICS_PRESETS[name]);
+  },
+
+  // Name of the preset the current settings match, or null for custom ones
+  preset() {
+    const current = this.get();
+    for (const [name, preset] of Object.entries(GRAPHICS_PRESETS)) {
+      if (Object.entries(preset).every(([key, value]) => current[key] === value)) return name;
+    }
+    return null;
+  },
+};
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
-import { BlockType, BlockData, isWaterBlock } from './blocks.js';
+import {
+  BlockType, BlockData, META_TOP, META_OPEN, isWaterBlock, isTorch, isDoor, torchSupport, torchForFace,
+  logAxisForFace, facingFromDirection,
+} from './blocks.js';
 import { GameMode } from './gamemode.js';
 import { isItemType, ItemData } from './crafting.js';
 
@@ -11,7 +14,7 @@ export class Interaction {
     this.player = player;
     this.world = world;
     this.scene = scene;
-    this.onBlockChange = onBlockChange;
+    this.onBlockChange = onBlockChange; // (x, z) of the edited block
     this.inventory = inventory;
     this.itemManager = itemManager;
     this.mobManager = null;
@@ -138,9 +141,14 @@ export class Interaction {
     });
   }
 
-  // DDA-like raycast along a ray
+  // DDA-like raycast along a ray. Blocks that aren't full cubes are only hit
+  // inside their selection boxes; `boxes` holds the hit block's boxes and
+  // `hitY` how far up the block the ray hit (0-1).
   _raycastRay(origin, dir) {
     let prevX = -999, prevY = -999, prevZ = -999;
+    let cellX = -999, cellY = -999, cellZ = -999;
+    let block = BlockType.AIR;
+    let boxes = null;
 
     for (let t = 0; t < REACH; t += RAY_STEP) {
       const px = origin.x + dir.x * t;
@@ -151,21 +159,30 @@ export class Interaction {
       const by = Math.floor(py);
       const bz = Math.floor(pz);
 
-      if (bx === prevX && by === prevY && bz === prevZ) continue;
+      if (bx !== cellX || by !== cellY || bz !== cellZ) {
+        prevX = cellX;
+        prevY = cellY;
+        prevZ = cellZ;
+        cellX = bx;
+        cellY = by;
+        cellZ = bz;
+        block = this.world.getBlock(bx, by, bz);
+        boxes = block !== BlockType.AIR && !isWaterBlock(block)
+          ? this.world.getBlockBoxes(bx, by, bz, 'selection')
+          : null;
+      }
 
-      const block = this.world.getBlock(bx, by, bz);
-      if (block !== BlockType.AIR && !isWaterBlock(block)) {
+      if (boxes && boxes.some(b => px >= b[0] && px <= b[3] && py >= b[1] && py <= b[4] && pz >= b[2] && pz <= b[5])) {
         return {
           hit: true,
           x: bx, y: by, z: bz,
           prevX, prevY, prevZ,
           blockType: block,
+          meta: this.world.getMeta(bx, by, bz),
+          boxes,
+          hitY: py - by,
         };
       }
-
-      prevX = bx;
-      prevY = by;
-      prevZ = bz;
     }
 
     return { hit: false };
@@ -210,11 +227,133 @@ export class Interaction {
     }
 
     this.world.setBlock(ray.x, ray.y, ray.z, BlockType.AIR);
+    // The other half of a door goes with it
+    if (isDoor(ray.blockType)) {
+      const otherY = ray.meta & META_TOP ? ray.y - 1 : ray.y + 1;
+      if (isDoor(this.world.getBlock(ray.x, otherY, ray.z))) {
+        this.world.setBlock(ray.x, otherY, ray.z, BlockType.AIR);
+      }
+    }
+    this._dropDetachedTorches(ray.x, ray.y, ray.z);
+    this._dropUnsupportedDoor(ray.x, ray.y, ray.z);
     this.world.flowWater(ray.x, ray.y, ray.z);
-    this.onBlockChange();
+    this.onBlockChange(ray.x, ray.z);
     document.dispatchEvent(new CustomEvent('block-break', { detail: { blockType: ray.blockType } }));
   }
 
+  // Torches attached to a block that was just removed fall off with it
+  _dropDetachedTorches(x, y, z) {
+    for (const [dx, dy, dz] of [[0, 1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]]) {
+      const type = this.world.getBlock(x + dx, y + dy, z + dz);
+      if (!isTorch(type)) continue;
+      const [sx, sy, sz] = torchSupport(this.world.getMeta(x + dx, y + dy, z + dz));
+      if (sx !== -dx || sy !== -dy || sz !== -dz) continue;
+      this.world.setBlock(x + dx, y + dy, z + dz, BlockType.AIR);
+      if (GameMode.isSurvival() && this.inventory) {
+        this.inventory.addBlock(BlockType.TORCH);
+        document.dispatchEvent(new CustomEvent('item-pickup', { detail: { blockType: BlockType.TORCH } }));
+      }
+    }
+  }
+
+  // A door standing on a block that was just removed falls, both halves
+  _dropUnsupportedDoor(x, y, z) {
+    const type = this.world.getBlock(x, y + 1, z);
+    if (!isDoor(type) || this.world.getMeta(x, y + 1, z) & META_TOP) return;
+    this.world.setBlock(x, y + 1, z, BlockType.AIR);
+    if (isDoor(this.world.getBlock(x, y + 2, z))) this.world.setBlock(x, y + 2, z, BlockType.AIR);
+    const drop = BlockData[type]?.drops;
+    if (drop !== null && drop !== undefined && GameMode.isSurvival() && this.inventory) {
+      this.inventory.addBlock(drop);
+      document.dispatchEvent(new CustomEvent('item-pickup', { detail: { blockType: drop } }));
+    }
+  }
+
+  // Blocks to put in front of the face the ray hit, as [x, y, z, type, meta]
+  // entries, or null if `placeType` can't go there. Torches attach to the
+  // solid block they were placed on; other blocks take their state from the
+  // face and height the ray hit and which way the player faces.
+  _placementsFor(ray, placeType) {
+    const { prevX: x, prevY: y, prevZ: z } = ray;
+    if (!this._canReplace(x, y, z)) return null;
+    const data = BlockData[placeType];
+
+    if (isTorch(placeType)) {
+      if (isWaterBlock(this.world.getBlock(x, y, z))) return null;
+      if (!BlockData[ray.blockType]?.solid) return null;
+      const meta = torchForFace(x - ray.x, y - ray.y, z - ray.z);
+      return meta === null ? null : [[x, y, z, placeType, meta]];
+    }
+    if (placeType === BlockType.OAK_LOG) {
+      return [[x, y, z, placeType, logAxisForFace(x - ray.x, y - ray.y, z - ray.z)]];
+    }
+
+    const forward = this.player.getForwardDirection();
+    const facing = facingFromDirection(forward.x, forward.z);
+    switch (data?.shape) {
+      case 'slab': {
+        // Under a block, or on the upper half of a side, slabs hang from the top
+        const ny = y - ray.y;
+        const top = ny === -1 || (ny === 0 && ray.hitY >= 0.5);
+        return [[x, y, z, placeType, top ? META_TOP : 0]];
+      }
+      case 'stairs':
+        return [[x, y, z, placeType, facing]];
+      case 'door':
+        // Doors stand on solid ground and need room for both halves
+        if (!this._canReplace(x, y + 1, z) || !this.world.isSolid(x, y - 1, z)) return null;
+        return [
+          [x, y, z, placeType, facing],
+          [x, y + 1, z, placeType, facing | META_TOP],
+        ];
+      default:
+        return [[x, y, z, placeType, 0]];
+    }
+  }
+
+  // Whether placing a block may overwrite (x, y, z)
+  _canReplace(x, y, z) {
+    const type = this.world.getBlock(x, y, z);
+    return type === BlockType.AIR || isWaterBlock(type) || BlockData[type]?.shape === 'cross';
+  }
+
+  // Whether a placement would put a block inside the player
+  _insidePlayer(placements) {
+    const px = Math.floor(this.player.position.x);
+    const py1 = Math.floor(this.player.position.y - 1.62);
+    const py2 = Math.floor(this.player.position.y);
+    const pz = Math.floor(this.player.position.z);
+    return placements.some(([x, y, z]) => x === px && z === pz && (y === py1 || y === py2));
+  }
+
+  // Place a block from the selected slot against the face the ray hit
+  _place(ray) {
+    if (ray.prevX === -999) return;
+    const placeType = this.inventory.getHotbarBlock(this.selectedSlot);
+    if (placeType === BlockType.AIR || isItemType(placeType) || !this.inventory.canPlace(placeType)) return;
+    const placements = this._placementsFor(ray, placeType);
+    if (placements === null || this._insidePlayer(placements)) return;
+
+    // Survival: consume block from inventory
+    if (GameMode.isSurvival()) {
+      this.inventory.removeBlock(placeType);
+    }
+    for (const [x, y, z, type, meta] of placements) this.world.setBlock(x, y, z, type, meta);
+    this.onBlockChange(placements[0][0], placements[0][2]);
+    this.placeCooldown = 0.25;
+  }
+
+  // Swing a door open or shut; either half can be clicked
+  _toggleDoor(ray) {
+    const lowerY = ray.meta & META_TOP ? ray.y - 1 : ray.y;
+    for (const y of [lowerY, lowerY + 1]) {
+      if (!isDoor(this.world.getBlock(ray.x, y, ray.z))) continue;
+      this.world.setBlock(ray.x, y, ray.z, BlockType.OAK_DOOR, this.world.getMeta(ray.x, y, ray.z) ^ META_OPEN);
+    }
+    this.onBlockChange(ray.x, ray.z);
+    this.placeCooldown = 0.25;
+  }
+
   update(dt) {
     if (!this.player.active) {
       this.highlight.visible = false;
@@ -265,7 +404,13 @@ export class Interaction {
       : this.raycast();
 
     if (ray.hit) {
-      this.highlight.position.set(ray.x + 0.5, ray.y + 0.5, ray.z + 0.5);
+      // Outline the bounds of the block's shape
+      const b = ray.boxes;
+      const x0 = Math.min(...b.map(box => box[0])), x1 = Math.max(...b.map(box => box[3]));
+      const y0 = Math.min(...b.map(box => box[1])), y1 = Math.max(...b.map(box => box[4]));
+      const z0 = Math.min(...b.map(box => box[2])), z1 = Math.max(...b.map(box => box[5]));
+      this.highlight.position.set((x0 + x1) / 2, (y0 + y1) / 2, (z0 + z1) / 2);
+      this.highlight.scale.set(x1 - x0, y1 - y0, z1 - z0);
       this.highlight.visible = true;
 
       // Break block (left click hold-to-mine)
@@ -335,27 +480,15 @@ export class Interaction {
         document.dispatchEvent(new Event('open-crafting'));
       }
 
+      // Right-click on a door → open or close it
+      if (this._mouseDown[2] && this.placeCooldown <= 0 && isDoor(ray.blockType)) {
+        this._mouseDown[2] = false;
+        this._toggleDoor(ray);
+      }
+
       // Place block (right click)
       if (this._mouseDown[2] && this.placeCooldown <= 0) {
-        if (ray.prevX !== -999) {
-          const placeType = this.inventory.getHotbarBlock(this.selectedSlot);
-          if (placeType !== BlockType.AIR && !isItemType(placeType) && this.inventory.canPlace(placeType)) {
-            // Don't place inside player
-            const px = Math.floor(this.player.position.x);
-            const py1 = Math.floor(this.player.position.y - 1.62);
-            const py2 = Math.floor(this.player.position.y);
-            const pz = Math.floor(this.player.position.z);
-            if (!(ray.prevX === px && ray.prevZ === pz && (ray.prevY === py1 || ray.prevY === py2))) {
-              // Survival: consume block from inventory
-              if (GameMode.isSurvival()) {
-                this.inventory.removeBlock(placeType);
-              }
-              this.world.setBlock(ray.prevX, ray.prevY, ray.prevZ, placeType);
-              this.onBlockChange();
-              this.placeCooldown = 0.25;
-            }
-          }
-        }
+        this._place(ray);
       }
     } else {
       this.highlight.visible = false;
@@ -375,21 +508,13 @@ export class Interaction {
       return;
     }
 
-    const placeType = this.inventory.getHotbarBlock(this.selectedSlot);
-    if (placeType === BlockType.AIR || isItemType(placeType) || !this.inventory.canPlace(placeType)) return;
-    if (ray.prevX === -999) return;
-    const px = Math.floor(this.player.position.x);
-    const py1 = Math.floor(this.player.position.y - 1.62);
-    const py2 = Math.floor(this.player.position.y);
-    const pz = Math.floor(this.player.position.z);
-    if (!(ray.prevX === px && ray.prevZ === pz && (ray.prevY === py1 || ray.prevY === py2))) {
-      if (GameMode.isSurvival()) {
-        this.inventory.removeBlock(placeType);
-      }
-      this.world.setBlock(ray.prevX, ray.prevY, ray.prevZ, placeType);
-      this.onBlockChange();
-      this.placeCooldown = 0.25;
+    // Tap on a door → open or close it
+    if (isDoor(ray.blockType)) {
+      this._toggleDoor(ray);
+      return;
     }
+
+    this._place(ray);
   }
 
   getSelectedBlockType() {
@@ -1,41 +1,23 @@
-import { BlockType, BlockData } from './blocks.js';
+import { BlockType, BlockData, PLACEABLE_BLOCKS } from './blocks.js';
+import { tintIcon } from './biome.js';
 import { GameMode } from './gamemode.js';
+import { worldKey } from './worlds.js';
+import { textureURL } from './resource-packs.js';
 import {
-  isItemType, getItemOrBlockData, ItemType, ItemData,
+  isItemType, getItemOrBlockData, itemOrBlockName, itemOrBlockId, ItemData,
   findMatchingRecipe, recipeIngredients, canCraftRecipe, getRecipesForGrid,
 } from './crafting.js';
 
-const PLACEABLE_BLOCKS = [
-  BlockType.GRASS, BlockType.DIRT, BlockType.STONE, BlockType.SAND,
-  BlockType.OAK_LOG, BlockType.OAK_LEAVES, BlockType.GRAVEL,
-  BlockType.COAL_ORE, BlockType.IRON_ORE, BlockType.GOLD_ORE, BlockType.COBBLESTONE,
-  BlockType.OAK_PLANKS, BlockType.SNOW, BlockType.GLASS, BlockType.BRICK,
-  BlockType.CRAFTING_TABLE,
-];
-
-const CATALOG_ITEMS = [
-  ...PLACEABLE_BLOCKS,
-  ItemType.STICK,
-  ItemType.WOODEN_AXE,
-];
-
-const STORAGE_KEY = 'inventory_v3';
-// Legacy keys (read for migration, then removed)
-const LEGACY_HOTBAR_KEY = 'hotbar_v2';
-const LEGACY_COUNTS_KEY = 'blockCounts';
-const LEGACY_PERSONAL_KEY = 'personalInventory';
+// Inventories belong to the active world slot and store block and item names.
+// Older storage formats are upgraded by the save migrations (migrations.js)
+// before this is read.
+const STORAGE_KEY = worldKey('inventory_v3');
 
 const HOTBAR_SLOTS = 9;
 const MAIN_SLOTS = 27;
 const TOTAL_SLOTS = HOTBAR_SLOTS + MAIN_SLOTS; // 36
 const STACK_SIZE = 64;
 
-// Item texture file mapping
-const ITEM_TEXTURES = {
-  [ItemType.STICK]: 'stick',
-  [ItemType.WOODEN_AXE]: 'wooden_axe',
-};
-
 function isValidSlotType(v) {
   return v === BlockType.AIR || PLACEABLE_BLOCKS.includes(v) || isItemType(v);
 }
@@ -72,9 +54,9 @@ export class Inventory {
   }
 
   async _loadItemTextures() {
-    for (const [typeStr, filename] of Object.entries(ITEM_TEXTURES)) {
+    for (const [typeStr, data] of Object.entries(ItemData)) {
       const img = new Image();
-      img.src = `/textures/${filename}.png`;
+      img.src = textureURL(data.texture);
       try {
         await img.decode();
       } catch { /* will show empty */ }
@@ -85,7 +67,6 @@ export class Inventory {
   // ── Persistence ──
 
   _loadSlots() {
-    // Try the new unified format first
     try {
       const raw = localStorage.getItem(STORAGE_KEY);
       if (raw) {
@@ -93,69 +74,22 @@ export class Inventory {
         if (Array.isArray(arr) && arr.length === TOTAL_SLOTS) {
           return arr.map(s => {
             if (!s || typeof s !== 'object') return null;
-            if (!isValidSlotType(s.type) || s.type === BlockType.AIR) return null;
+            const type = itemOrBlockId(s.type);
+            if (type === undefined || !isValidSlotType(type) || type === BlockType.AIR) return null;
             const count = Number(s.count);
             if (!Number.isFinite(count) || count <= 0) return null;
-            return { type: s.type, count: Math.min(count, STACK_SIZE) };
+            return { type, count: Math.min(count, STACK_SIZE) };
           });
         }
       }
     } catch { /* fall through */ }
 
-    // Migrate from legacy storage (hotbar_v2 + personalInventory)
-    const slots = new Array(TOTAL_SLOTS).fill(null);
-    let migrated = false;
-    try {
-      const personalRaw = localStorage.getItem(LEGACY_PERSONAL_KEY);
-      if (personalRaw) {
-        const arr = JSON.parse(personalRaw);
-        if (Array.isArray(arr)) {
-          for (let i = 0; i < Math.min(arr.length, MAIN_SLOTS); i++) {
-            const s = arr[i];
-            if (s && isValidSlotType(s.type) && s.type !== BlockType.AIR) {
-              const count = Number(s.count);
-              if (Number.isFinite(count) && count > 0) {
-                slots[HOTBAR_SLOTS + i] = { type: s.type, count: Math.min(count, STACK_SIZE) };
-                migrated = true;
-              }
-            }
-          }
-        }
-      }
-      const hotbarRaw = localStorage.getItem(LEGACY_HOTBAR_KEY);
-      if (hotbarRaw) {
-        const arr = JSON.parse(hotbarRaw);
-        if (Array.isArray(arr)) {
-          // Move stacks of the referenced types from main into hotbar slots
-          for (let i = 0; i < Math.min(arr.length, HOTBAR_SLOTS); i++) {
-            const t = arr[i];
-            if (t === BlockType.AIR || !isValidSlotType(t)) continue;
-            // Find a stack in main of this type and move it to hotbar slot i
-            for (let j = HOTBAR_SLOTS; j < TOTAL_SLOTS; j++) {
-              if (slots[j] && slots[j].type === t) {
-                slots[i] = slots[j];
-                slots[j] = null;
-                migrated = true;
-                break;
-              }
-            }
-          }
-        }
-      }
-    } catch { /* fall through */ }
-
-    if (migrated) {
-      // Persist migration result and clean up legacy keys
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(slots));
-      localStorage.removeItem(LEGACY_HOTBAR_KEY);
-      localStorage.removeItem(LEGACY_COUNTS_KEY);
-      localStorage.removeItem(LEGACY_PERSONAL_KEY);
-    }
-    return slots;
+    return new Array(TOTAL_SLOTS).fill(null);
   }
 
   _saveSlots() {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.slots));
+    const saved = this.slots.map(s => s && { type: itemOrBlockName(s.type), count: s.count });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
   }
 
   // ── Public API (used by game systems) ──
@@ -613,6 +547,7 @@ export class Inventory {
       const srcY = Math.floor(v * this.atlas.canvas.height);
       const srcSize = Math.floor(this.atlas.tileSize * this.atlas.canvas.width);
       ctx.drawImage(this.atlas.canvas, srcX, srcY, srcSize, srcSize, 0, 0, 36, 36);
+      tintIcon(ctx, id, 36);
     }
     return canvas;
   }
@@ -1095,7 +1030,8 @@ export class Inventory {
     this.leftPanel.style.display = isCreative ? 'flex' : 'none';
     if (isCreative) {
       this.catalogGrid.innerHTML = '';
-      for (const bt of CATALOG_ITEMS) {
+      // Every placeable block, then every item
+      for (const bt of [...PLACEABLE_BLOCKS, ...Object.keys(ItemData).map(Number)]) {
         const cell = this._makeCellWithBlock(bt, '∞');
         cell.addEventListener('click', (e) => this._onCatalogClick(bt, e));
         this.catalogGrid.appendChild(cell);
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { BlockData } from './blocks.js';
+import { tintIcon } from './biome.js';
 import { GameMode } from './gamemode.js';
 
 const GRAVITY = 20;
@@ -95,6 +96,7 @@ export class ItemManager {
     const ctx = canvas.getContext('2d');
     ctx.imageSmoothingEnabled = false;
     ctx.drawImage(this.atlas.canvas, srcX, srcY, srcSize, srcSize, 0, 0, 16, 16);
+    tintIcon(ctx, blockType, 16);
 
     const texture = new THREE.CanvasTexture(canvas);
     texture.magFilter = THREE.NearestFilter;
@@ -0,0 +1,268 @@
+// Voxel light engine.
+//
+// Every chunk has a `light` array laid out like `blocks`, one byte per block:
+// sky light in the high nibble, emitted block light in the low nibble, each
+// 0-15. Sky light enters from the top of the world and travels straight down
+// at full strength through clear blocks; both kinds lose one level per block
+// otherwise, plus the filter of any block (water, leaves) they enter. Light is flood-filled when a chunk arrives and updated
+// incrementally (remove, then re-spread) when a block changes. Changed cells
+// mark the chunk sections that show them dirty so the mesher re-bakes them.
+
+import { CHUNK_SIZE, WORLD_HEIGHT } from './terrain.js';
+import { BlockData, BLOCK_ID_LIMIT } from './blocks.js';
+import { onContentLoaded } from './content.js';
+import { sectionsAround, ALL_SECTIONS } from './sections.js';
+
+export const MAX_LIGHT = 15;
+const SKY = 4; // bit shift of the sky nibble
+const BLOCK = 0;
+
+// Extra levels lost entering a block; MAX_LIGHT means it stops light entirely
+const FILTER = new Uint8Array(BLOCK_ID_LIMIT);
+// Light level a block emits
+const EMISSION = new Uint8Array(BLOCK_ID_LIMIT);
+// Some transparent blocks (water, leaves) dim the light passing through
+onContentLoaded(() => {
+  for (const [id, data] of Object.entries(BlockData)) {
+    FILTER[id] = data.transparent ? data.lightFilter || 0 : MAX_LIGHT;
+    EMISSION[id] = data.lightLevel || 0;
+  }
+});
+
+// Brightness multiplier for each light level
+export const LIGHT_CURVE = new Float32Array(MAX_LIGHT + 1);
+for (let l = 0; l <= MAX_LIGHT; l++) LIGHT_CURVE[l] = 0.05 + 0.95 * Math.pow(0.8, MAX_LIGHT - l);
+
+const COLUMN = WORLD_HEIGHT * CHUNK_SIZE; // index step for x
+const DIRS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const DOWN = 3;
+
+export function createLight() {
+  return new Uint8Array(CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE);
+}
+
+export class LightEngine {
+  constructor(world) {
+    this.world = world;
+    // Flood-fill queues of [chunk, index] (and the old level for removals)
+    this._add = [];
+    this._remove = [];
+    this._nChunk = null; // chunk of the last _neighbor() result
+  }
+
+  /**
+   * Light a chunk that has just been added to the world: fill sky columns,
+   * then spread sky and block light within it and across its borders.
+   */
+  initChunk(chunk) {
+    const { blocks, light } = chunk;
+    light.fill(0);
+
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        let level = MAX_LIGHT;
+        for (let y = WORLD_HEIGHT - 1; y >= 0 && level > 0; y--) {
+          const i = (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
+          // The same step down as _spread: once dimmed, sky light keeps
+          // fading below leaves and water
+          const filter = FILTER[blocks[i]];
+          level = level === MAX_LIGHT && filter === 0 ? MAX_LIGHT : Math.max(0, level - 1 - filter);
+          light[i] = level << SKY;
+        }
+      }
+    }
+    const emitters = [];
+    for (let i = 0; i < blocks.length; i++) {
+      const emit = EMISSION[blocks[i]];
+      if (emit > 0) {
+        light[i] |= emit;
+        emitters.push(chunk, i);
+      }
+    }
+
+    for (const shift of [SKY, BLOCK]) {
+      if (shift === BLOCK) {
+        this._add.push(...emitters);
+      } else {
+        // Only sky-lit cells with a darker neighbour (or on the border) can spread
+        for (let x = 0; x < CHUNK_SIZE; x++) {
+          for (let z = 0; z < CHUNK_SIZE; z++) {
+            const border = x === 0 || x === CHUNK_SIZE - 1 || z === 0 || z === CHUNK_SIZE - 1;
+            for (let y = 0; y < WORLD_HEIGHT; y++) {
+              const i = (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
+              const dim = (light[i] >> SKY) - 1;
+              if (dim <= 0) continue;
+              if (border ||
+                  (y > 0 && (light[i - CHUNK_SIZE] >> SKY) < dim) ||
+                  (light[i + COLUMN] >> SKY) < dim || (light[i - COLUMN] >> SKY) < dim ||
+                  (light[i + 1] >> SKY) < dim || (light[i - 1] >> SKY) < dim) {
+                this._add.push(chunk, i);
+              }
+            }
+          }
+        }
+      }
+      // Let already-lit neighbours shine in across the borders
+      for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const neighbor = this.world.getChunk(chunk.cx + dx, chunk.cz + dz);
+        if (!neighbor) continue;
+        const x = dx === 1 ? 0 : dx === -1 ? CHUNK_SIZE - 1 : -1;
+        const z = dz === 1 ? 0 : dz === -1 ? CHUNK_SIZE - 1 : -1;
+        for (let a = 0; a < CHUNK_SIZE; a++) {
+          for (let y = 0; y < WORLD_HEIGHT; y++) {
+            const i = ((x >= 0 ? x : a) * WORLD_HEIGHT + y) * CHUNK_SIZE + (z >= 0 ? z : a);
+            if (((neighbor.light[i] >> shift) & MAX_LIGHT) > 1) this._add.push(neighbor, i);
+          }
+        }
+      }
+      this._spread(shift);
+    }
+  }
+
+  /**
+   * Light chunks again from scratch after many of their blocks changed at
+   * once (a village being built), which is cheaper than update() per block.
+   */
+  relightChunks(chunks) {
+    // Clear them all first so none picks up another's old light at a border
+    for (const chunk of chunks) chunk.light.fill(0);
+    for (const chunk of chunks) {
+      this.initChunk(chunk);
+      chunk.dirty = ALL_SECTIONS;
+      for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) this._markDirty(chunk.cx + dx, chunk.cz + dz, ALL_SECTIONS);
+    }
+  }
+
+  /**
+   * Re-light around a block that changed (world coordinates). Call after the
+   * new block has been written.
+   */
+  update(x, y, z) {
+    const chunk = this.world.getChunk(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+    if (!chunk || y < 0 || y >= WORLD_HEIGHT) return;
+    const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const i = (lx * WORLD_HEIGHT + y) * CHUNK_SIZE + lz;
+
+    for (const shift of [SKY, BLOCK]) {
+      const old = (chunk.light[i] >> shift) & MAX_LIGHT;
+      if (old > 0) {
+        this._set(chunk, i, shift, 0);
+        this._remove.push(chunk, i, old);
+        this._unspread(shift);
+      }
+      if (shift === BLOCK && EMISSION[chunk.blocks[i]] > 0) {
+        this._set(chunk, i, shift, EMISSION[chunk.blocks[i]]);
+        this._add.push(chunk, i);
+      }
+      // Surrounding light flows back into the cell if it now lets light in
+      for (let d = 0; d < DIRS.length; d++) {
+        const ni = this._neighbor(chunk, i, d);
+        if (ni < 0) continue;
+        const nc = this._nChunk;
+        if (((nc.light[ni] >> shift) & MAX_LIGHT) > 0) this._add.push(nc, ni);
+      }
+      this._spread(shift);
+    }
+  }
+
+  // Index of the cell next to (chunk, i) in direction d, with its chunk left
+  // in this._nChunk; -1 outside the world or in an unloaded chunk
+  _neighbor(chunk, i, d) {
+    const x = Math.floor(i / COLUMN);
+    const y = Math.floor(i / CHUNK_SIZE) % WORLD_HEIGHT;
+    const z = i % CHUNK_SIZE;
+    const dir = DIRS[d];
+    const ny = y + dir[1];
+    if (ny < 0 || ny >= WORLD_HEIGHT) return -1;
+    const nx = x + dir[0];
+    const nz = z + dir[2];
+    if (nx >= 0 && nx < CHUNK_SIZE && nz >= 0 && nz < CHUNK_SIZE) {
+      this._nChunk = chunk;
+      return i + dir[0] * COLUMN + dir[1] * CHUNK_SIZE + dir[2];
+    }
+    const other = this.world.getChunk(chunk.cx + dir[0], chunk.cz + dir[2]);
+    if (!other) return -1;
+    this._nChunk = other;
+    return (((nx + CHUNK_SIZE) % CHUNK_SIZE) * WORLD_HEIGHT + ny) * CHUNK_SIZE + (nz + CHUNK_SIZE) % CHUNK_SIZE;
+  }
+
+  _set(chunk, i, shift, level) {
+    chunk.light[i] = (chunk.light[i] & ~(MAX_LIGHT << shift)) | (level << shift);
+
+    // Faces of this cell's neighbours show its light
+    const x = Math.floor(i / COLUMN);
+    const y = Math.floor(i / CHUNK_SIZE) % WORLD_HEIGHT;
+    const z = i % CHUNK_SIZE;
+    const sections = sectionsAround(y);
+    chunk.dirty |= sections;
+    if (x === 0) this._markDirty(chunk.cx - 1, chunk.cz, sections);
+    if (x === CHUNK_SIZE - 1) this._markDirty(chunk.cx + 1, chunk.cz, sections);
+    if (z === 0) this._markDirty(chunk.cx, chunk.cz - 1, sections);
+    if (z === CHUNK_SIZE - 1) this._markDirty(chunk.cx, chunk.cz + 1, sections);
+  }
+
+  _markDirty(cx, cz, sections) {
+    const chunk = this.world.getChunk(cx, cz);
+    if (chunk) chunk.dirty |= sections;
+  }
+
+  // Flood light outward from every queued cell
+  _spread(shift) {
+    const queue = this._add;
+    for (let q = 0; q < queue.length; q += 2) {
+      const chunk = queue[q];
+      const i = queue[q + 1];
+      const level = (chunk.light[i] >> shift) & MAX_LIGHT;
+      if (level <= 1) continue;
+
+      for (let d = 0; d < DIRS.length; d++) {
+        const ni = this._neighbor(chunk, i, d);
+        if (ni < 0) continue;
+        const nc = this._nChunk;
+        const filter = FILTER[nc.blocks[ni]];
+        if (filter >= MAX_LIGHT) continue;
+        const next = shift === SKY && d === DOWN && level === MAX_LIGHT && filter === 0
+          ? MAX_LIGHT
+          : level - 1 - filter;
+        if (next > ((nc.light[ni] >> shift) & MAX_LIGHT)) {
+          this._set(nc, ni, shift, next);
+          queue.push(nc, ni);
+        }
+      }
+    }
+    queue.length = 0;
+  }
+
+  // Clear light that came from removed cells, queueing brighter cells found at
+  // the edge (and light sources inside) to spread back in afterwards
+  _unspread(shift) {
+    const queue = this._remove;
+    for (let q = 0; q < queue.length; q += 3) {
+      const chunk = queue[q];
+      const i = queue[q + 1];
+      const level = queue[q + 2];
+
+      for (let d = 0; d < DIRS.length; d++) {
+        const ni = this._neighbor(chunk, i, d);
+        if (ni < 0) continue;
+        const nc = this._nChunk;
+        const nl = (nc.light[ni] >> shift) & MAX_LIGHT;
+        if (nl === 0) continue;
+        const fromHere = nl < level || (shift === SKY && d === DOWN && level === MAX_LIGHT);
+        if (fromHere) {
+          this._set(nc, ni, shift, 0);
+          queue.push(nc, ni, nl);
+          const emit = shift === BLOCK ? EMISSION[nc.blocks[ni]] : 0;
+          if (emit > 0) {
+            this._set(nc, ni, shift, emit);
+            this._add.push(nc, ni);
+          }
+        } else {
+          this._add.push(nc, ni);
+        }
+      }
+    }
+    queue.length = 0;
+  }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { World, CHUNK_SIZE } from './world.js';
+import { ALL_SECTIONS } from './sections.js';
 import { TextureAtlas } from './blocks.js';
 import { ChunkMesher } from './chunkmesher.js';
 import { Player } from './player.js';
@@ -16,7 +17,20 @@ import { ItemManager } from './items.js';
 import { Sound } from './sound.js';
 import { AmbientMusic } from './ambient-music.js';
 import { MobManager } from './mob-manager.js';
-import { hasSavedWorld, saveWorld, loadWorld, deleteWorld } from './save.js';
+import { hasSavedWorld, saveWorld, loadWorld, ChunkStore } from './save.js';
+import { WorldSlots } from './worlds.js';
+import { WorldSelect } from './world-select.js';
+import { TerrainWorkerPool } from './terrain-pool.js';
+import { fetchContent, installContent } from './content.js';
+import { activatePacks } from './resource-packs.js';
+import { PackSelect } from './pack-select.js';
+import { updateWater } from './water.js';
+import { VisibilityCuller } from './visibility.js';
+import { FarTerrain, FAR_DISTANCE } from './far-terrain.js';
+import { GraphicsSettings } from './graphics.js';
+import { GraphicsMenu } from './graphics-menu.js';
+import { PerfGovernor } from './perf-governor.js';
+import { Shadows } from './shadows.js';
 
 // Register service worker only in production builds
 if ('serviceWorker' in navigator) {
@@ -31,17 +45,23 @@ if ('serviceWorker' in navigator) {
 }
 
 // ── Configuration ──
-const RENDER_DISTANCE = 8; // chunks in each direction
+// Frame budget within the graphics settings' bounds (perf-governor.js)
+const governor = new PerfGovernor(GraphicsSettings.get());
+governor.measureRefresh();
+let renderDistance = governor.budget.renderDistance; // chunks in each direction
+// Default fog, thick enough that the far terrain fades out by its edge; the
+// fog setting scales it
+const FOG_DENSITY = 1.7 / (FAR_DISTANCE * CHUNK_SIZE);
 
 // ── Three.js Setup ──
 const renderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: 'high-performance' });
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2) * governor.budget.resolutionScale);
 renderer.setClearColor(0x88bbff);
 document.body.appendChild(renderer.domElement);
 
 const scene = new THREE.Scene();
-const camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 1000);
+const camera = new THREE.PerspectiveCamera(GraphicsSettings.get().fov, window.innerWidth / window.innerHeight, 0.1, 1000);
 scene.add(camera); // Required for camera children (PlayerArm) to render
 
 window.addEventListener('resize', () => {
@@ -57,28 +77,48 @@ document.addEventListener('contextmenu', (e) => e.preventDefault());
 const atlas = new TextureAtlas();
 let world;
 let mesher;
+let farTerrain;
 let player;
 const sky = new Sky(scene);
+const shadows = new Shadows(renderer, scene, camera, sky);
+shadows.setLevel(GraphicsSettings.get().shadows);
 
-// Track loaded chunk meshes
+// Track loaded chunk meshes: chunk key -> per-section { mesh, waterMesh, glassMesh }
 const loadedChunks = new Map();
 
-function rebuildDirtyChunks() {
-  for (const [key, chunk] of world.chunks) {
+// Queue dirty chunk sections for meshing. Passing the chunk the player just
+// edited puts it and its neighbours ahead of everything else; other chunks
+// the edit dirtied (light can reach further) wait their turn.
+function rebuildDirtyChunks(edited = null) {
+  for (const chunk of world.chunks.values()) {
     if (!chunk.dirty) continue;
-    mesher.buildMesh(chunk);
+    const urgent = edited !== null && Math.abs(chunk.cx - edited.cx) <= 1 && Math.abs(chunk.cz - edited.cz) <= 1;
+    mesher.schedule(chunk, urgent);
+  }
+}
 
-    const prevEntry = loadedChunks.get(key);
+// Swap up to `limit` freshly built section meshes into the scene
+function applyChunkMeshes(limit = Infinity) {
+  for (const { key, chunk, section } of mesher.collect(limit)) {
+    let entries = loadedChunks.get(key);
+    if (!entries) {
+      entries = chunk.sections.map(() => null);
+      loadedChunks.set(key, entries);
+      farTerrain.chunkLoaded(chunk.cx, chunk.cz);
+    }
+    const prevEntry = entries[section];
     if (prevEntry) {
       if (prevEntry.mesh) scene.remove(prevEntry.mesh);
       if (prevEntry.waterMesh) scene.remove(prevEntry.waterMesh);
       if (prevEntry.glassMesh) scene.remove(prevEntry.glassMesh);
     }
 
-    if (chunk.mesh) scene.add(chunk.mesh);
-    if (chunk.waterMesh) scene.add(chunk.waterMesh);
-    if (chunk.glassMesh) scene.add(chunk.glassMesh);
-    loadedChunks.set(key, { mesh: chunk.mesh, waterMesh: chunk.waterMesh, glassMesh: chunk.glassMesh });
+    const { mesh, waterMesh, glassMesh } = chunk.sections[section];
+    if (mesh) scene.add(mesh);
+    if (waterMesh) scene.add(waterMesh);
+    if (glassMesh) scene.add(glassMesh);
+    entries[section] = { mesh, waterMesh, glassMesh };
+    farTerrain.chunkChanged(chunk.cx, chunk.cz);
   }
 }
 
@@ -87,75 +127,188 @@ function loadChunksAroundPlayer() {
   const pz = Math.floor(player.position.z / CHUNK_SIZE);
 
   const needed = new Set();
+  const pending = [];
 
-  for (let dx = -RENDER_DISTANCE; dx <= RENDER_DISTANCE; dx++) {
-    for (let dz = -RENDER_DISTANCE; dz <= RENDER_DISTANCE; dz++) {
-      if (dx * dx + dz * dz > RENDER_DISTANCE * RENDER_DISTANCE) continue;
+  for (let dx = -renderDistance; dx <= renderDistance; dx++) {
+    for (let dz = -renderDistance; dz <= renderDistance; dz++) {
+      if (dx * dx + dz * dz > renderDistance * renderDistance) continue;
       const cx = px + dx;
       const cz = pz + dz;
       const key = `${cx},${cz}`;
       needed.add(key);
 
       if (!world.chunks.has(key)) {
-        world.generateChunk(cx, cz);
+        // Saved chunks are read back from IndexedDB first; generate them once they arrive
+        if (!world.chunkStore.isReady(key)) {
+          pending.push(key);
+          continue;
+        }
+        world.requestChunk(cx, cz);
       }
     }
   }
 
+  // Generate and mesh nearest first, and forget chunks the player has moved away from
+  world.terrainPool.setFocus(px, pz);
+  mesher.setFocus(px, pz);
+  world.terrainPool.retain(needed);
+  farTerrain.setCenter(px, pz);
+
+  if (pending.length > 0) {
+    world.chunkStore.fetch(pending).catch((err) => {
+      console.error('Failed to read saved chunks', err);
+    });
+  }
+
   // Place villages in newly loaded areas
   world.placeVillagesNear(px, pz);
 
   // Unload distant chunks
-  for (const [key, entry] of loadedChunks) {
+  for (const [key, entries] of loadedChunks) {
     if (!needed.has(key)) {
-      if (entry.mesh) scene.remove(entry.mesh);
-      if (entry.waterMesh) scene.remove(entry.waterMesh);
-      if (entry.glassMesh) scene.remove(entry.glassMesh);
+      for (const entry of entries) {
+        if (!entry) continue;
+        if (entry.mesh) scene.remove(entry.mesh);
+        if (entry.waterMesh) scene.remove(entry.waterMesh);
+        if (entry.glassMesh) scene.remove(entry.glassMesh);
+      }
       loadedChunks.delete(key);
       const chunk = world.chunks.get(key);
       if (chunk) {
-        if (chunk.mesh) { chunk.mesh.geometry.dispose(); chunk.mesh = null; }
-        if (chunk.waterMesh) { chunk.waterMesh.geometry.dispose(); chunk.waterMesh = null; }
-        if (chunk.glassMesh) { chunk.glassMesh.geometry.dispose(); chunk.glassMesh = null; }
+        farTerrain.recordChunk(chunk);
+        farTerrain.chunkChanged(chunk.cx, chunk.cz);
+        for (const section of chunk.sections) {
+          if (section.mesh) { section.mesh.geometry.dispose(); section.mesh = null; }
+          if (section.waterMesh) { section.waterMesh.geometry.dispose(); section.waterMesh = null; }
+          if (section.glassMesh) { section.glassMesh.geometry.dispose(); section.glassMesh = null; }
+        }
       }
-      world.chunks.delete(key);
+      world.unloadChunk(key);
     }
   }
 
   rebuildDirtyChunks();
 }
 
+// Move finished chunks from the terrain workers into the world. Villages and
+// water seeding wait for neighbouring chunks, so retry them on every arrival.
+function addGeneratedChunks(limit) {
+  const results = world.terrainPool.drain(limit);
+  for (const result of results) world.addFromPool(result);
+  if (results.length > 0) {
+    world.placeVillagesNear(
+      Math.floor(player.position.x / CHUNK_SIZE),
+      Math.floor(player.position.z / CHUNK_SIZE),
+    );
+    world.seedNewChunkWater();
+  }
+  return results.length;
+}
+
+// Replace the loading bar with the error and a way out to the world list
+function showLoadError(err) {
+  const loadingEl = document.getElementById('loading');
+  loadingEl.querySelector('h2').textContent = 'Could not load this world';
+  loadingEl.querySelector('.bar').remove();
+
+  const message = document.createElement('p');
+  message.className = 'load-error';
+  message.textContent = err.message || String(err);
+  loadingEl.appendChild(message);
+
+  const btn = document.createElement('button');
+  btn.className = 'menu-btn';
+  btn.textContent = 'Choose Another World';
+  btn.addEventListener('click', () => {
+    document.getElementById('btn-play').classList.add('hidden');
+    // Content failures land here before the player exists; nothing is
+    // played from this screen, so the menu gets a stand-in
+    const menu = new Menu(renderer.domElement, player ?? { active: false });
+    new WorldSelect(menu, {
+      save: async () => {},
+      close: () => world.chunkStore.close(),
+      loaded: false,
+    });
+    // A broken resource pack also lands here; let the player turn it off
+    new PackSelect(menu, {
+      save: async () => {},
+      close: () => world.chunkStore.close(),
+    });
+    menu.setState('worlds');
+  });
+  loadingEl.appendChild(btn);
+}
+
 // ── Initial World Load ──
 async function init() {
   const loadingEl = document.getElementById('loading');
   const progressEl = document.getElementById('load-progress');
 
-  // Determine seed: reuse saved or generate new
-  const savedSeed = localStorage.getItem('world_seed');
-  const SEED = savedSeed !== null ? Number(savedSeed) : Math.floor(Math.random() * 999999);
-  localStorage.setItem('world_seed', String(SEED));
+  // Seed comes from the active world slot
+  const worldRecord = WorldSlots.active();
+  WorldSlots.update(worldRecord.id, { lastPlayed: Date.now() });
+
+  world = new World(worldRecord.seed);
+  const chunkStore = new ChunkStore();
+  await chunkStore.open();
+  world.chunkStore = chunkStore;
+
+  // Block and item definitions (public/data) with the enabled resource packs
+  // layered on top; everything below builds on them
+  try {
+    await activatePacks();
+    installContent(await fetchContent());
+  } catch (err) {
+    console.error('Failed to load block and item definitions', err);
+    showLoadError(err);
+    return;
+  }
 
-  world = new World(SEED);
+  world.terrainPool = new TerrainWorkerPool(worldRecord.seed);
   player = new Player(camera, world, renderer.domElement);
 
-  // Load textures from PNG files
-  await atlas.load();
-  mesher = new ChunkMesher(world, atlas);
+  // Load textures from PNG files (a resource pack's copy where it has one)
+  try {
+    await atlas.load();
+  } catch (err) {
+    console.error('Failed to load block textures', err);
+    showLoadError(err);
+    return;
+  }
+  mesher = new ChunkMesher(world, atlas, {
+    greedy: localStorage.getItem('greedyMeshing') !== 'false',
+    ao: GraphicsSettings.get().ao,
+    fancyWater: GraphicsSettings.get().fancyWater,
+  });
+  const culler = new VisibilityCuller(world, renderDistance + 1);
+  culler.shadowDistance = shadows.distance;
+  farTerrain = new FarTerrain(scene, world, atlas);
 
   // Texture editor overlay
   const textureEditor = new TextureEditor(atlas, () => {
     // Mark all loaded chunks dirty so they re-mesh with updated atlas
-    for (const [, chunk] of world.chunks) chunk.dirty = true;
+    mesher.updateAtlas();
+    farTerrain.refreshColors();
+    for (const [, chunk] of world.chunks) chunk.dirty = ALL_SECTIONS;
     rebuildDirtyChunks();
   });
 
   // Load saved world data or generate fresh
   let savedPlayerState = null;
   let savedMobData = null;
-  const hasSave = hasSavedWorld() && savedSeed !== null;
+  const hasSave = hasSavedWorld();
 
   if (hasSave) {
-    const saveData = await loadWorld(world);
+    let saveData;
+    try {
+      saveData = await loadWorld(world);
+    } catch (err) {
+      // Typically a failed save migration: stop here so nothing overwrites
+      // the unconverted data, and let the player pick another world.
+      console.error('Failed to load world', err);
+      showLoadError(err);
+      return;
+    }
     savedPlayerState = saveData.playerState;
     savedMobData = saveData.mobData;
     progressEl.style.width = '50%';
@@ -163,7 +316,7 @@ async function init() {
   }
 
   // Generate initial chunks with loading progress (skip already-loaded saved chunks)
-  const initialRadius = 5;
+  const initialRadius = Math.min(5, renderDistance);
   const spawnCX = savedPlayerState?.position
     ? Math.floor(savedPlayerState.position.x / 16) : 0;
   const spawnCZ = savedPlayerState?.position
@@ -177,31 +330,35 @@ async function init() {
     }
   }
 
-  let loaded = 0;
-  const total = chunkList.length;
+  // Read any saved copies of the spawn area before generating the rest
+  await chunkStore.fetch(chunkList.map(([cx, cz]) => world.chunkKey(cx, cz)));
+
+  world.terrainPool.setFocus(spawnCX, spawnCZ);
+  for (const [cx, cz] of chunkList) world.requestChunk(cx, cz);
 
-  for (const [cx, cz] of chunkList) {
-    if (!world.chunks.has(world.chunkKey(cx, cz))) {
-      world.generateChunk(cx, cz);
+  const total = chunkList.length;
+  let loaded = chunkList.filter(([cx, cz]) => world.chunks.has(world.chunkKey(cx, cz))).length;
+  while (loaded < total) {
+    await new Promise(r => setTimeout(r, 16));
+    for (const result of world.terrainPool.drain()) {
+      world.addFromPool(result);
+      loaded++;
     }
-    loaded++;
     const pct = hasSave ? 50 + (loaded / total) * 50 : (loaded / total) * 100;
     progressEl.style.width = `${pct}%`;
-    // Yield to update UI
-    if (loaded % 5 === 0) {
-      await new Promise(r => setTimeout(r, 0));
-    }
   }
 
-  // Place villages in the initial loaded area
+  // Place villages in the initial loaded area, then fill air gaps next to water
   world.placeVillagesNear(spawnCX, spawnCZ);
+  world.seedNewChunkWater();
 
-  // Fill any air gaps adjacent to water bodies (only on fresh world)
-  if (!hasSave) {
-    world.seedInitialWaterFlow();
-  }
-
+  // Mesh the spawn area before showing it
+  mesher.setFocus(spawnCX, spawnCZ);
   rebuildDirtyChunks();
+  while (mesher.pending > 0) {
+    await new Promise(r => setTimeout(r, 16));
+  }
+  applyChunkMeshes();
 
   // Spawn or restore player
   if (savedPlayerState && savedPlayerState.position) {
@@ -214,8 +371,8 @@ async function init() {
   // Setup inventory, items, and interaction after world is loaded
   const inventory = new Inventory(atlas);
   const itemManager = new ItemManager(scene, world, atlas, inventory);
-  const interaction = new Interaction(player, world, scene, () => {
-    rebuildDirtyChunks();
+  const interaction = new Interaction(player, world, scene, (x, z) => {
+    rebuildDirtyChunks({ cx: Math.floor(x / CHUNK_SIZE), cz: Math.floor(z / CHUNK_SIZE) });
   }, inventory, itemManager);
 
   const mobManager = new MobManager(scene, world, sky);
@@ -226,19 +383,20 @@ async function init() {
     mobManager.deserialize(savedMobData);
   }
 
-  // Auto-save: on page unload and every 30 seconds
+  // Auto-save: on page unload and every 30 seconds. Once the world has been
+  // closed for a switch or delete, nothing more may be written to its slot.
+  let worldClosed = false;
   const doSave = () => {
-    saveWorld(world, player, mobManager).catch(() => {});
+    if (worldClosed) return;
+    saveWorld(world, player, mobManager).then((stats) => {
+      document.dispatchEvent(new CustomEvent('world-saved', { detail: stats }));
+    }).catch((err) => {
+      console.error('Failed to save world', err);
+    });
   };
   window.addEventListener('beforeunload', doSave);
   setInterval(doSave, 30000);
 
-  // Listen for new-world request from menu
-  document.addEventListener('new-world', async () => {
-    await deleteWorld();
-    location.reload();
-  });
-
   const sound = new Sound();
   const ambientMusic = new AmbientMusic();
 
@@ -246,6 +404,24 @@ async function init() {
   const menu = new Menu(renderer.domElement, player);
   menu.setState('title');
 
+  // World slot list (title screen → Worlds)
+  new WorldSelect(menu, {
+    save: () => saveWorld(world, player, mobManager),
+    close: () => {
+      worldClosed = true;
+      world.chunkStore.close();
+    },
+  });
+
+  // Resource pack list (Settings → Resource Packs)
+  new PackSelect(menu, {
+    save: () => saveWorld(world, player, mobManager),
+    close: () => {
+      worldClosed = true;
+      world.chunkStore.close();
+    },
+  });
+
   // Day/night toggle
   const btnDayNight = document.getElementById('btn-daynight');
   sky.alwaysDay = localStorage.getItem('alwaysDay') === 'true';
@@ -256,6 +432,49 @@ async function init() {
     localStorage.setItem('alwaysDay', sky.alwaysDay);
   });
 
+  // Greedy meshing toggle: remesh everything in the new mode
+  const btnGreedy = document.getElementById('btn-greedy');
+  btnGreedy.textContent = mesher.greedy ? 'Greedy Meshing: ON' : 'Greedy Meshing: OFF';
+  btnGreedy.addEventListener('click', () => {
+    mesher.greedy = !mesher.greedy;
+    btnGreedy.textContent = mesher.greedy ? 'Greedy Meshing: ON' : 'Greedy Meshing: OFF';
+    localStorage.setItem('greedyMeshing', mesher.greedy);
+    for (const [, chunk] of world.chunks) chunk.dirty = ALL_SECTIONS;
+    rebuildDirtyChunks();
+  });
+
+  // Resolution and render distance come from the governor's budget
+  const applyBudget = () => {
+    const { resolutionScale, renderDistance: distance } = governor.budget;
+    const pixelRatio = Math.min(window.devicePixelRatio, 2) * resolutionScale;
+    if (renderer.getPixelRatio() !== pixelRatio) renderer.setPixelRatio(pixelRatio);
+    if (distance !== renderDistance) {
+      renderDistance = distance;
+      culler.setMaxDistance(renderDistance + 1);
+      loadChunksAroundPlayer();
+    }
+  };
+
+  // Graphics settings (Settings → Graphics) apply as they change
+  new GraphicsMenu();
+  document.addEventListener('graphics-change', (e) => {
+    const settings = e.detail;
+    governor.setLimits(settings);
+    applyBudget();
+    if (camera.fov !== settings.fov) {
+      camera.fov = settings.fov;
+      camera.updateProjectionMatrix();
+    }
+    if (settings.fancyWater !== mesher.fancyWater) mesher.setFancyWater(settings.fancyWater);
+    shadows.setLevel(settings.shadows);
+    culler.shadowDistance = shadows.distance;
+    if (settings.ao !== mesher.ao) {
+      mesher.ao = settings.ao;
+      for (const [, chunk] of world.chunks) chunk.dirty = ALL_SECTIONS;
+      rebuildDirtyChunks();
+    }
+  });
+
   // Music toggle
   const btnMusic = document.getElementById('btn-music');
   btnMusic.textContent = ambientMusic.enabled ? 'Music: ON' : 'Music: OFF';
@@ -346,9 +565,11 @@ async function init() {
   // ── Game Loop ──
   let lastTime = performance.now();
   let chunkUpdateTimer = 0;
+  let lastWork = 0; // seconds the previous frame's loop took, for the governor
 
   function gameLoop(now) {
     requestAnimationFrame(gameLoop);
+    const workStart = performance.now();
 
     const dt = (now - lastTime) / 1000;
     lastTime = now;
@@ -359,18 +580,22 @@ async function init() {
     mobManager.update(dt, player);
     interaction.update(dt);
     itemManager.update(dt, player);
-    if (world.updateWater(dt)) {
+    if (governor.update(dt, lastWork)) applyBudget();
+    const chunksAdded = addGeneratedChunks(governor.budget.chunksPerFrame);
+    const waterChanged = world.updateWater(dt);
+    if (chunksAdded > 0 || waterChanged) {
       rebuildDirtyChunks();
     }
     sky.update(dt, player.position);
-    ui.update(dt, player, world, loadedChunks.size);
+    atlas.update(dt);
+    ui.update(dt, player, world, loadedChunks.size, mesher.stats(), culler, governor);
 
-    // Underwater effect: blue fog when head is submerged
-    if (player.headInWater) {
-      scene.fog = new THREE.FogExp2(0x1a3c5a, 0.06);
-      renderer.setClearColor(0x1a3c5a);
+    // Water surface animation; underwater fog and caustics when head is submerged
+    const underwaterColor = updateWater(dt, sky, scene, { underwater: player.headInWater, fancy: mesher.fancyWater });
+    if (underwaterColor) {
+      renderer.setClearColor(underwaterColor);
     } else {
-      scene.fog = new THREE.FogExp2(sky.scene.fog?.color || 0x88bbff, 0.005);
+      scene.fog = new THREE.FogExp2(sky.scene.fog?.color || 0x88bbff, FOG_DENSITY * GraphicsSettings.get().fog);
       renderer.setClearColor(0x88bbff);
     }
 
@@ -381,7 +606,12 @@ async function init() {
       loadChunksAroundPlayer();
     }
 
+    applyChunkMeshes(governor.budget.meshesPerFrame);
+    farTerrain.update();
+    culler.update(camera);
+    shadows.update();
     renderer.render(scene, camera);
+    lastWork = (performance.now() - workStart) / 1000;
   }
 
   requestAnimationFrame(gameLoop);
@@ -9,6 +9,9 @@ export class Menu {
     this.titleScreen = document.getElementById('title-screen');
     this.pauseMenu = document.getElementById('pause-menu');
     this.settingsMenu = document.getElementById('settings-menu');
+    this.worldsMenu = document.getElementById('worlds-menu');
+    this.packsMenu = document.getElementById('packs-menu');
+    this.graphicsMenu = document.getElementById('graphics-menu');
     this.loadingScreen = document.getElementById('loading');
     this._settingsFrom = null; // tracks where settings was opened from
 
@@ -22,8 +25,11 @@ export class Menu {
     document.getElementById('btn-back-to-title').addEventListener('click', () => {
       this.setState('title');
     });
-    document.getElementById('btn-new-world').addEventListener('click', () => {
-      document.dispatchEvent(new Event('new-world'));
+    document.getElementById('btn-worlds').addEventListener('click', () => {
+      this.setState('worlds');
+    });
+    document.getElementById('btn-worlds-back').addEventListener('click', () => {
+      this.setState('title');
     });
 
     // Texture Editor from title screen
@@ -40,6 +46,18 @@ export class Menu {
       this._settingsFrom = 'paused';
       this.setState('settings');
     });
+    document.getElementById('btn-graphics').addEventListener('click', () => {
+      this.setState('graphics');
+    });
+    document.getElementById('btn-graphics-back').addEventListener('click', () => {
+      this.setState('settings');
+    });
+    document.getElementById('btn-packs').addEventListener('click', () => {
+      this.setState('packs');
+    });
+    document.getElementById('btn-packs-back').addEventListener('click', () => {
+      this.setState('settings');
+    });
     document.getElementById('btn-settings-back').addEventListener('click', () => {
       this.setState(this._settingsFrom || 'title');
     });
@@ -175,6 +193,9 @@ export class Menu {
     this.titleScreen.classList.add('hidden');
     this.pauseMenu.classList.add('hidden');
     this.settingsMenu.classList.add('hidden');
+    this.worldsMenu.classList.add('hidden');
+    this.packsMenu.classList.add('hidden');
+    this.graphicsMenu.classList.add('hidden');
 
     // Show the correct overlay
     switch (state) {
@@ -190,6 +211,15 @@ export class Menu {
       case 'settings':
         this.settingsMenu.classList.remove('hidden');
         break;
+      case 'worlds':
+        this.worldsMenu.classList.remove('hidden');
+        break;
+      case 'packs':
+        this.packsMenu.classList.remove('hidden');
+        break;
+      case 'graphics':
+        this.graphicsMenu.classList.remove('hidden');
+        break;
       case 'playing':
         // All overlays hidden
         break;
@@ -208,6 +238,10 @@ export class Menu {
     document.dispatchEvent(new CustomEvent('game-state-change', { detail: { state } }));
   }
 
+  play() {
+    this._requestPlayState();
+  }
+
   _requestPlayState() {
     if (this.isTouch) {
       this.player.active = true;
@@ -0,0 +1,612 @@
+// Pure chunk mesh construction shared by the mesh workers (mesh-worker.js)
+// and ChunkMesher's main-thread fallback. Input is a padded copy of the chunk,
+// its block metadata and its light that includes a border from its
+// neighbours, plus its columns' biome climate, so no World lookups are needed;
+// output is typed arrays ready for BufferAttributes.
+
+import { CHUNK_SIZE, WORLD_HEIGHT } from './terrain.js';
+import {
+  BlockType, BlockData, BLOCK_ID_LIMIT, blockRegistry, STATE_TEXTURED, isWaterBlock, waterHeight, textureFace,
+  torchSupport,
+} from './blocks.js';
+import { SECTION_HEIGHT, connectFaces } from './sections.js';
+import { MAX_LIGHT, LIGHT_CURVE } from './lighting.js';
+import { shapeBoxes } from './block-shapes.js';
+import { onContentLoaded } from './content.js';
+import { TINT_KINDS, TINT_COLORS, tintIndex } from './biome.js';
+
+// AO samples reach two blocks past the chunk on the +x/+z sides
+const BORDER = 2;
+const PAD = CHUNK_SIZE + BORDER * 2;
+export const PADDED_LENGTH = PAD * WORLD_HEIGHT * PAD;
+
+// Bits in `neighbors`: which horizontally adjacent chunks were loaded
+export const NEIGHBOR_POS_X = 1;
+export const NEIGHBOR_NEG_X = 2;
+export const NEIGHBOR_POS_Z = 4;
+export const NEIGHBOR_NEG_Z = 8;
+
+// Face directions: [dx, dy, dz] and corresponding face index
+const FACES = [
+  { dir: [0, 1, 0],  face: 0, corners: [[0,1,1],[1,1,1],[1,1,0],[0,1,0]] },       // top
+  { dir: [0, -1, 0], face: 1, corners: [[0,0,0],[1,0,0],[1,0,1],[0,0,1]] },       // bottom
+  { dir: [0, 0, 1],  face: 2, corners: [[0,0,1],[1,0,1],[1,1,1],[0,1,1]] },       // front (south +z)
+  { dir: [0, 0, -1], face: 3, corners: [[1,0,0],[0,0,0],[0,1,0],[1,1,0]] },       // back (north -z)
+  { dir: [1, 0, 0],  face: 4, corners: [[1,0,1],[1,0,0],[1,1,0],[1,1,1]] },       // right (east +x)
+  { dir: [-1, 0, 0], face: 5, corners: [[0,0,0],[0,0,1],[0,1,1],[0,1,0]] },       // left (west -x)
+];
+
+// Per-block lookup tables, indexed by block id. SOLID counts only full
+// cubes, since shaped blocks don't fill the corners AO samples.
+const SOLID = new Uint8Array(BLOCK_ID_LIMIT);
+const TRANSPARENT = new Uint8Array(BLOCK_ID_LIMIT).fill(1);
+const SHAPED = new Uint8Array(BLOCK_ID_LIMIT);
+const STATE_TEXTURE = new Uint8Array(BLOCK_ID_LIMIT);
+// Tint kind (index into TINT_KINDS, 0 for none) by uvSlot: blockType * 6 + atlas face
+let TINT_KIND = null;
+onContentLoaded(() => {
+  TINT_KIND = new Uint8Array(blockRegistry.size * 6);
+  for (const [id, data] of Object.entries(BlockData)) {
+    SOLID[id] = data.solid && !data.shape ? 1 : 0;
+    TRANSPARENT[id] = data.transparent ? 1 : 0;
+    SHAPED[id] = data.shape ? 1 : 0;
+    if (!data.tint) continue;
+    for (let face = 0; face < 6; face++) {
+      const kind = face === 0 ? data.tint.top : face === 1 ? data.tint.bottom : data.tint.side;
+      TINT_KIND[id * 6 + face] = Math.max(0, TINT_KINDS.indexOf(kind ?? null));
+    }
+  }
+  for (const id of STATE_TEXTURED) STATE_TEXTURE[id] = 1;
+});
+
+function pIndex(x, y, z) {
+  return ((x + BORDER) * WORLD_HEIGHT + y) * PAD + (z + BORDER);
+}
+
+// AO calculation for a face vertex
+function vertexAO(side1, side2, corner) {
+  if (side1 && side2) return 0;
+  return 3 - (side1 + side2 + corner);
+}
+
+/**
+ * Flatten atlas UVs into a table for the workers: [u0, v0] at
+ * (blockType * 6 + face) * 2.
+ */
+export function buildUVTable(atlas) {
+  const table = new Float32Array(blockRegistry.size * 6 * 2);
+  for (const id of Object.keys(BlockData)) {
+    for (let face = 0; face < 6; face++) {
+      const [u, v] = atlas.getUV(Number(id), face);
+      table[(id * 6 + face) * 2] = u;
+      table[(id * 6 + face) * 2 + 1] = v;
+    }
+  }
+  return table;
+}
+
+/**
+ * Copy a chunk plus a BORDER-wide strip of its 8 neighbours into one array,
+ * and the same for its metadata and light. Missing neighbours read as air in
+ * full sky light. `getChunk(cx, cz)` looks up loaded chunks. `biome` is the
+ * chunk's own, unpadded.
+ */
+export function padChunk(chunk, getChunk) {
+  const padded = new Uint16Array(PADDED_LENGTH);
+  const meta = new Uint8Array(PADDED_LENGTH);
+  const light = new Uint8Array(PADDED_LENGTH).fill(MAX_LIGHT << 4);
+  let neighbors = 0;
+
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dz = -1; dz <= 1; dz++) {
+      const src = dx === 0 && dz === 0 ? chunk : getChunk(chunk.cx + dx, chunk.cz + dz);
+      if (!src) continue;
+      if (dz === 0 && dx === 1) neighbors |= NEIGHBOR_POS_X;
+      if (dz === 0 && dx === -1) neighbors |= NEIGHBOR_NEG_X;
+      if (dx === 0 && dz === 1) neighbors |= NEIGHBOR_POS_Z;
+      if (dx === 0 && dz === -1) neighbors |= NEIGHBOR_NEG_Z;
+
+      // Local x/z range of the source chunk that lands inside the padding
+      const x0 = dx === -1 ? CHUNK_SIZE - BORDER : 0;
+      const x1 = dx === 1 ? BORDER : CHUNK_SIZE;
+      const z0 = dz === -1 ? CHUNK_SIZE - BORDER : 0;
+      const z1 = dz === 1 ? BORDER : CHUNK_SIZE;
+      for (let x = x0; x < x1; x++) {
+        for (let y = 0; y < WORLD_HEIGHT; y++) {
+          const from = (x * WORLD_HEIGHT + y) * CHUNK_SIZE;
+          const to = pIndex(x + dx * CHUNK_SIZE, y, z0 + dz * CHUNK_SIZE);
+          padded.set(src.blocks.subarray(from + z0, from + z1), to);
+          meta.set(src.meta.subarray(from + z0, from + z1), to);
+          light.set(src.light.subarray(from + z0, from + z1), to);
+        }
+      }
+    }
+  }
+  return { padded, meta, light, biome: chunk.biome, neighbors };
+}
+
+// Texture corner of each face vertex, in tiles: [s, t]
+const LOCAL_UV = [[0, 1], [1, 1], [1, 0], [0, 0]];
+
+// Block axis a face's texture s/t coordinates run along (the axis that changes
+// between corners 0->1 and 1->2), so merged quads can repeat the tile
+function changedAxis(a, b) {
+  return a[0] !== b[0] ? 0 : a[1] !== b[1] ? 1 : 2;
+}
+for (const face of FACES) {
+  face.axis = face.dir.findIndex(d => d !== 0);
+  face.sAxis = changedAxis(face.corners[0], face.corners[1]);
+  face.tAxis = changedAxis(face.corners[1], face.corners[2]);
+  face.bright = face.dir[1] === 1 ? 1.0 : face.dir[1] === -1 ? 0.5 : face.dir[2] !== 0 ? 0.8 : 0.6;
+  // Whether s/t run against the block axis, for texturing part of a face
+  face.sFlip = face.corners[1][face.sAxis] < face.corners[0][face.sAxis];
+  face.tFlip = face.corners[2][face.tAxis] > face.corners[1][face.tAxis];
+}
+
+const UNIT = [1, 1, 1];
+const MAX_WATER_DEPTH = 16;
+
+// Greedy meshing scratch: one mask per face direction holding a merge key per
+// block, ((uvSlot << 6) | (ao << 4) | light) + 1 where uvSlot is the face's
+// texture (blockType * 6 + atlas face), or 0 for no mergeable face. Reused
+// across builds; each worker has its own copy of the module.
+const MASKS = FACES.map(() => new Int32Array(CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE));
+// Alongside each mask entry: the face's tint index + 1, or 0 if untinted.
+// Faces only merge when both match.
+const TINTS = FACES.map(() => new Uint16Array(CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE));
+
+// Vertex colour multiplier for texture `uvSlot` at tint index `index`, or
+// null if that texture isn't tinted. Returns a shared scratch array.
+const TINT_RGB = new Float32Array(3);
+function tintFor(uvSlot, index) {
+  const kind = TINT_KIND[uvSlot];
+  if (!kind) return null;
+  const table = TINT_COLORS[kind];
+  TINT_RGB[0] = table[index * 3];
+  TINT_RGB[1] = table[index * 3 + 1];
+  TINT_RGB[2] = table[index * 3 + 2];
+  return TINT_RGB;
+}
+
+// Push one vertex colour: `shade`, times `tint` if given
+function pushColor(buf, shade, tint) {
+  if (tint) buf.col.push(shade * tint[0], shade * tint[1], shade * tint[2]);
+  else buf.col.push(shade, shade, shade);
+}
+
+function cellIndex(x, y, z) {
+  return (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
+}
+
+// `depth` buffers also record each vertex's water depth (see waterDepthAt)
+function createBuffer(tiled = false, depth = false) {
+  return { pos: [], norm: [], uv: [], idx: [], col: [], tile: tiled ? [] : null, depth: depth ? [] : null, vi: 0 };
+}
+
+// Convert a JS-array buffer to transferable typed arrays (null when empty)
+function finishBuffer(buf) {
+  if (buf.pos.length === 0) return null;
+  return {
+    pos: new Float32Array(buf.pos),
+    norm: new Float32Array(buf.norm),
+    uv: new Float32Array(buf.uv),
+    col: new Float32Array(buf.col),
+    idx: new Uint32Array(buf.idx),
+    tile: buf.tile ? new Float32Array(buf.tile) : null,
+    depth: buf.depth ? new Float32Array(buf.depth) : null,
+  };
+}
+
+/**
+ * Append one quad. `ext` is its size in blocks along x/y/z (1 for a single
+ * face); `light` is the 0-15 light level in front of it; `tint` is a biome
+ * colour to multiply in, or null. Tiled buffers store UVs in tiles plus the atlas tile origin, and the
+ * tiled material repeats the tile with fract(); others store atlas UVs.
+ */
+function emitQuad(buf, face, px, py, pz, ext, ao, light, u0, v0, tileSize, wh, flipByAO, tint) {
+  const { dir, corners } = face;
+  const start = buf.vi;
+  for (let i = 0; i < 4; i++) {
+    const c = corners[i];
+    const vy = wh !== 1 && c[1] === 1 ? wh : c[1] * ext[1];
+    buf.pos.push(px + c[0] * ext[0], py + vy, pz + c[2] * ext[2]);
+    buf.norm.push(dir[0], dir[1], dir[2]);
+    if (buf.tile) {
+      buf.uv.push(LOCAL_UV[i][0] * ext[face.sAxis], LOCAL_UV[i][1] * ext[face.tAxis]);
+      buf.tile.push(u0, v0);
+    } else {
+      buf.uv.push(u0 + LOCAL_UV[i][0] * tileSize, v0 + LOCAL_UV[i][1] * tileSize);
+    }
+    pushColor(buf, (0.5 + 0.5 * ao[i] / 3) * face.bright * LIGHT_CURVE[light], tint);
+  }
+
+  if (flipByAO && !(ao[0] + ao[2] > ao[1] + ao[3])) {
+    buf.idx.push(start+1, start+2, start+3, start+1, start+3, start);
+  } else {
+    buf.idx.push(start, start+1, start+2, start, start+2, start+3);
+  }
+  buf.vi += 4;
+}
+
+// Texture coordinates (s, t) within a tile, 0-1, in the buffer's UV layout
+function pushUV(buf, s, t, u0, v0, tileSize) {
+  if (buf.tile) {
+    buf.uv.push(s, t);
+    buf.tile.push(u0, v0);
+  } else {
+    buf.uv.push(u0 + s * tileSize, v0 + t * tileSize);
+  }
+}
+
+// Torch post: 2/16 wide, 10/16 tall, cut from the middle of its texture.
+// Wall torches sit against their support and lean away from it.
+const TORCH_HALF_WIDTH = 1 / 16;
+const TORCH_HEIGHT = 10 / 16;
+const WALL_TORCH_OFFSET = 0.35;
+const WALL_TORCH_BASE = 0.2;
+const WALL_TORCH_LEAN = 0.25;
+
+function emitTorch(buf, meta, px, py, pz, light, u0, v0, tileSize) {
+  const [sx, , sz] = torchSupport(meta);
+  const bx = 0.5 + sx * WALL_TORCH_OFFSET;
+  const bz = 0.5 + sz * WALL_TORCH_OFFSET;
+  const by = sx !== 0 || sz !== 0 ? WALL_TORCH_BASE : 0;
+  const lean = -WALL_TORCH_LEAN / TORCH_HEIGHT;
+
+  for (const face of FACES) {
+    const { dir, corners } = face;
+    if (dir[1] === -1) continue;
+    const start = buf.vi;
+    for (let i = 0; i < 4; i++) {
+      const c = corners[i];
+      const ly = c[1] * TORCH_HEIGHT;
+      buf.pos.push(
+        px + bx + (c[0] ? TORCH_HALF_WIDTH : -TORCH_HALF_WIDTH) + sx * lean * ly,
+        py + by + ly,
+        pz + bz + (c[2] ? TORCH_HALF_WIDTH : -TORCH_HALF_WIDTH) + sz * lean * ly,
+      );
+      buf.norm.push(dir[0], dir[1], dir[2]);
+      // Pixels 7-9 across; the sides span rows 6-16 and the top rows 6-8
+      const s = (7 + 2 * LOCAL_UV[i][0]) / 16;
+      const t = (6 + (dir[1] === 1 ? 2 : 10) * LOCAL_UV[i][1]) / 16;
+      pushUV(buf, s, t, u0, v0, tileSize);
+      const shade = face.bright * LIGHT_CURVE[light];
+      buf.col.push(shade, shade, shade);
+    }
+    buf.idx.push(start, start+1, start+2, start, start+2, start+3);
+    buf.vi += 4;
+  }
+}
+
+// Shaped blocks made of boxes (block-shapes.js), textured with the part of
+// each face the box covers. Faces on the block's boundary are hidden by
+// opaque neighbours and lit from them; inner faces take the block's own light.
+function emitBoxes(buf, boxes, blockType, meta, x, y, z, wx, wz, blockAt, lightAt, uvTable, tileSize, tintIdx) {
+  const p = [0, 0, 0];
+  for (const box of boxes) {
+    for (const face of FACES) {
+      const { dir, corners, axis } = face;
+      const boundary = dir[axis] > 0 ? box[axis + 3] === 1 : box[axis] === 0;
+      let light;
+      if (boundary) {
+        if (!TRANSPARENT[blockAt(x + dir[0], y + dir[1], z + dir[2])]) continue;
+        light = lightAt(x + dir[0], y + dir[1], z + dir[2]);
+      } else {
+        light = lightAt(x, y, z);
+      }
+
+      const uvSlot = blockType * 6 + (STATE_TEXTURE[blockType] ? textureFace(blockType, meta, face.face) : face.face);
+      const uvBase = uvSlot * 2;
+      const shade = face.bright * LIGHT_CURVE[light];
+      const tint = tintFor(uvSlot, tintIdx);
+      const start = buf.vi;
+      for (let i = 0; i < 4; i++) {
+        const c = corners[i];
+        for (let a = 0; a < 3; a++) p[a] = c[a] ? box[a + 3] : box[a];
+        buf.pos.push(wx + x + p[0], y + p[1], wz + z + p[2]);
+        buf.norm.push(dir[0], dir[1], dir[2]);
+        const s = face.sFlip ? 1 - p[face.sAxis] : p[face.sAxis];
+        const t = face.tFlip ? 1 - p[face.tAxis] : p[face.tAxis];
+        pushUV(buf, s, t, uvTable[uvBase], uvTable[uvBase + 1], tileSize);
+        pushColor(buf, shade, tint);
+      }
+      buf.idx.push(start, start+1, start+2, start, start+2, start+3);
+      buf.vi += 4;
+    }
+  }
+}
+
+// Cross plants: two quads along the block's diagonals, wound both ways so
+// they show from either side
+const CROSS_BRIGHT = 0.8;
+const CROSS_QUADS = [[0, 0, 1, 1], [0, 1, 1, 0]];
+
+function emitCross(buf, px, py, pz, light, u0, v0, tileSize, tint) {
+  const shade = CROSS_BRIGHT * LIGHT_CURVE[light];
+  for (const [ax, az, bx, bz] of CROSS_QUADS) {
+    const start = buf.vi;
+    const quad = [[ax, 0, az], [bx, 0, bz], [bx, 1, bz], [ax, 1, az]];
+    for (let i = 0; i < 4; i++) {
+      const c = quad[i];
+      buf.pos.push(px + c[0], py + c[1], pz + c[2]);
+      buf.norm.push(0, 1, 0);
+      pushUV(buf, LOCAL_UV[i][0], LOCAL_UV[i][1], u0, v0, tileSize);
+      pushColor(buf, shade, tint);
+    }
+    buf.idx.push(start, start+1, start+2, start, start+2, start+3);
+    buf.idx.push(start, start+2, start+1, start, start+3, start+2);
+    buf.vi += 4;
+  }
+}
+
+// Merge runs of equal mask keys into rectangles, slice by slice, within the
+// blocks from `lo` to `hi` (exclusive) on each axis
+function mergeFaces(buf, faceIndex, lo, hi, wx, wz, uvTable, tileSize) {
+  const face = FACES[faceIndex];
+  const mask = MASKS[faceIndex];
+  const tints = TINTS[faceIndex];
+  const a = face.axis;
+  const u = a === 0 ? 1 : 0;
+  const v = a === 2 ? 1 : 2;
+  const p = [0, 0, 0];
+  const ext = [1, 1, 1];
+  const at = (j, k) => {
+    p[u] = j;
+    p[v] = k;
+    return cellIndex(p[0], p[1], p[2]);
+  };
+
+  for (let slice = lo[a]; slice < hi[a]; slice++) {
+    p[a] = slice;
+    for (let j = lo[u]; j < hi[u]; j++) {
+      for (let k = lo[v]; k < hi[v];) {
+        const key = mask[at(j, k)];
+        if (key === 0) { k++; continue; }
+        const tintKey = tints[at(j, k)];
+        const same = (jj, kk) => mask[at(jj, kk)] === key && tints[at(jj, kk)] === tintKey;
+
+        let h = 1;
+        while (k + h < hi[v] && same(j, k + h)) h++;
+        let w = 1;
+        grow: while (j + w < hi[u]) {
+          for (let n = 0; n < h; n++) {
+            if (!same(j + w, k + n)) break grow;
+          }
+          w++;
+        }
+        for (let dj = 0; dj < w; dj++) {
+          for (let n = 0; n < h; n++) mask[at(j + dj, k + n)] = 0;
+        }
+
+        const level = ((key - 1) >> 4) & 3;
+        const uvSlot = (key - 1) >> 6;
+        const uvBase = uvSlot * 2;
+        const tint = tintKey ? tintFor(uvSlot, tintKey - 1) : null;
+        ext[u] = w;
+        ext[v] = h;
+        p[u] = j;
+        p[v] = k;
+        emitQuad(buf, face, wx + p[0], p[1], wz + p[2], ext, [level, level, level, level], (key - 1) & MAX_LIGHT,
+          uvTable[uvBase], uvTable[uvBase + 1], tileSize, 1, true, tint);
+        ext[u] = 1;
+        ext[v] = 1;
+        k += h;
+      }
+    }
+  }
+}
+
+// Scratch space for sectionVisibility's flood fill
+const visited = new Uint8Array(CHUNK_SIZE * SECTION_HEIGHT * CHUNK_SIZE);
+const fillStack = new Int32Array(CHUNK_SIZE * SECTION_HEIGHT * CHUNK_SIZE);
+
+/**
+ * Which faces of a section are joined by open space (see sections.js): flood
+ * fill each region of non-opaque blocks and connect every face it touches.
+ */
+export function sectionVisibility(padded, section) {
+  const y0 = section * SECTION_HEIGHT;
+  // Cells are (x * SECTION_HEIGHT + y) * CHUNK_SIZE + z, y from the section base
+  const cell = (x, y, z) => (x * SECTION_HEIGHT + y) * CHUNK_SIZE + z;
+  visited.fill(0);
+  let visibility = 0;
+
+  for (let start = 0; start < visited.length; start++) {
+    if (visited[start]) continue;
+    const sz = start % CHUNK_SIZE;
+    const sy = Math.floor(start / CHUNK_SIZE) % SECTION_HEIGHT;
+    const sx = Math.floor(start / (CHUNK_SIZE * SECTION_HEIGHT));
+    visited[start] = 1;
+    if (!TRANSPARENT[padded[pIndex(sx, y0 + sy, sz)]]) continue;
+
+    let faces = 0;
+    let top = 0;
+    fillStack[top++] = start;
+    while (top > 0) {
+      const c = fillStack[--top];
+      const z = c % CHUNK_SIZE;
+      const y = Math.floor(c / CHUNK_SIZE) % SECTION_HEIGHT;
+      const x = Math.floor(c / (CHUNK_SIZE * SECTION_HEIGHT));
+      if (y === SECTION_HEIGHT - 1) faces |= 1;
+      if (y === 0) faces |= 2;
+      if (z === CHUNK_SIZE - 1) faces |= 4;
+      if (z === 0) faces |= 8;
+      if (x === CHUNK_SIZE - 1) faces |= 16;
+      if (x === 0) faces |= 32;
+      for (const { dir: [dx, dy, dz] } of FACES) {
+        const nx = x + dx, ny = y + dy, nz = z + dz;
+        if (nx < 0 || nx >= CHUNK_SIZE || ny < 0 || ny >= SECTION_HEIGHT || nz < 0 || nz >= CHUNK_SIZE) continue;
+        const n = cell(nx, ny, nz);
+        if (visited[n]) continue;
+        visited[n] = 1;
+        if (TRANSPARENT[padded[pIndex(nx, y0 + ny, nz)]]) fillStack[top++] = n;
+      }
+    }
+    visibility |= connectFaces(faces);
+  }
+  return visibility;
+}
+
+/**
+ * Build geometry data for one section of a chunk (padChunk's output plus the
+ * section index and atlas data). Returns { solid, water, glass, visibility }:
+ * `visibility` is the section's sectionVisibility, and the others are each
+ * { pos, norm, uv, col, idx, tile, depth } typed arrays or null if that layer
+ * is empty; `depth` (water only) is each vertex's depth of water in blocks.
+ * With `greedy`, coplanar opaque faces with the same texture and uniform AO are
+ * merged into larger quads, and the solid layer is tiled (`tile` holds each
+ * vertex's atlas tile origin; it is null otherwise). Without `ao`, faces get
+ * no corner shading.
+ */
+export function buildSectionMesh(padded, meta, light, biome, neighbors, cx, cz, section, uvTable, tileSize, greedy = false, ao = true) {
+  const solid = createBuffer(greedy);
+  const water = createBuffer(false, true);
+  const glass = createBuffer();
+
+  const wx = cx * CHUNK_SIZE;
+  const wz = cz * CHUNK_SIZE;
+  const y0 = section * SECTION_HEIGHT;
+  const y1 = y0 + SECTION_HEIGHT;
+
+  const blockAt = (x, y, z) => (y < 0 || y >= WORLD_HEIGHT ? BlockType.AIR : padded[pIndex(x, y, z)]);
+  const solidAt = (x, y, z) => SOLID[blockAt(x, y, z)];
+  // Brighter of sky and block light; open sky above the world, dark below
+  const lightAt = (x, y, z) => {
+    if (y >= WORLD_HEIGHT) return MAX_LIGHT;
+    if (y < 0) return 0;
+    const l = light[pIndex(x, y, z)];
+    return Math.max(l >> 4, l & MAX_LIGHT);
+  };
+  const aoValues = [0, 0, 0, 0];
+  // Water blocks from (x, y, z) down to the floor, for the water shader's
+  // absorption; capped, since anything deeper looks the same
+  const waterDepthAt = (x, y, z) => {
+    let depth = 0;
+    while (depth < MAX_WATER_DEPTH && y - depth >= 0 && isWaterBlock(padded[pIndex(x, y - depth, z)])) depth++;
+    return depth;
+  };
+
+  for (let x = 0; x < CHUNK_SIZE; x++) {
+    for (let y = y0; y < y1; y++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        const blockType = padded[pIndex(x, y, z)];
+        if (blockType === BlockType.AIR) continue;
+        const blockMeta = meta[pIndex(x, y, z)];
+        const tintIdx = tintIndex(biome, x * CHUNK_SIZE + z);
+
+        if (SHAPED[blockType]) {
+          const shape = BlockData[blockType].shape;
+          const uvBase = blockType * 6 * 2;
+          if (shape === 'torch') {
+            emitTorch(solid, blockMeta, wx + x, y, wz + z, lightAt(x, y, z),
+              uvTable[uvBase], uvTable[uvBase + 1], tileSize);
+          } else if (shape === 'cross') {
+            emitCross(solid, wx + x, y, wz + z, lightAt(x, y, z),
+              uvTable[uvBase], uvTable[uvBase + 1], tileSize, tintFor(blockType * 6, tintIdx));
+          } else {
+            const boxes = shapeBoxes(blockType, blockMeta, 'model', (dx, dy, dz) => blockAt(x + dx, y + dy, z + dz));
+            emitBoxes(shape === 'pane' ? glass : solid, boxes, blockType, blockMeta, x, y, z, wx, wz,
+              blockAt, lightAt, uvTable, tileSize, tintIdx);
+          }
+          continue;
+        }
+
+        const isWater = isWaterBlock(blockType);
+        const isGlass = blockType === BlockType.GLASS;
+        const isTransparent = TRANSPARENT[blockType];
+        const waterDepth = isWater ? waterDepthAt(x, y, z) - 1 + waterHeight(blockMeta) : 0;
+
+        for (let f = 0; f < FACES.length; f++) {
+          const face = FACES[f];
+          const { dir, corners } = face;
+          const nx = x + dir[0];
+          const ny = y + dir[1];
+          const nz = z + dir[2];
+
+          // For water at chunk borders, treat unloaded chunks as opaque
+          // so water doesn't render faces into the void
+          if (isWater) {
+            if (nx < 0 && !(neighbors & NEIGHBOR_NEG_X)) continue;
+            if (nx >= CHUNK_SIZE && !(neighbors & NEIGHBOR_POS_X)) continue;
+            if (nz < 0 && !(neighbors & NEIGHBOR_NEG_Z)) continue;
+            if (nz >= CHUNK_SIZE && !(neighbors & NEIGHBOR_POS_Z)) continue;
+          }
+          const neighbor = blockAt(nx, ny, nz);
+          const neighborTransparent = TRANSPARENT[neighbor];
+
+          if (neighbor === blockType && !isWater) continue;
+          if (!isTransparent && !neighborTransparent) continue;
+          // Faces between full water blocks are hidden
+          if (isWater && neighbor === BlockType.WATER && blockMeta === 0 && meta[pIndex(nx, ny, nz)] === 0) continue;
+          if (isWater && !neighborTransparent && neighbor !== BlockType.AIR) continue;
+          if (isTransparent && !isWater && neighbor === blockType) continue;
+
+          // AO
+          for (let i = 0; i < 4; i++) {
+            const cx_ = x + corners[i][0];
+            const cy_ = y + corners[i][1];
+            const cz_ = z + corners[i][2];
+
+            if (isWater || isGlass || !ao) {
+              aoValues[i] = 3;
+            } else {
+              const s1 = solidAt(cx_ + dir[0], cy_ - (1 - Math.abs(dir[1])), cz_ + dir[2]);
+              const s2 = solidAt(cx_ - (1 - Math.abs(dir[0])), cy_ + dir[1], cz_ - (1 - Math.abs(dir[2])));
+              const c_ = solidAt(cx_ + dir[0] - (1 - Math.abs(dir[0])), cy_ + dir[1] - (1 - Math.abs(dir[1])), cz_ + dir[2] - (1 - Math.abs(dir[2])));
+              aoValues[i] = vertexAO(s1, s2, c_);
+            }
+          }
+
+          // Faces are lit by the cell they face
+          const faceLight = lightAt(nx, ny, nz);
+          const uvSlot = (isWater ? BlockType.WATER : blockType) * 6 +
+            (STATE_TEXTURE[blockType] ? textureFace(blockType, blockMeta, face.face) : face.face);
+
+          // Opaque faces with the same AO at every corner are left for the
+          // greedy pass; merging uneven AO would smear the shading
+          if (greedy && !isTransparent &&
+              aoValues[0] === aoValues[1] && aoValues[1] === aoValues[2] && aoValues[2] === aoValues[3]) {
+            MASKS[f][cellIndex(x, y, z)] = ((uvSlot << 6) | (aoValues[0] << 4) | faceLight) + 1;
+            TINTS[f][cellIndex(x, y, z)] = TINT_KIND[uvSlot] ? tintIdx + 1 : 0;
+            continue;
+          }
+
+          const uvBase = uvSlot * 2;
+          const buf = isWater ? water : isGlass ? glass : solid;
+          const wh = isWater ? waterHeight(blockMeta) : 1;
+          emitQuad(buf, face, wx + x, y, wz + z, UNIT, aoValues, faceLight,
+            uvTable[uvBase], uvTable[uvBase + 1], tileSize, wh, !isWater && !isGlass, tintFor(uvSlot, tintIdx));
+          if (buf.depth) buf.depth.push(waterDepth, waterDepth, waterDepth, waterDepth);
+        }
+      }
+    }
+  }
+
+  if (greedy) {
+    const lo = [0, y0, 0];
+    const hi = [CHUNK_SIZE, y1, CHUNK_SIZE];
+    for (let f = 0; f < FACES.length; f++) mergeFaces(solid, f, lo, hi, wx, wz, uvTable, tileSize);
+  }
+
+  return {
+    solid: finishBuffer(solid),
+    water: finishBuffer(water),
+    glass: finishBuffer(glass),
+    visibility: sectionVisibility(padded, section),
+  };
+}
+
+// Every ArrayBuffer in a list of buildSectionMesh results, for postMessage
+// transfer lists
+export function meshTransferables(meshes) {
+  const list = [];
+  for (const mesh of meshes) {
+    for (const layer of [mesh.solid, mesh.water, mesh.glass]) {
+      if (!layer) continue;
+      list.push(layer.pos.buffer, layer.norm.buffer, layer.uv.buffer, layer.col.buffer, layer.idx.buffer);
+      if (layer.tile) list.push(layer.tile.buffer);
+      if (layer.depth) list.push(layer.depth.buffer);
+    }
+  }
+  return list;
+}
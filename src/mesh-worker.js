@@ -0,0 +1,26 @@
+// Mesh worker: turns padded chunk data into geometry buffers off the main thread.
+// Messages in:  { type: 'content', content } (block definitions, see content.js)
+//               { type: 'atlas', uvTable, tileSize }
+//               { type: 'mesh', key, cx, cz, padded, meta, light, biome, neighbors, sections, greedy, ao }
+// Messages out: { key, meshes } with one mesh per entry of `sections`, buffers
+//               transferred
+
+import { buildSectionMesh, meshTransferables } from './mesh-builder.js';
+import { installContent } from './content.js';
+
+let uvTable = null;
+let tileSize = 0;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'content') {
+    installContent(msg.content);
+  } else if (msg.type === 'atlas') {
+    uvTable = msg.uvTable;
+    tileSize = msg.tileSize;
+  } else if (msg.type === 'mesh') {
+    const meshes = msg.sections.map(section =>
+      buildSectionMesh(msg.padded, msg.meta, msg.light, msg.biome, msg.neighbors, msg.cx, msg.cz, section, uvTable, tileSize, msg.greedy, msg.ao));
+    self.postMessage({ key: msg.key, meshes }, meshTransferables(meshes));
+  }
+};
@@ -0,0 +1,228 @@
+// Save-format versioning.
+//
+// Every world slot carries a manifest ({ formatVersion, chunkSize, worldHeight,
+// blockNames }) describing the layout its data was written in. `blockNames`
+// lists the block name each stored block id stands for (SavedIdTable in
+// registry.js). When a world loads, each
+// migration newer than its formatVersion runs in order and the manifest is
+// bumped after every step, so an interrupted upgrade resumes where it stopped.
+//
+// To change the save layout: bump SAVE_FORMAT_VERSION and append a step whose
+// `version` equals the new number. Steps receive a context with:
+//   manifest                  the manifest being upgraded (mutable)
+//   getState / setState / removeState(name)   raw per-world localStorage values
+//   updateChunks(fn)          fn({ blocks, meta }, key) returns new { blocks, meta }
+//                             or undefined
+//   updateMobs(fn)            fn(mobs) returns a new array or undefined
+
+import { CHUNK_SIZE, WORLD_HEIGHT } from './world.js';
+import { Facing, META_TOP, META_OPEN } from './blocks.js';
+
+export const SAVE_FORMAT_VERSION = 4;
+
+const HOTBAR_SLOTS = 9;
+const MAIN_SLOTS = 27;
+
+// Worlds saved before manifests existed
+export const LEGACY_MANIFEST = { formatVersion: 1, chunkSize: 16, worldHeight: 128 };
+
+export function currentManifest(blockNames = []) {
+  return { formatVersion: SAVE_FORMAT_VERSION, chunkSize: CHUNK_SIZE, worldHeight: WORLD_HEIGHT, blockNames };
+}
+
+export class SaveMigrationError extends Error {
+  constructor(message, { from, to, cause } = {}) {
+    super(message, { cause });
+    this.name = 'SaveMigrationError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Block and item ids as saves before format v4 stored them, by name. Those
+// saves used the ids directly, so this table is frozen: it must not follow
+// changes to the registries.
+export const LEGACY_BLOCK_NAMES = [
+  'minecraft:air', 'minecraft:grass', 'minecraft:dirt', 'minecraft:stone', 'minecraft:sand',
+  'minecraft:water', 'minecraft:oak_log', 'minecraft:oak_leaves', 'minecraft:bedrock', 'minecraft:gravel',
+  'minecraft:coal_ore', 'minecraft:iron_ore', 'minecraft:cobblestone', 'minecraft:oak_planks', 'minecraft:snow',
+  'minecraft:glass', 'minecraft:brick', null, null, null,
+  'minecraft:crafting_table', 'minecraft:gold_ore', 'minecraft:torch', null, null,
+  null, null, 'minecraft:lantern', 'minecraft:glowstone', 'minecraft:oak_slab',
+  null, 'minecraft:oak_stairs', null, null, null,
+  'minecraft:oak_fence', 'minecraft:glass_pane', 'minecraft:oak_door', null, null,
+  null, null, null, null, null,
+  'minecraft:tall_grass',
+];
+const LEGACY_ITEM_NAMES = { 1000: 'minecraft:stick', 1001: 'minecraft:wooden_axe' };
+const LEGACY = { WATER: 5, TORCH: 22, OAK_SLAB: 29, OAK_STAIRS: 31, OAK_DOOR: 37 };
+
+// Block ids that format v3 folded into metadata: old id -> [id, metadata].
+// Door tops also take the facing and open state of the door below them.
+const RETIRED_BLOCKS = new Map([
+  [17, [LEGACY.WATER, 1]],                           // water 25%
+  [18, [LEGACY.WATER, 2]],                           // water 50%
+  [19, [LEGACY.WATER, 3]],                           // water 75%
+  [23, [LEGACY.TORCH, 1 + Facing.NORTH]],            // wall torches
+  [24, [LEGACY.TORCH, 1 + Facing.SOUTH]],
+  [25, [LEGACY.TORCH, 1 + Facing.EAST]],
+  [26, [LEGACY.TORCH, 1 + Facing.WEST]],
+  [30, [LEGACY.OAK_SLAB, META_TOP]],                 // top slab
+  [32, [LEGACY.OAK_STAIRS, Facing.SOUTH]],           // stairs
+  [33, [LEGACY.OAK_STAIRS, Facing.EAST]],
+  [34, [LEGACY.OAK_STAIRS, Facing.WEST]],
+  [38, [LEGACY.OAK_DOOR, Facing.SOUTH]],             // doors
+  [39, [LEGACY.OAK_DOOR, Facing.EAST]],
+  [40, [LEGACY.OAK_DOOR, Facing.WEST]],
+  [41, [LEGACY.OAK_DOOR, META_OPEN | Facing.NORTH]],
+  [42, [LEGACY.OAK_DOOR, META_OPEN | Facing.SOUTH]],
+  [43, [LEGACY.OAK_DOOR, META_OPEN | Facing.EAST]],
+  [44, [LEGACY.OAK_DOOR, META_OPEN | Facing.WEST]],
+  [45, [LEGACY.OAK_DOOR, META_TOP]],                 // door top
+]);
+const RETIRED_DOOR_TOP = 45;
+
+// Whether `id` is a block id that an older save may hold but this build only
+// reaches through a migration
+export function isRetiredBlockId(id) {
+  return RETIRED_BLOCKS.has(id);
+}
+
+function parseJSON(raw) {
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'merge hotbar_v2/personalInventory into inventory_v3',
+    async migrate(ctx) {
+      if (ctx.getState('inventory_v3') !== null) {
+        ctx.removeState('hotbar_v2');
+        ctx.removeState('blockCounts');
+        ctx.removeState('personalInventory');
+        return;
+      }
+
+      const slots = new Array(HOTBAR_SLOTS + MAIN_SLOTS).fill(null);
+      let migrated = false;
+      const personal = parseJSON(ctx.getState('personalInventory'));
+      if (Array.isArray(personal)) {
+        for (let i = 0; i < Math.min(personal.length, MAIN_SLOTS); i++) {
+          const s = personal[i];
+          const count = Number(s?.count);
+          if (s && Number.isInteger(s.type) && s.type > 0 && Number.isFinite(count) && count > 0) {
+            slots[HOTBAR_SLOTS + i] = { type: s.type, count };
+            migrated = true;
+          }
+        }
+      }
+      // hotbar_v2 listed block types; move a matching stack from main into each slot
+      const hotbar = parseJSON(ctx.getState('hotbar_v2'));
+      if (Array.isArray(hotbar)) {
+        for (let i = 0; i < Math.min(hotbar.length, HOTBAR_SLOTS); i++) {
+          const t = hotbar[i];
+          if (!Number.isInteger(t) || t <= 0) continue;
+          for (let j = HOTBAR_SLOTS; j < slots.length; j++) {
+            if (slots[j] && slots[j].type === t) {
+              slots[i] = slots[j];
+              slots[j] = null;
+              break;
+            }
+          }
+        }
+      }
+
+      if (migrated) ctx.setState('inventory_v3', JSON.stringify(slots));
+      ctx.removeState('hotbar_v2');
+      ctx.removeState('blockCounts');
+      ctx.removeState('personalInventory');
+    },
+  },
+  {
+    version: 3,
+    description: 'fold orientation and water level block ids into block metadata',
+    async migrate(ctx) {
+      await ctx.updateChunks(({ blocks, meta }) => {
+        let changed = false;
+        // Storage order walks up each column, so a door's lower half is
+        // converted before the top above it
+        for (let i = 0; i < blocks.length; i++) {
+          const retired = RETIRED_BLOCKS.get(blocks[i]);
+          if (!retired) continue;
+          const doorTop = blocks[i] === RETIRED_DOOR_TOP;
+          [blocks[i], meta[i]] = retired;
+          const y = Math.floor(i / CHUNK_SIZE) % WORLD_HEIGHT;
+          if (doorTop && y > 0 && blocks[i - CHUNK_SIZE] === LEGACY.OAK_DOOR) {
+            meta[i] |= meta[i - CHUNK_SIZE] & ~META_TOP;
+          }
+          changed = true;
+        }
+        return changed ? { blocks, meta } : undefined;
+      });
+    },
+  },
+  {
+    version: 4,
+    description: 'record block names for stored ids and save inventories by name',
+    async migrate(ctx) {
+      // Stored chunks keep their ids; the manifest now says what they mean
+      ctx.manifest.blockNames = LEGACY_BLOCK_NAMES;
+
+      const slots = parseJSON(ctx.getState('inventory_v3'));
+      if (!Array.isArray(slots)) return;
+      const named = slots.map((s) => {
+        const name = LEGACY_BLOCK_NAMES[s?.type] ?? LEGACY_ITEM_NAMES[s?.type];
+        return name ? { type: name, count: s.count } : null;
+      });
+      ctx.setState('inventory_v3', JSON.stringify(named));
+    },
+  },
+];
+
+/**
+ * Upgrade a world's data to SAVE_FORMAT_VERSION. `ctx` is built by save.js
+ * around the world's database and localStorage keys; `ctx.writeManifest` is
+ * called after each completed step. Throws SaveMigrationError on failure.
+ */
+export async function runMigrations(ctx) {
+  const manifest = ctx.manifest;
+  const from = manifest.formatVersion;
+
+  if (!Number.isInteger(from) || from < 1) {
+    throw new SaveMigrationError(`World has an invalid save format version (${from})`, { from });
+  }
+  if (from > SAVE_FORMAT_VERSION) {
+    throw new SaveMigrationError(
+      `World was saved by a newer version of the game (format v${from}, this build reads up to v${SAVE_FORMAT_VERSION})`,
+      { from, to: SAVE_FORMAT_VERSION },
+    );
+  }
+
+  for (const step of MIGRATIONS) {
+    if (step.version <= manifest.formatVersion) continue;
+    try {
+      await step.migrate(ctx);
+    } catch (err) {
+      throw new SaveMigrationError(
+        `Could not upgrade world from format v${manifest.formatVersion} to v${step.version} (${step.description}): ${err.message || err}`,
+        { from: manifest.formatVersion, to: step.version, cause: err },
+      );
+    }
+    manifest.formatVersion = step.version;
+    ctx.writeManifest(manifest);
+  }
+
+  // Geometry changes need an explicit step that rewrites the chunks
+  if (manifest.chunkSize !== CHUNK_SIZE || manifest.worldHeight !== WORLD_HEIGHT) {
+    throw new SaveMigrationError(
+      `World was saved with ${manifest.chunkSize}x${manifest.worldHeight} chunks but this build uses ${CHUNK_SIZE}x${WORLD_HEIGHT}, and no migration converts them`,
+      { from, to: SAVE_FORMAT_VERSION },
+    );
+  }
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { BlockData, isWaterBlock } from './blocks.js';
+import { textureURL } from './resource-packs.js';
+import { addShadows } from './shadows.js';
 
 // Cache for mob textures
 const _mobTextureCache = {};
@@ -7,7 +9,7 @@ function getMobTexture(name) {
   if (_mobTextureCache[name]) return _mobTextureCache[name];
   const saved = localStorage.getItem('tex:' + name);
   const loader = new THREE.TextureLoader();
-  const tex = loader.load(saved || `/textures/${name}.png`);
+  const tex = loader.load(saved || textureURL(name));
   tex.magFilter = THREE.NearestFilter;
   tex.minFilter = THREE.NearestFilter;
   tex.colorSpace = THREE.SRGBColorSpace;
@@ -123,67 +125,39 @@ class Mob {
     const pMinZ = this.position.z - hw;
     const pMaxZ = this.position.z + hw;
 
-    const bx0 = Math.floor(pMinX);
-    const bx1 = Math.floor(pMaxX);
-    const by0 = Math.floor(pMinY);
-    const by1 = Math.floor(pMaxY);
-    const bz0 = Math.floor(pMinZ);
-    const bz1 = Math.floor(pMaxZ);
-
-    for (let bx = bx0; bx <= bx1; bx++) {
-      for (let by = by0; by <= by1; by++) {
-        for (let bz = bz0; bz <= bz1; bz++) {
-          if (!this.world.isSolid(bx, by, bz)) continue;
-
-          if (pMaxX > bx && pMinX < bx + 1 &&
-              pMaxY > by && pMinY < by + 1 &&
-              pMaxZ > bz && pMinZ < bz + 1) {
-            if (axis === 1) {
-              if (delta < 0) {
-                this.position.y = by + 1 + h;
-                this.onGround = true;
-              } else {
-                this.position.y = by - eps;
-              }
-              this.velocity.y = 0;
-              return;
-            } else {
-              // Auto-step: step up 1 block if on ground
-              const feetY = Math.floor(this.position.y - h + eps);
-              if (this.onGround && by === feetY) {
-                const stepY = this.position.y + 1;
-                const sMinY = Math.floor(stepY - h + eps);
-                const sMaxY = Math.floor(stepY);
-                let canStep = true;
-                for (let sx = bx0; sx <= bx1 && canStep; sx++) {
-                  for (let sy = sMinY; sy <= sMaxY && canStep; sy++) {
-                    for (let sz = bz0; sz <= bz1 && canStep; sz++) {
-                      if (this.world.isSolid(sx, sy, sz)) canStep = false;
-                    }
-                  }
-                }
-                if (canStep) {
-                  this.position.y = by + 1 + h;
-                  return;
-                }
-              }
-              if (axis === 0) {
-                if (delta > 0) this.position.x = bx - hw - eps;
-                else this.position.x = bx + 1 + hw + eps;
-              } else {
-                if (delta > 0) this.position.z = bz - hw - eps;
-                else this.position.z = bz + 1 + hw + eps;
-              }
-              return;
-            }
-          }
-        }
-      }
+    // Block shapes are made of boxes, not just whole blocks
+    const boxes = this.world.collidingBoxes(pMinX, pMinY, pMinZ, pMaxX, pMaxY, pMaxZ);
+    if (boxes.length === 0) {
+      if (axis === 1) this.onGround = false;
+      return;
     }
 
+    // Resolve against the box furthest into the movement
     if (axis === 1) {
-      this.onGround = false;
+      if (delta < 0) {
+        this.position.y = Math.max(...boxes.map(b => b[4])) + h;
+        this.onGround = true;
+      } else {
+        this.position.y = Math.min(...boxes.map(b => b[1])) - eps;
+      }
+      this.velocity.y = 0;
+      return;
     }
+
+    // Auto-step: step up to one block if on ground
+    const top = Math.max(...boxes.map(b => b[4]));
+    if (this.onGround && top - (this.position.y - h) <= 1 + eps) {
+      const stepY = top + h;
+      if (this.world.collidingBoxes(pMinX, stepY - h + eps, pMinZ, pMaxX, stepY, pMaxZ).length === 0) {
+        this.position.y = stepY;
+        return;
+      }
+    }
+
+    const a = axis === 0 ? 0 : 2;
+    const pos = axis === 0 ? 'x' : 'z';
+    if (delta > 0) this.position[pos] = Math.min(...boxes.map(b => b[a])) - hw - eps;
+    else this.position[pos] = Math.max(...boxes.map(b => b[a + 3])) + hw + eps;
   }
 
   update(dt) {
@@ -290,9 +264,11 @@ export class Zombie extends Mob {
     this.rightLeg.position.set(0.125, 0.75, 0);
 
     this.group.add(this.head, this.body, this.leftArm, this.rightArm, this.leftLeg, this.rightLeg);
+    for (const part of this.group.children) part.castShadow = true;
 
     // Store materials for flash effect
     this._materials = [headFaceMat, headSideMat, headTopMat, bodyMat, armMat, legMat];
+    this._materials.forEach(addShadows);
     this._originalColors = this._materials.map(m => m.color.clone());
   }
 
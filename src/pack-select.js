@@ -0,0 +1,141 @@
+import { ResourcePacks } from './resource-packs.js';
+
+// Resource pack list overlay: add, remove, reorder and enable packs.
+// The active pack stack is fixed per page load (block definitions can't
+// change under a loaded world), so changes show a note offering a reload,
+// which saves through `save`/`close` from main first.
+export class PackSelect {
+  constructor(menu, { save, close }) {
+    this.menu = menu;
+    this.save = save;
+    this.close = close;
+    this._busy = false;
+
+    this.listEl = document.getElementById('pack-list');
+    this.noteEl = document.getElementById('packs-note');
+    this.reloadBtn = document.getElementById('btn-packs-reload');
+    this.reloadBtn.addEventListener('click', () => this._reload());
+
+    this.zipInput = document.getElementById('pack-zip-input');
+    this.folderInput = document.getElementById('pack-folder-input');
+    document.getElementById('btn-pack-add-zip').addEventListener('click', () => {
+      if (!this._busy) this.zipInput.click();
+    });
+    document.getElementById('btn-pack-add-folder').addEventListener('click', () => {
+      if (!this._busy) this.folderInput.click();
+    });
+    this.zipInput.addEventListener('change', () => {
+      const file = this.zipInput.files[0];
+      this.zipInput.value = '';
+      if (file) this._import(() => ResourcePacks.importZip(file));
+    });
+    this.folderInput.addEventListener('change', () => {
+      const files = [...this.folderInput.files];
+      this.folderInput.value = '';
+      if (files.length) this._import(() => ResourcePacks.importFolder(files));
+    });
+
+    document.addEventListener('game-state-change', (e) => {
+      if (e.detail.state === 'packs') this._render();
+    });
+  }
+
+  async _render() {
+    let packs;
+    try {
+      packs = await ResourcePacks.list();
+    } catch (err) {
+      console.error('Failed to list resource packs', err);
+      const message = document.createElement('div');
+      message.className = 'world-meta';
+      message.textContent = `Could not read resource packs: ${err.message || err}`;
+      this.listEl.replaceChildren(message);
+      return;
+    }
+    this.listEl.innerHTML = '';
+    packs.forEach((pack, i) => {
+      const row = document.createElement('div');
+      row.className = pack.enabled ? 'world-row active' : 'world-row';
+
+      const info = document.createElement('div');
+      info.className = 'world-info';
+      const name = document.createElement('div');
+      name.className = 'world-name';
+      name.textContent = pack.name;
+      const meta = document.createElement('div');
+      meta.className = 'world-meta';
+      meta.textContent = pack.description || (pack.enabled ? 'Enabled' : 'Disabled');
+      info.append(name, meta);
+      row.appendChild(info);
+
+      row.appendChild(this._button(pack.enabled ? 'On' : 'Off', () => ResourcePacks.setEnabled(pack.id, !pack.enabled)));
+      if (i > 0) row.appendChild(this._button('Up', () => ResourcePacks.move(pack.id, -1)));
+      if (i < packs.length - 1) row.appendChild(this._button('Down', () => ResourcePacks.move(pack.id, 1)));
+      row.appendChild(this._button('Remove', async () => {
+        if (!confirm(`Remove "${pack.name}"?`)) return false;
+        await ResourcePacks.remove(pack.id);
+      }));
+      this.listEl.appendChild(row);
+    });
+  }
+
+  // `onClick` changes the pack list; returning false means nothing changed
+  _button(label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'menu-btn';
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      if (this._busy) return;
+      this._busy = true;
+      Promise.resolve(onClick())
+        .then((changed) => {
+          if (changed !== false) this._changed();
+        })
+        .catch((err) => {
+          console.error(`Resource pack ${label.toLowerCase()} failed`, err);
+          alert(err.message || String(err));
+        })
+        .finally(() => {
+          this._busy = false;
+          this._render();
+        });
+    });
+    return btn;
+  }
+
+  async _import(read) {
+    if (this._busy) return;
+    this._busy = true;
+    try {
+      const record = await read();
+      this._changed();
+      alert(`Added "${record.name}".`);
+    } catch (err) {
+      console.error('Resource pack import failed', err);
+      alert(err.message || String(err));
+    } finally {
+      this._busy = false;
+      this._render();
+    }
+  }
+
+  _changed() {
+    this.noteEl.classList.remove('hidden');
+    this.reloadBtn.classList.remove('hidden');
+  }
+
+  async _reload() {
+    if (this._busy) return;
+    this._busy = true;
+    try {
+      await this.save();
+    } catch (err) {
+      console.error('Failed to save before reloading', err);
+      this._busy = false;
+      alert(`Could not save the world: ${err.message || err}`);
+      return;
+    }
+    this.close();
+    location.reload();
+  }
+}
@@ -0,0 +1,156 @@
+// Adaptive performance governor. Watches the frame time and steps a budget
+// down a ladder of levels when frames run slower than the target frame rate,
+// and back up once they have been comfortably fast for a while. Each level
+// trims, in order of how much they cost to give up: how many generated
+// chunks and finished section meshes are taken in per frame, then the
+// resolution, then the render distance. The graphics settings' render
+// distance and resolution are the upper bounds; the budget never goes above
+// them.
+//
+// With vsync the time between frames never drops below the display's
+// refresh interval, so a target above the refresh rate aims for the refresh
+// rate instead. Stepping up needs frames that meet the target and a game
+// loop with time to spare; the loop's time alone misses GPU work, which
+// renderer.render() doesn't wait for. Each time the governor has to step
+// back down from a level it just climbed to, it waits longer before trying
+// again, so a budget on the edge settles instead of swinging every few
+// seconds.
+
+// Per level: fraction of the set resolution, chunks added and section
+// meshes applied per frame, and chunks taken off the render distance
+const LEVELS = [
+  { resolution: 1, chunks: 4, meshes: 24, distanceCut: 0 },
+  { resolution: 1, chunks: 2, meshes: 12, distanceCut: 0 },
+  { resolution: 0.85, chunks: 2, meshes: 8, distanceCut: 0 },
+  { resolution: 0.7, chunks: 1, meshes: 6, distanceCut: 0 },
+  { resolution: 0.6, chunks: 1, meshes: 4, distanceCut: 2 },
+  { resolution: 0.5, chunks: 1, meshes: 3, distanceCut: 4 },
+];
+
+const MIN_RESOLUTION = 0.25;
+const MIN_RENDER_DISTANCE = 3;
+// Seconds of frames averaged before each decision
+const INTERVAL = 1;
+// Step down when the average frame takes this much longer than the target...
+const SLOW = 1.15;
+// ...and up after this many intervals in a row with frames on target (within
+// jitter) and the loop's work under this fraction of it
+const ON_TARGET = 1.05;
+const FAST = 0.5;
+const FAST_INTERVALS = 3;
+// Stepping back down right after a step up multiplies the intervals needed
+// before the next one, up to this many times; a climb that holds for
+// STICK intervals halves it again
+const MAX_BACKOFF = 16;
+const STICK = 30;
+// Longer frames (a hidden tab, a breakpoint) say nothing about rendering,
+// and shorter ones than a 240 Hz display's can't be a refresh interval
+const MAX_FRAME = 0.25;
+const MIN_REFRESH = 1 / 240;
+
+export class PerfGovernor {
+  constructor(settings) {
+    this.level = 0;
+    this.budget = null;
+    this._time = 0;
+    this._frames = 0;
+    this._work = 0;
+    this._fastIntervals = 0;
+    this._backoff = 1;
+    this._steppedUp = false;
+    this._held = 0;
+    // Shortest time between frames measureRefresh() saw
+    this.refreshInterval = Infinity;
+    this.setLimits(settings);
+  }
+
+  get levels() {
+    return LEVELS.length;
+  }
+
+  // Take the bounds and target from the graphics settings (graphics.js)
+  setLimits({ renderDistance, resolutionScale, adaptive, targetFps }) {
+    this._limits = { renderDistance, resolutionScale };
+    this.adaptive = adaptive;
+    this.targetFrame = 1 / targetFps;
+    this._backoff = 1;
+    if (!adaptive) this.level = 0;
+    this._updateBudget();
+  }
+
+  // Time a few frames before the game gets busy to find the display's
+  // refresh interval. Game frames can't be used: on a slow machine every one
+  // of them may take longer than the refresh.
+  measureRefresh(frames = 30) {
+    let last = null;
+    const step = (now) => {
+      const dt = (now - last) / 1000;
+      if (last !== null && dt >= MIN_REFRESH) this.refreshInterval = Math.min(this.refreshInterval, dt);
+      last = now;
+      if (--frames > 0) requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+  }
+
+  // The frame time aimed for: the target's, or the refresh interval if the
+  // display can't go that fast
+  get frameGoal() {
+    return Math.max(this.targetFrame, this.refreshInterval === Infinity ? 0 : this.refreshInterval);
+  }
+
+  // Feed one frame's time since the last and the seconds the game loop
+  // worked on it; returns true if the budget changed
+  update(dt, work) {
+    if (!this.adaptive || dt > MAX_FRAME) return false;
+    this._time += dt;
+    this._work += work;
+    this._frames++;
+    if (this._time < INTERVAL) return false;
+
+    const average = this._time / this._frames;
+    const averageWork = this._work / this._frames;
+    this._time = 0;
+    this._work = 0;
+    this._frames = 0;
+    const goal = this.frameGoal;
+    if (this._steppedUp && ++this._held >= STICK) {
+      this._steppedUp = false;
+      this._backoff = Math.max(1, this._backoff / 2);
+    }
+    let level = this.level;
+    if (average > goal * SLOW) {
+      this._fastIntervals = 0;
+      level = Math.min(LEVELS.length - 1, level + 1);
+      // The level just climbed to was too much: wait longer next time
+      if (level !== this.level && this._steppedUp) this._backoff = Math.min(MAX_BACKOFF, this._backoff * 2);
+      this._steppedUp = false;
+    } else if (average <= goal * ON_TARGET && averageWork < goal * FAST) {
+      if (++this._fastIntervals >= FAST_INTERVALS * this._backoff) {
+        this._fastIntervals = 0;
+        level = Math.max(0, level - 1);
+        this._steppedUp = level !== this.level;
+        this._held = 0;
+      }
+    } else {
+      this._fastIntervals = 0;
+    }
+    if (level === this.level) return false;
+    this.level = level;
+    return this._updateBudget();
+  }
+
+  // Returns true if the budget changed
+  _updateBudget() {
+    const step = LEVELS[this.level];
+    const { renderDistance, resolutionScale } = this._limits;
+    const budget = {
+      resolutionScale: Math.max(Math.min(MIN_RESOLUTION, resolutionScale), resolutionScale * step.resolution),
+      renderDistance: Math.max(Math.min(MIN_RENDER_DISTANCE, renderDistance), renderDistance - step.distanceCut),
+      chunksPerFrame: step.chunks,
+      meshesPerFrame: step.meshes,
+    };
+    const prev = this.budget;
+    this.budget = budget;
+    return !prev || Object.keys(budget).some(key => budget[key] !== prev[key]);
+  }
+}
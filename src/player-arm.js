@@ -1,14 +1,7 @@
 import * as THREE from 'three';
-
-// Item type constants (mirrored from crafting.js to avoid circular deps)
-const ITEM_STICK = 1000;
-const ITEM_WOODEN_AXE = 1001;
-
-// Texture paths for voxel-based tool rendering
-const ITEM_TEXTURES = {
-  [ITEM_WOODEN_AXE]: '/textures/wooden_axe.png',
-  [ITEM_STICK]: '/textures/stick.png',
-};
+import { ItemData } from './crafting.js';
+import { textureURL } from './resource-packs.js';
+import { addShadows } from './shadows.js';
 
 // Cache for loaded voxel meshes (shared across instances)
 const _voxelMeshCache = {};
@@ -101,7 +94,7 @@ function buildVoxelMeshFromImage(img) {
   geo.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
   geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
 
-  const mat = new THREE.MeshLambertMaterial({ vertexColors: true });
+  const mat = addShadows(new THREE.MeshLambertMaterial({ vertexColors: true }));
   return new THREE.Mesh(geo, mat);
 }
 
@@ -113,8 +106,8 @@ function loadVoxelTool(itemType) {
   if (_voxelMeshCache[itemType]) {
     return Promise.resolve(_voxelMeshCache[itemType].clone());
   }
-  const src = ITEM_TEXTURES[itemType];
-  if (!src) return Promise.resolve(null);
+  const texture = ItemData[itemType]?.texture;
+  if (!texture) return Promise.resolve(null);
 
   return new Promise((resolve) => {
     const img = new Image();
@@ -124,7 +117,7 @@ function loadVoxelTool(itemType) {
       resolve(mesh.clone());
     };
     img.onerror = () => resolve(null);
-    img.src = src;
+    img.src = textureURL(texture);
   });
 }
 
@@ -132,7 +125,7 @@ export class PlayerArm {
   constructor(camera) {
     this.group = new THREE.Group();
 
-    const skinMat = new THREE.MeshLambertMaterial({ color: 0xc49a6c });
+    const skinMat = addShadows(new THREE.MeshLambertMaterial({ color: 0xc49a6c }));
 
     // Forearm
     const armGeo = new THREE.BoxGeometry(0.1, 0.35, 0.1);
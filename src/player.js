@@ -263,75 +263,40 @@ export class Player {
     const pMinZ = this.position.z - hw;
     const pMaxZ = this.position.z + hw;
 
-    // Block range to check
-    const bx0 = Math.floor(pMinX);
-    const bx1 = Math.floor(pMaxX);
-    const by0 = Math.floor(pMinY);
-    const by1 = Math.floor(pMaxY);
-    const bz0 = Math.floor(pMinZ);
-    const bz1 = Math.floor(pMaxZ);
-
-    for (let bx = bx0; bx <= bx1; bx++) {
-      for (let by = by0; by <= by1; by++) {
-        for (let bz = bz0; bz <= bz1; bz++) {
-          if (!this.world.isSolid(bx, by, bz)) continue;
-
-          // Block occupies [bx, bx+1] x [by, by+1] x [bz, bz+1]
-          if (pMaxX > bx && pMinX < bx + 1 &&
-              pMaxY > by && pMinY < by + 1 &&
-              pMaxZ > bz && pMinZ < bz + 1) {
-            // Resolve collision by pushing player out along movement axis
-            if (axis === 1) {
-              if (delta < 0) {
-                this.position.y = by + 1 + h;
-                this.onGround = true;
-              } else {
-                this.position.y = by - eps;
-              }
-              this.velocity.y = 0;
-              return;
-            } else {
-              // Auto-step: on land, if obstacle is 1 block above feet, step up
-              const feetY = Math.floor(this.position.y - h + eps);
-              if (this.onGround && !this.inWater && by === feetY) {
-                // Check all blocks the player AABB would occupy one block higher
-                const stepY = this.position.y + 1;
-                const sMinY = Math.floor(stepY - h + eps);
-                const sMaxY = Math.floor(stepY);
-                let canStep = true;
-                for (let sx = bx0; sx <= bx1 && canStep; sx++) {
-                  for (let sy = sMinY; sy <= sMaxY && canStep; sy++) {
-                    for (let sz = bz0; sz <= bz1 && canStep; sz++) {
-                      if (this.world.isSolid(sx, sy, sz)) {
-                        canStep = false;
-                      }
-                    }
-                  }
-                }
-                if (canStep) {
-                  this.position.y = by + 1 + h;
-                  return;
-                }
-              }
-              // Normal push-out
-              if (axis === 0) {
-                if (delta > 0) this.position.x = bx - hw - eps;
-                else this.position.x = bx + 1 + hw + eps;
-              } else {
-                if (delta > 0) this.position.z = bz - hw - eps;
-                else this.position.z = bz + 1 + hw + eps;
-              }
-              return;
-            }
-          }
-        }
-      }
+    // Block shapes are made of boxes, not just whole blocks
+    const boxes = this.world.collidingBoxes(pMinX, pMinY, pMinZ, pMaxX, pMaxY, pMaxZ);
+    if (boxes.length === 0) {
+      // No Y collision — check if we're still on ground
+      if (axis === 1) this.onGround = false;
+      return;
     }
 
-    // No Y collision — check if we're still on ground
+    // Resolve against the box furthest into the movement
     if (axis === 1) {
-      this.onGround = false;
+      if (delta < 0) {
+        this.position.y = Math.max(...boxes.map(b => b[4])) + h;
+        this.onGround = true;
+      } else {
+        this.position.y = Math.min(...boxes.map(b => b[1])) - eps;
+      }
+      this.velocity.y = 0;
+      return;
     }
+
+    // Auto-step: on land, step up onto anything up to one block above the feet
+    const top = Math.max(...boxes.map(b => b[4]));
+    if (this.onGround && !this.inWater && top - (this.position.y - h) <= 1 + eps) {
+      const stepY = top + h;
+      if (this.world.collidingBoxes(pMinX, stepY - h + eps, pMinZ, pMaxX, stepY, pMaxZ).length === 0) {
+        this.position.y = stepY;
+        return;
+      }
+    }
+
+    const a = axis === 0 ? 0 : 2;
+    const pos = axis === 0 ? 'x' : 'z';
+    if (delta > 0) this.position[pos] = Math.min(...boxes.map(b => b[a])) - hw - eps;
+    else this.position[pos] = Math.max(...boxes.map(b => b[a + 3])) + hw + eps;
   }
 
   getState() {
@@ -0,0 +1,121 @@
+// Name-keyed registries for game content.
+//
+// Every block and item has a namespaced name ('minecraft:stone') and is handed
+// a numeric id when registered. The ids are for fast lookups at runtime only:
+// they follow registration order, so adding content can shift them between
+// builds. Anything persisted stores names instead, or ids together with the
+// names they stood for (SavedIdTable).
+
+export const NAMESPACE = 'minecraft';
+
+const NAME_RE = /^[a-z0-9_]+:[a-z0-9_/]+$/;
+
+export class Registry {
+  constructor(kind, { firstId = 0, limit = Infinity } = {}) {
+    this.kind = kind;
+    this.firstId = firstId;
+    this.limit = limit;
+    this._ids = new Map();
+    this._names = [];
+  }
+
+  // Hand out the next id for `name` (a bare name gets the default namespace)
+  register(name) {
+    const full = name.includes(':') ? name : `${NAMESPACE}:${name}`;
+    if (!NAME_RE.test(full)) throw new Error(`Invalid ${this.kind} name "${name}"`);
+    if (this._ids.has(full)) throw new Error(`Duplicate ${this.kind} "${full}"`);
+    const id = this.firstId + this._names.length;
+    if (id >= this.limit) throw new Error(`Too many ${this.kind}s registered (limit ${this.limit - this.firstId})`);
+    this._ids.set(full, id);
+    this._names.push(full);
+    return id;
+  }
+
+  // Runtime id of `name`, or undefined
+  id(name) {
+    return this._ids.get(name);
+  }
+
+  // Name of runtime id `id`, or undefined
+  name(id) {
+    return this._names[id - this.firstId];
+  }
+
+  has(name) {
+    return this._ids.has(name);
+  }
+
+  get size() {
+    return this._names.length;
+  }
+
+  names() {
+    return [...this._names];
+  }
+}
+
+/**
+ * Translates between the ids a save was written with and runtime ids.
+ * `names[savedId]` is the name each saved id stood for; ids for content the
+ * save hasn't seen yet are appended, and `grown` is set until the caller has
+ * persisted the new names. Names this build doesn't know read as `fallback`
+ * but keep their slot, so saving again doesn't reuse it.
+ */
+export class SavedIdTable {
+  constructor(registry, names = [], fallback = 0) {
+    this.registry = registry;
+    this.names = [...names];
+    this.grown = false;
+    this._fallback = fallback;
+    this._toRuntime = [];
+    this._toSaved = new Map();
+    for (let saved = 0; saved < this.names.length; saved++) {
+      const name = this.names[saved];
+      const id = name ? registry.id(name) : undefined;
+      if (id === undefined) {
+        if (name) console.warn(`Saved ${registry.kind} "${name}" no longer exists; loading it as ${registry.name(fallback)}`);
+        this._toRuntime[saved] = fallback;
+        continue;
+      }
+      this._toRuntime[saved] = id;
+      if (!this._toSaved.has(id)) this._toSaved.set(id, saved);
+    }
+  }
+
+  toRuntime(saved) {
+    return this._toRuntime[saved] ?? this._fallback;
+  }
+
+  toSaved(id) {
+    let saved = this._toSaved.get(id);
+    if (saved === undefined) {
+      saved = this.names.length;
+      this.names.push(this.registry.name(id));
+      this._toRuntime[saved] = id;
+      this._toSaved.set(id, saved);
+      this.grown = true;
+    }
+    return saved;
+  }
+
+  // Rewrite an id array in place, saved ids to runtime ids
+  readIds(ids) {
+    for (let i = 0; i < ids.length; i++) ids[i] = this.toRuntime(ids[i]);
+    return ids;
+  }
+
+  // Copy of an id array with runtime ids rewritten to saved ids
+  writeIds(ids) {
+    const out = new ids.constructor(ids.length);
+    let last = -1;
+    let saved = 0;
+    for (let i = 0; i < ids.length; i++) {
+      if (ids[i] !== last) {
+        last = ids[i];
+        saved = this.toSaved(last);
+      }
+      out[i] = saved;
+    }
+    return out;
+  }
+}
@@ -0,0 +1,227 @@
+// Resource packs: zips or folders with a pack.json manifest whose textures,
+// block and item definitions, recipes and sounds layer over the built-in set.
+//
+// Pack layout (paths relative to pack.json):
+//   pack.json                    { "name": "...", "description": "..." }
+//   textures/<name>.png          replaces public/textures/<name>.png
+//   data/blocks.json, items.json definitions merged by id over the built-in
+//                                ones (see content.js)
+//   data/recipes.json            recipes checked before the built-in ones
+//   data/animations.json         animated texture timing, merged by name
+//   sounds/<name>.ogg|mp3|wav    replaces a built-in sound (see sound.js)
+//
+// Packs live in their own IndexedDB database, shared by every world; their
+// order (highest priority first) and enabled flags live in localStorage. The
+// active stack is read once per page load by activatePacks, because block
+// definitions can't change under a loaded world, so changes apply on reload.
+
+import { readZip } from './zip.js';
+
+const DB_NAME = 'resource_packs';
+const DB_VERSION = 1;
+const ORDER_KEY = 'resourcePacks';
+const MANIFEST = 'pack.json';
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('packs', { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run `fn(store)` in a transaction and resolve with its request's result
+async function withStore(mode, fn) {
+  const db = await openDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction('packs', mode);
+      const req = fn(tx.objectStore('packs'));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// [{ id, enabled }], highest priority first
+function loadOrder() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(ORDER_KEY));
+    if (Array.isArray(arr)) return arr;
+  } catch { /* fall through */ }
+  return [];
+}
+
+function saveOrder(list) {
+  localStorage.setItem(ORDER_KEY, JSON.stringify(list));
+}
+
+function newId() {
+  return Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36).padStart(2, '0');
+}
+
+function packError(message) {
+  return new Error(`Invalid resource pack: ${message}`);
+}
+
+// Re-root `files` (Map<path, Blob>) at the folder holding pack.json and read
+// the manifest; zips often wrap everything in one top-level folder
+async function readPack(files) {
+  let root = null;
+  for (const path of files.keys()) {
+    if (path === MANIFEST || path.endsWith(`/${MANIFEST}`)) {
+      const prefix = path.slice(0, -MANIFEST.length);
+      if (root === null || prefix.length < root.length) root = prefix;
+    }
+  }
+  if (root === null) throw packError(`no ${MANIFEST}`);
+
+  const rooted = new Map();
+  for (const [path, blob] of files) {
+    if (path.startsWith(root)) rooted.set(path.slice(root.length), blob);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await rooted.get(MANIFEST).text());
+  } catch {
+    throw packError(`${MANIFEST} is not valid JSON`);
+  }
+  if (!manifest || typeof manifest.name !== 'string' || !manifest.name.trim()) {
+    throw packError(`${MANIFEST} has no name`);
+  }
+  return {
+    name: manifest.name.trim().slice(0, 64),
+    description: typeof manifest.description === 'string' ? manifest.description.slice(0, 200) : '',
+    files: Object.fromEntries(rooted),
+  };
+}
+
+export const ResourcePacks = {
+  // [{ id, name, description, enabled }], highest priority first
+  async list() {
+    const records = await withStore('readonly', store => store.getAll());
+    const byId = new Map(records.map(r => [r.id, r]));
+    return loadOrder()
+      .filter(entry => byId.has(entry.id))
+      .map(({ id, enabled }) => {
+        const { name, description } = byId.get(id);
+        return { id, name, description, enabled };
+      });
+  },
+
+  // Store a pack read from a zip File
+  async importZip(file) {
+    return this._add(await readZip(file));
+  },
+
+  // Store a pack picked as a folder (<input webkitdirectory>)
+  async importFolder(fileList) {
+    const files = new Map();
+    for (const file of fileList) files.set(file.webkitRelativePath || file.name, file);
+    return this._add(files);
+  },
+
+  // New packs go on top, enabled
+  async _add(files) {
+    const pack = await readPack(files);
+    const record = { id: newId(), ...pack };
+    await withStore('readwrite', store => store.put(record));
+    saveOrder([{ id: record.id, enabled: true }, ...loadOrder()]);
+    return record;
+  },
+
+  // An active pack also leaves this page load's stack, so its texture URLs
+  // can be released; the rest of its content stays until the reload
+  async remove(id) {
+    await withStore('readwrite', store => store.delete(id));
+    saveOrder(loadOrder().filter(entry => entry.id !== id));
+    if (stack.some(pack => pack.id === id)) {
+      stack = stack.filter(pack => pack.id !== id);
+      releaseTextureURLs();
+    }
+  },
+
+  setEnabled(id, enabled) {
+    saveOrder(loadOrder().map(entry => (entry.id === id ? { id, enabled } : entry)));
+  },
+
+  // Move a pack `delta` places down the list (negative moves it up)
+  move(id, delta) {
+    const list = loadOrder();
+    const from = list.findIndex(entry => entry.id === id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= list.length) return;
+    const [entry] = list.splice(from, 1);
+    list.splice(to, 0, entry);
+    saveOrder(list);
+  },
+};
+
+// Enabled packs for this page load, lowest priority first: [{ id, name, files }]
+let stack = [];
+const textureURLs = new Map();
+
+// Revoke the object URLs made for pack textures; textureURL makes new ones
+// from the current stack when next asked
+function releaseTextureURLs() {
+  for (const url of textureURLs.values()) {
+    if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+  }
+  textureURLs.clear();
+}
+
+// Read the enabled packs; call once at startup before loading content
+export async function activatePacks() {
+  releaseTextureURLs();
+  stack = [];
+  const order = loadOrder().filter(entry => entry.enabled);
+  if (order.length === 0) return;
+  const records = await withStore('readonly', store => store.getAll());
+  const byId = new Map(records.map(r => [r.id, r]));
+  stack = order
+    .filter(entry => byId.has(entry.id))
+    .reverse()
+    .map(entry => ({ id: entry.id, name: byId.get(entry.id).name, files: byId.get(entry.id).files }));
+}
+
+// URL of texture `name`: the top pack's copy, or the built-in one
+export function textureURL(name) {
+  if (!textureURLs.has(name)) {
+    const blob = packFiles('textures/').get(`${name}.png`);
+    textureURLs.set(name, blob ? URL.createObjectURL(blob) : `/textures/${name}.png`);
+  }
+  return textureURLs.get(name);
+}
+
+// Files under `prefix` across the stack, keyed by the rest of their path; a
+// higher pack's file replaces a lower one's
+export function packFiles(prefix) {
+  const files = new Map();
+  for (const pack of stack) {
+    for (const [path, blob] of Object.entries(pack.files)) {
+      if (path.startsWith(prefix)) files.set(path.slice(prefix.length), blob);
+    }
+  }
+  return files;
+}
+
+// Parsed copies of `path` from each pack that has it, lowest priority first
+export async function packJSON(path) {
+  const layers = [];
+  for (const pack of stack) {
+    const blob = pack.files[path];
+    if (!blob) continue;
+    try {
+      layers.push(JSON.parse(await blob.text()));
+    } catch (err) {
+      throw new Error(`Resource pack "${pack.name}" has an invalid ${path}`, { cause: err });
+    }
+  }
+  return layers;
+}
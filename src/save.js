@@ -1,9 +1,17 @@
-const DB_NAME = 'minecraft_world';
+import { WorldSlots, WORLD_KEYS, worldKey, slotKey } from './worlds.js';
+import { blockRegistry } from './blocks.js';
+import { SavedIdTable } from './registry.js';
+import { encodeChunk, decodeChunk } from './chunk-codec.js';
+import {
+  runMigrations, currentManifest, LEGACY_MANIFEST, LEGACY_BLOCK_NAMES, SaveMigrationError, isRetiredBlockId,
+} from './migrations.js';
+
 const DB_VERSION = 1;
 
-function openDB() {
+// Each world slot has its own database; default to the one loaded in this page
+function openDB(dbName = WorldSlots.active().dbName) {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    const req = indexedDB.open(dbName, DB_VERSION);
     req.onupgradeneeded = () => {
       const db = req.result;
       if (!db.objectStoreNames.contains('chunks')) {
@@ -18,24 +26,184 @@ function openDB() {
   });
 }
 
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Write-through store for chunk block data and metadata. Chunks evicted from
+// the world are flushed here before they are dropped, and World.generateChunk
+// takes a saved copy from here instead of regenerating the chunk from noise.
+// Stored chunks hold the ids named by the world's manifest; the copies handed
+// out and taken in use runtime block ids.
+export class ChunkStore {
+  constructor() {
+    this._db = null;
+    this._ids = null;             // SavedIdTable, read on first use
+    this._savedKeys = new Set(); // keys that have a copy in IndexedDB
+    this._cache = new Map();     // key -> { blocks, meta }, readable synchronously
+    this._fetching = new Set();
+  }
+
+  async open() {
+    this._db = await openDB();
+    const tx = this._db.transaction('chunks', 'readonly');
+    const keys = await requestToPromise(tx.objectStore('chunks').getAllKeys());
+    for (const key of keys) this._savedKeys.add(key);
+  }
+
+  close() {
+    if (this._db) this._db.close();
+    this._db = null;
+  }
+
+  has(key) {
+    return this._savedKeys.has(key) || this._cache.has(key);
+  }
+
+  // Block names of the stored ids, for the manifest
+  get blockNames() {
+    return this._idTable().names;
+  }
+
+  // The manifest is read lazily because save migrations (loadWorld) may
+  // rewrite it after the store has opened
+  _idTable() {
+    if (!this._ids) {
+      let names = [];
+      try {
+        names = JSON.parse(localStorage.getItem(worldKey('manifest')))?.blockNames ?? [];
+      } catch { /* a new world: nothing stored yet */ }
+      this._ids = new SavedIdTable(blockRegistry, names);
+    }
+    return this._ids;
+  }
+
+  // True if the chunk can be produced synchronously: nothing is stored for it,
+  // or the stored copy has already been fetched into memory.
+  isReady(key) {
+    return !this._savedKeys.has(key) || this._cache.has(key);
+  }
+
+  // Hand the in-memory copy of a stored chunk to the world (or undefined)
+  take(key) {
+    const data = this._cache.get(key);
+    if (data) this._cache.delete(key);
+    return data;
+  }
+
+  // Read stored chunks into memory so take() can return them
+  async fetch(keys) {
+    const wanted = [];
+    for (const key of keys) {
+      if (this.isReady(key) || this._fetching.has(key)) continue;
+      this._fetching.add(key);
+      wanted.push(key);
+    }
+    if (wanted.length === 0) return;
+
+    try {
+      const store = this._db.transaction('chunks', 'readonly').objectStore('chunks');
+      const values = await Promise.all(wanted.map(key => requestToPromise(store.get(key))));
+      for (let i = 0; i < wanted.length; i++) {
+        let data = null;
+        if (values[i]) {
+          try {
+            data = decodeChunk(values[i]);
+            this._idTable().readIds(data.blocks);
+          } catch (err) {
+            // Unreadable copy: fall back to regenerating the chunk
+            console.error(`Discarding saved chunk ${wanted[i]}`, err);
+          }
+        }
+        if (data) {
+          this._cache.set(wanted[i], data);
+        } else {
+          this._savedKeys.delete(wanted[i]);
+        }
+      }
+    } finally {
+      for (const key of wanted) this._fetching.delete(key);
+    }
+  }
+
+  // Write the given chunks in a single transaction and clear their modified flag
+  async putChunks(chunks) {
+    const ids = this._idTable();
+    const encoded = chunks.map(chunk => encodeChunk(ids.writeIds(chunk.blocks), chunk.meta));
+    // Record names for any newly stored ids before the chunks using them land
+    if (ids.grown) {
+      localStorage.setItem(worldKey('manifest'), JSON.stringify(currentManifest(ids.names)));
+      ids.grown = false;
+    }
+
+    const tx = this._db.transaction('chunks', 'readwrite');
+    const store = tx.objectStore('chunks');
+    const written = [];
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      const key = `${chunk.cx},${chunk.cz}`;
+      store.put(encoded[i], key);
+      this._savedKeys.add(key);
+      chunk.modified = false;
+      written.push(chunk);
+    }
+    try {
+      await transactionDone(tx);
+    } catch (err) {
+      for (const chunk of written) chunk.modified = true;
+      throw err;
+    }
+  }
+
+  // Called when a chunk leaves the world. Modified chunks stay readable from
+  // memory until their write has landed, so walking back in never sees stale data.
+  async evict(chunk) {
+    if (!chunk.modified || !this._db) return;
+    const key = `${chunk.cx},${chunk.cz}`;
+    this._cache.set(key, { blocks: chunk.blocks, meta: chunk.meta });
+    this._savedKeys.add(key);
+    try {
+      await this.putChunks([chunk]);
+    } finally {
+      if (this._cache.get(key)?.blocks === chunk.blocks) this._cache.delete(key);
+    }
+  }
+
+  async clear() {
+    const tx = this._db.transaction('chunks', 'readwrite');
+    tx.objectStore('chunks').clear();
+    await transactionDone(tx);
+    this._savedKeys.clear();
+    this._cache.clear();
+  }
+}
+
 export function hasSavedWorld() {
-  return localStorage.getItem('world_seed') !== null;
+  return localStorage.getItem(worldKey('player_pos')) !== null;
 }
 
+// Returns { chunks, ms }: how many chunks were written and how long it took
 export async function saveWorld(world, player, mobManager) {
+  const start = performance.now();
   const db = await openDB();
 
-  // Save chunks
-  const tx = db.transaction('chunks', 'readwrite');
-  const store = tx.objectStore('chunks');
-  store.clear();
-  for (const [key, chunk] of world.chunks) {
-    store.put(chunk.blocks, key);
+  // Save only chunks modified since the last save, in one transaction.
+  // Unmodified chunks regenerate identically from the seed, and chunks
+  // outside the render distance were already flushed by ChunkStore.evict.
+  const modified = [...world.chunks.values()].filter(chunk => chunk.modified);
+  if (modified.length > 0) {
+    await world.chunkStore.putChunks(modified);
   }
-  await new Promise((resolve, reject) => {
-    tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
-  });
 
   // Save mobs
   const mobTx = db.transaction('mobs', 'readwrite');
@@ -52,44 +220,87 @@ export async function saveWorld(world, player, mobManager) {
     mobTx.onerror = () => reject(mobTx.error);
   });
 
-  // Save metadata to localStorage
-  localStorage.setItem('world_seed', String(world.seed));
+  // Save metadata to localStorage. Everything above was written in the
+  // current layout, so the manifest always records the current version.
+  WorldSlots.update(WorldSlots.active().id, { lastPlayed: Date.now() });
+  localStorage.setItem(worldKey('manifest'), JSON.stringify(currentManifest(world.chunkStore.blockNames)));
 
   const state = player.getState();
-  localStorage.setItem('player_pos', JSON.stringify(state.position));
-  localStorage.setItem('player_rot', JSON.stringify({ yaw: state.yaw, pitch: state.pitch }));
-  localStorage.setItem('player_health', String(state.health));
-  localStorage.setItem('player_flying', String(state.flying));
+  localStorage.setItem(worldKey('player_pos'), JSON.stringify(state.position));
+  localStorage.setItem(worldKey('player_rot'), JSON.stringify({ yaw: state.yaw, pitch: state.pitch }));
+  localStorage.setItem(worldKey('player_health'), String(state.health));
+  localStorage.setItem(worldKey('player_flying'), String(state.flying));
 
   // Save placed villages set
-  localStorage.setItem('placedVillages', JSON.stringify([...world.placedVillages]));
+  localStorage.setItem(worldKey('placedVillages'), JSON.stringify([...world.placedVillages]));
 
   db.close();
+
+  return { chunks: modified.length, ms: performance.now() - start };
 }
 
-export async function loadWorld(world) {
-  const db = await openDB();
+// Bring a world slot's stored data up to the current save format.
+// Throws SaveMigrationError (from migrations.js) if it cannot.
+export async function migrateWorld(id) {
+  const record = WorldSlots.get(id);
+  const manifestRaw = localStorage.getItem(slotKey(id, 'manifest'));
+  let manifest = { ...LEGACY_MANIFEST };
+  if (manifestRaw) {
+    try {
+      manifest = JSON.parse(manifestRaw);
+    } catch (err) {
+      throw new SaveMigrationError('World save manifest is unreadable', { cause: err });
+    }
+  }
+  if (manifest.formatVersion === currentManifest().formatVersion) return;
 
-  // Load chunks
-  const tx = db.transaction('chunks', 'readonly');
-  const store = tx.objectStore('chunks');
-  const allKeys = await new Promise((resolve, reject) => {
-    const req = store.getAllKeys();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-  const allValues = await new Promise((resolve, reject) => {
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
+  const db = await openDB(record.dbName);
+  const ctx = {
+    manifest,
+    getState: (name) => localStorage.getItem(slotKey(id, name)),
+    setState: (name, value) => localStorage.setItem(slotKey(id, name), value),
+    removeState: (name) => localStorage.removeItem(slotKey(id, name)),
+    writeManifest: (m) => localStorage.setItem(slotKey(id, 'manifest'), JSON.stringify(m)),
+
+    async updateChunks(fn) {
+      const readStore = db.transaction('chunks', 'readonly').objectStore('chunks');
+      const [keys, values] = await Promise.all([
+        requestToPromise(readStore.getAllKeys()),
+        requestToPromise(readStore.getAll()),
+      ]);
+      const tx = db.transaction('chunks', 'readwrite');
+      for (let i = 0; i < keys.length; i++) {
+        const updated = fn(decodeChunk(values[i]), keys[i]);
+        if (updated) tx.objectStore('chunks').put(encodeChunk(updated.blocks, updated.meta), keys[i]);
+      }
+      await transactionDone(tx);
+    },
+
+    async updateMobs(fn) {
+      const mobs = await requestToPromise(db.transaction('mobs', 'readonly').objectStore('mobs').getAll());
+      const updated = fn(mobs);
+      if (!updated) return;
+      const tx = db.transaction('mobs', 'readwrite');
+      tx.objectStore('mobs').clear();
+      for (const mob of updated) tx.objectStore('mobs').put(mob);
+      await transactionDone(tx);
+    },
+  };
 
-  for (let i = 0; i < allKeys.length; i++) {
-    const key = allKeys[i];
-    const blocks = allValues[i];
-    const [cx, cz] = key.split(',').map(Number);
-    world.loadChunkFromData(cx, cz, new Uint8Array(blocks));
+  try {
+    await runMigrations(ctx);
+  } finally {
+    db.close();
   }
+}
+
+export async function loadWorld(world) {
+  await migrateWorld(WorldSlots.active().id);
+
+  const db = await openDB();
+
+  // Chunks are not loaded here: they stream in through world.chunkStore as
+  // the player moves, so only the area around the player is held in memory.
 
   // Load mobs
   const mobTx = db.transaction('mobs', 'readonly');
@@ -102,21 +313,21 @@ export async function loadWorld(world) {
 
   // Load player state
   const playerState = {};
-  const posStr = localStorage.getItem('player_pos');
+  const posStr = localStorage.getItem(worldKey('player_pos'));
   if (posStr) playerState.position = JSON.parse(posStr);
-  const rotStr = localStorage.getItem('player_rot');
+  const rotStr = localStorage.getItem(worldKey('player_rot'));
   if (rotStr) {
     const rot = JSON.parse(rotStr);
     playerState.yaw = rot.yaw;
     playerState.pitch = rot.pitch;
   }
-  const healthStr = localStorage.getItem('player_health');
+  const healthStr = localStorage.getItem(worldKey('player_health'));
   if (healthStr) playerState.health = Number(healthStr);
-  const flyingStr = localStorage.getItem('player_flying');
+  const flyingStr = localStorage.getItem(worldKey('player_flying'));
   if (flyingStr) playerState.flying = flyingStr === 'true';
 
   // Restore placed villages
-  const villagesStr = localStorage.getItem('placedVillages');
+  const villagesStr = localStorage.getItem(worldKey('placedVillages'));
   if (villagesStr) {
     const villages = JSON.parse(villagesStr);
     for (const v of villages) world.placedVillages.add(v);
@@ -127,27 +338,279 @@ export async function loadWorld(world) {
   return { playerState, mobData };
 }
 
-export async function deleteWorld() {
-  // Clear IndexedDB
-  const db = await openDB();
-  const tx = db.transaction(['chunks', 'mobs'], 'readwrite');
-  tx.objectStore('chunks').clear();
-  tx.objectStore('mobs').clear();
-  await new Promise((resolve, reject) => {
-    tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
+// Another tab with the world open blocks the deletion until it lets go; the
+// request stays queued, so carry on rather than wait on that tab
+function deleteDatabase(dbName) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(dbName);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => {
+      console.warn(`Deleting ${dbName} is waiting for another tab to close it`);
+      resolve();
+    };
   });
-  db.close();
+}
+
+// Copy a world slot: registry entry, localStorage keys, chunks and mobs
+export async function duplicateWorld(id) {
+  const source = WorldSlots.get(id);
+  const copy = WorldSlots.duplicateRecord(id);
+  if (!copy) return null;
+
+  const [from, to] = await Promise.all([openDB(source.dbName), openDB(copy.dbName)]);
+  try {
+    const readTx = from.transaction(['chunks', 'mobs'], 'readonly');
+    const chunkStore = readTx.objectStore('chunks');
+    const [chunkKeys, chunkValues, mobs] = await Promise.all([
+      requestToPromise(chunkStore.getAllKeys()),
+      requestToPromise(chunkStore.getAll()),
+      requestToPromise(readTx.objectStore('mobs').getAll()),
+    ]);
 
-  // Clear localStorage keys
-  localStorage.removeItem('world_seed');
-  localStorage.removeItem('player_pos');
-  localStorage.removeItem('player_rot');
-  localStorage.removeItem('player_health');
-  localStorage.removeItem('player_flying');
-  localStorage.removeItem('placedVillages');
-  localStorage.removeItem('hotbar_v2');
-  localStorage.removeItem('blockCounts');
-  localStorage.removeItem('personalInventory');
-  localStorage.removeItem('inventory_v3');
+    const writeTx = to.transaction(['chunks', 'mobs'], 'readwrite');
+    for (let i = 0; i < chunkKeys.length; i++) {
+      writeTx.objectStore('chunks').put(chunkValues[i], chunkKeys[i]);
+    }
+    for (const mob of mobs) writeTx.objectStore('mobs').put(mob);
+    await transactionDone(writeTx);
+  } catch (err) {
+    WorldSlots.removeRecord(copy.id);
+    throw err;
+  } finally {
+    from.close();
+    to.close();
+  }
+  return copy;
+}
+
+// Delete a world slot and its database. The active world's ChunkStore must be
+// closed first or the deletion will wait on its open connection.
+export async function deleteWorld(id) {
+  const record = WorldSlots.get(id);
+  if (!record) return;
+  await deleteDatabase(record.dbName);
+  WorldSlots.removeRecord(id);
+}
+
+// ── World archives ──
+// A world exports to one gzip-compressed JSON file holding everything needed
+// to rebuild its slot in another browser. Bump ARCHIVE_VERSION whenever the
+// layout changes, and keep reading older versions in validateArchive.
+// Chunk data uses the chunk-codec encoding, base64'd.
+
+const ARCHIVE_FORMAT = 'classic-builder-world';
+const ARCHIVE_VERSION = 1;
+const CHUNK_KEY_RE = /^-?\d+,-?\d+$/;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function gzip(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+async function gunzip(blob) {
+  const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+function archiveError(message) {
+  return new Error(`Invalid world archive: ${message}`);
+}
+
+// Check an archive's structure and decode its chunks; throws on anything off
+function validateArchive(data) {
+  if (!data || typeof data !== 'object' || data.format !== ARCHIVE_FORMAT) {
+    throw archiveError('not a world file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw archiveError('missing version');
+  }
+  if (data.version > ARCHIVE_VERSION) {
+    throw archiveError(`made by a newer version of the game (v${data.version})`);
+  }
+
+  const meta = data.world;
+  if (!meta || typeof meta.name !== 'string' || !Number.isFinite(meta.seed)) {
+    throw archiveError('bad world info');
+  }
+
+  const state = data.state ?? {};
+  for (const [name, value] of Object.entries(state)) {
+    if (!WORLD_KEYS.includes(name) || typeof value !== 'string') {
+      throw archiveError(`bad saved state "${name}"`);
+    }
+    try {
+      JSON.parse(value);
+    } catch {
+      throw archiveError(`bad saved state "${name}"`);
+    }
+  }
+
+  // Chunks hold ids named by the world's manifest, or by the fixed legacy
+  // table in saves from before manifests named them. Ids retired by a save
+  // migration are fine there: the world is upgraded on load.
+  let blockNames = null;
+  if (state.manifest) {
+    let manifest;
+    try {
+      manifest = JSON.parse(state.manifest);
+    } catch {
+      throw archiveError('bad save manifest');
+    }
+    if (!manifest || typeof manifest !== 'object') throw archiveError('bad save manifest');
+    blockNames = manifest.blockNames ?? null;
+    if (blockNames !== null && !Array.isArray(blockNames)) throw archiveError('bad save manifest');
+  }
+  const knownId = blockNames
+    ? id => !!blockNames[id]
+    : id => !!LEGACY_BLOCK_NAMES[id] || isRetiredBlockId(id);
+
+  const chunks = new Map();
+  for (const [key, encoded] of Object.entries(data.chunks ?? {})) {
+    if (!CHUNK_KEY_RE.test(key) || typeof encoded !== 'string') {
+      throw archiveError(`bad chunk "${key}"`);
+    }
+    let chunk;
+    try {
+      chunk = decodeChunk(base64ToBytes(encoded));
+    } catch {
+      throw archiveError(`bad chunk "${key}"`);
+    }
+    for (const id of chunk.blocks) {
+      if (!knownId(id)) throw archiveError(`chunk "${key}" has unknown blocks`);
+    }
+    chunks.set(key, chunk);
+  }
+
+  const mobs = data.mobs ?? [];
+  if (!Array.isArray(mobs) || !mobs.every(m => m && Number.isFinite(m.x) && Number.isFinite(m.y) && Number.isFinite(m.z))) {
+    throw archiveError('bad mob data');
+  }
+
+  const textures = data.textures ?? {};
+  for (const [name, value] of Object.entries(textures)) {
+    if (!name.startsWith('tex:') || typeof value !== 'string' || !value.startsWith('data:image/')) {
+      throw archiveError(`bad texture "${name}"`);
+    }
+  }
+
+  return { meta, state, chunks, mobs, textures };
+}
+
+/**
+ * Pack a world slot (seed, chunks, mobs, player state, inventory, villages
+ * and custom textures) into a compressed archive Blob.
+ * Save the world first if it is the one currently loaded.
+ */
+export async function exportWorld(id) {
+  const record = WorldSlots.get(id);
+  if (!record) throw new Error('World not found');
+
+  const db = await openDB(record.dbName);
+  let chunkKeys, chunkValues, mobs;
+  try {
+    const tx = db.transaction(['chunks', 'mobs'], 'readonly');
+    const chunkStore = tx.objectStore('chunks');
+    [chunkKeys, chunkValues, mobs] = await Promise.all([
+      requestToPromise(chunkStore.getAllKeys()),
+      requestToPromise(chunkStore.getAll()),
+      requestToPromise(tx.objectStore('mobs').getAll()),
+    ]);
+  } finally {
+    db.close();
+  }
+
+  const chunks = {};
+  for (let i = 0; i < chunkKeys.length; i++) {
+    // Re-encode so chunks saved before the codec are packed too
+    const { blocks, meta } = decodeChunk(chunkValues[i]);
+    chunks[chunkKeys[i]] = bytesToBase64(encodeChunk(blocks, meta));
+  }
+
+  const state = {};
+  for (const name of WORLD_KEYS) {
+    const value = localStorage.getItem(slotKey(id, name));
+    if (value !== null) state[name] = value;
+  }
+
+  const textures = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith('tex:')) textures[key] = localStorage.getItem(key);
+  }
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported: Date.now(),
+    world: { name: record.name, seed: record.seed, gameMode: record.gameMode },
+    state,
+    chunks,
+    mobs,
+    textures,
+  };
+  return gzip(JSON.stringify(archive));
+}
+
+/**
+ * Validate an archive produced by exportWorld and restore it as a new world
+ * slot. Custom textures are shared by every world, so the archive's are
+ * added, but ones that would change an existing texture are only written if
+ * `replaceTextures(names)` returns true.
+ * Returns the new world record.
+ */
+export async function importWorld(file, { replaceTextures = () => false } = {}) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  if (head[0] !== 0x1f || head[1] !== 0x8b) throw archiveError('not a world file');
+
+  let data;
+  try {
+    data = JSON.parse(await gunzip(file));
+  } catch {
+    throw archiveError('file is corrupt');
+  }
+  const { meta, state, chunks, mobs, textures } = validateArchive(data);
+  const changed = Object.keys(textures).filter((name) => {
+    const current = localStorage.getItem(name);
+    return current !== null && current !== textures[name];
+  });
+  const replace = changed.length > 0 && replaceTextures(changed.map(name => name.slice('tex:'.length)));
+
+  const record = WorldSlots.create({ name: meta.name, seed: meta.seed, gameMode: meta.gameMode });
+  try {
+    const db = await openDB(record.dbName);
+    try {
+      const tx = db.transaction(['chunks', 'mobs'], 'readwrite');
+      for (const [key, chunk] of chunks) tx.objectStore('chunks').put(encodeChunk(chunk.blocks, chunk.meta), key);
+      for (const mob of mobs) tx.objectStore('mobs').put(mob);
+      await transactionDone(tx);
+    } finally {
+      db.close();
+    }
+    for (const [name, value] of Object.entries(state)) {
+      localStorage.setItem(slotKey(record.id, name), value);
+    }
+    for (const [name, value] of Object.entries(textures)) {
+      if (replace || !changed.includes(name)) localStorage.setItem(name, value);
+    }
+  } catch (err) {
+    await deleteWorld(record.id);
+    throw err;
+  }
+  return record;
 }
@@ -0,0 +1,100 @@
+// Vertical 16x16x16 sections of a chunk column.
+//
+// Block data stays in the column array; each section tracks how many of its
+// blocks are non-air and opaque, so all-air and fully opaque sections can be
+// spotted without scanning, plus its own meshes. `chunk.dirty` is a bitmask
+// with one bit per section that needs remeshing.
+//
+// Each section also keeps `visibility`, which pairs of its six faces are
+// joined by open (non-opaque) space, for cave culling (visibility.js). Faces
+// are numbered like the mesher's: +y, -y, +z, -z, +x, -x, so `f ^ 1` is the
+// opposite face.
+
+import { CHUNK_SIZE, WORLD_HEIGHT } from './terrain.js';
+import { BlockType, BlockData, BLOCK_ID_LIMIT } from './blocks.js';
+import { onContentLoaded } from './content.js';
+
+export const SECTION_HEIGHT = 16;
+export const SECTION_COUNT = WORLD_HEIGHT / SECTION_HEIGHT;
+export const SECTION_VOLUME = CHUNK_SIZE * SECTION_HEIGHT * CHUNK_SIZE;
+export const ALL_SECTIONS = (1 << SECTION_COUNT) - 1;
+
+const OPAQUE = new Uint8Array(BLOCK_ID_LIMIT);
+onContentLoaded(() => {
+  for (const [id, data] of Object.entries(BlockData)) OPAQUE[id] = data.transparent ? 0 : 1;
+});
+
+// Bit for each unordered pair of distinct faces in a visibility mask
+const FACE_PAIR_BITS = [];
+for (let a = 0, bit = 0; a < 6; a++) {
+  FACE_PAIR_BITS.push([]);
+  for (let b = 0; b < 6; b++) FACE_PAIR_BITS[a].push(a === b ? 0 : a < b ? 1 << bit++ : FACE_PAIR_BITS[b][a]);
+}
+
+// Visibility of a section where every face sees every other (all air)
+export const ALL_FACES_CONNECTED = (1 << 15) - 1;
+
+export function facesConnected(visibility, a, b) {
+  return (visibility & FACE_PAIR_BITS[a][b]) !== 0;
+}
+
+// Visibility mask joining every pair of faces in the 6-bit `faces` mask
+export function connectFaces(faces) {
+  let visibility = 0;
+  for (let a = 0; a < 6; a++) {
+    if (!(faces & (1 << a))) continue;
+    for (let b = a + 1; b < 6; b++) {
+      if (faces & (1 << b)) visibility |= FACE_PAIR_BITS[a][b];
+    }
+  }
+  return visibility;
+}
+
+export function createSections(blocks) {
+  const sections = [];
+  for (let s = 0; s < SECTION_COUNT; s++) {
+    sections.push({
+      filled: 0, opaque: 0, mesh: null, waterMesh: null, glassMesh: null, triangles: undefined,
+      visibility: ALL_FACES_CONNECTED,
+    });
+  }
+  for (let x = 0; x < CHUNK_SIZE; x++) {
+    for (let y = 0; y < WORLD_HEIGHT; y++) {
+      const section = sections[Math.floor(y / SECTION_HEIGHT)];
+      const row = (x * WORLD_HEIGHT + y) * CHUNK_SIZE;
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        const type = blocks[row + z];
+        if (type !== BlockType.AIR) section.filled++;
+        section.opaque += OPAQUE[type];
+      }
+    }
+  }
+  return sections;
+}
+
+// Keep a section's counts in step with a block changing from `prev` to `type`
+export function updateSectionCounts(sections, y, prev, type) {
+  const section = sections[Math.floor(y / SECTION_HEIGHT)];
+  section.filled += (type !== BlockType.AIR) - (prev !== BlockType.AIR);
+  section.opaque += OPAQUE[type] - OPAQUE[prev];
+}
+
+export function isSectionEmpty(section) {
+  return section.filled === 0;
+}
+
+export function isSectionFull(section) {
+  return section.opaque === SECTION_VOLUME;
+}
+
+/**
+ * Bitmask of the sections whose meshes depend on the block at height `y`.
+ * Faces look one block up and down, and top-face AO samples two blocks up.
+ */
+export function sectionsAround(y) {
+  const lo = Math.max(0, Math.floor((y - 2) / SECTION_HEIGHT));
+  const hi = Math.min(SECTION_COUNT - 1, Math.floor((y + 1) / SECTION_HEIGHT));
+  let mask = 0;
+  for (let s = lo; s <= hi; s++) mask |= 1 << s;
+  return mask;
+}
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { CSM } from 'three/addons/csm/CSM.js';
+import { WORLD_HEIGHT } from './terrain.js';
+
+// Sun shadows: cascaded shadow maps (three's CSM addon) that follow the
+// camera. While they are on, the sky's sun light is hidden and each cascade
+// light copies its colour, intensity and direction every frame, so the day
+// and night cycle lights the world exactly as it does without shadows.
+//
+// CSM picks one cascade light per fragment, so every lit material in the
+// scene must go through addShadows(); one that doesn't would be lit once per
+// cascade.
+
+// Per shadow level (graphics.js): cascades, shadow map size and how far
+// shadows reach, in blocks
+const QUALITY = {
+  low: { cascades: 2, mapSize: 1024, maxFar: 48 },
+  medium: { cascades: 3, mapSize: 2048, maxFar: 96 },
+  high: { cascades: 4, mapSize: 2048, maxFar: 160 },
+};
+
+// Room above the view for terrain that casts into it: the whole world height
+const LIGHT_MARGIN = WORLD_HEIGHT;
+const SHADOW_BIAS = -0.0001;
+// Shadows fade in as the sun rises through this much of its height (the
+// sky's dayFactor), instead of appearing at full strength stretched across
+// the world at dawn
+const DAWN = 0.2;
+const SHADOW_STRENGTH = 0.85;
+
+// Layer of section meshes the camera doesn't see but that still cast
+// shadows into view (visibility.js)
+export const CASTER_LAYER = 1;
+
+// Cascade breaks and depth range, shared by every patched material
+const uniforms = {
+  CSM_cascades: { value: [] },
+  cameraNear: { value: 0.1 },
+  shadowFar: { value: 1 },
+};
+// Cascades of the active shadows; 0 while they are off
+let cascades = 0;
+
+// Make a Lambert material take its sun light from the shadow cascades while
+// shadows are on, keeping any shader patch it already has. Turning shadows on
+// or off changes the scene's lights, which recompiles every lit material.
+export function addShadows(material) {
+  const baseCompile = material.onBeforeCompile;
+  const baseKey = material.customProgramCacheKey();
+  material.onBeforeCompile = (shader, renderer) => {
+    baseCompile.call(material, shader, renderer);
+    if (!cascades) return;
+    Object.assign(shader.uniforms, uniforms);
+    shader.fragmentShader = `#define USE_CSM\n#define CSM_CASCADES ${cascades}\n` + shader.fragmentShader;
+  };
+  material.customProgramCacheKey = () => `${baseKey}+shadows${cascades}`;
+  return material;
+}
+
+export class Shadows {
+  constructor(renderer, scene, camera, sky) {
+    this.scene = scene;
+    this.camera = camera;
+    this.sky = sky;
+    this.level = 'off';
+    this.csm = null;
+    this._fov = 0;
+    this._aspect = 0;
+    renderer.shadowMap.enabled = true;
+
+    // three.js builds the camera's draw list before the shadow pass, and the
+    // shadow pass also draws only what is on the camera's layers. This probe
+    // is the first shadow caster in the scene, so it lets the camera see
+    // CASTER_LAYER from the start of the shadow pass until update() takes it
+    // away again before the next frame.
+    const probe = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({ colorWrite: false, depthWrite: false }));
+    probe.geometry.setAttribute('position', new THREE.Float32BufferAttribute([], 3));
+    probe.castShadow = true;
+    probe.frustumCulled = false;
+    probe.onBeforeShadow = () => camera.layers.enable(CASTER_LAYER);
+    scene.add(probe);
+  }
+
+  // How far from the camera shadows are drawn, in blocks; 0 while they are off
+  get distance() {
+    return this.csm ? this.csm.maxFar : 0;
+  }
+
+  // Switch to one of the shadow levels in graphics.js
+  setLevel(level) {
+    if (level === this.level) return;
+    this.level = level;
+    if (this.csm) {
+      for (const light of this.csm.lights) light.dispose();
+      this.csm.remove();
+      this.csm = null;
+    }
+
+    const quality = QUALITY[level];
+    cascades = quality ? quality.cascades : 0;
+    this.sky.sunLight.visible = !quality;
+    if (!quality) return;
+    this.csm = new CSM({
+      camera: this.camera,
+      parent: this.scene,
+      cascades: quality.cascades,
+      maxFar: quality.maxFar,
+      shadowMapSize: quality.mapSize,
+      shadowBias: SHADOW_BIAS,
+      lightMargin: LIGHT_MARGIN,
+      // Deep enough for the margin and the farthest cascade's slice of the view
+      lightFar: LIGHT_MARGIN + quality.maxFar * 3,
+      lightIntensity: this.sky.sunLight.intensity,
+    });
+    this._fov = 0;
+  }
+
+  // Per frame, after the sky and camera have moved and before rendering
+  update() {
+    const { csm, camera, sky } = this;
+    camera.layers.disable(CASTER_LAYER);
+    if (!csm) return;
+    if (camera.fov !== this._fov || camera.aspect !== this._aspect) this._updateFrustums();
+
+    const sun = sky.sunLight;
+    // The sun light shines from its position towards the origin
+    csm.lightDirection.copy(sun.position).negate().normalize();
+    const strength = THREE.MathUtils.smoothstep(sky.dayFactor ?? 1, 0, DAWN) * SHADOW_STRENGTH;
+    for (const light of csm.lights) {
+      light.color.copy(sun.color);
+      light.intensity = sun.intensity;
+      light.shadow.intensity = strength;
+    }
+    camera.updateMatrixWorld();
+    csm.update();
+  }
+
+  // Fit the cascades to the camera's field of view and aspect
+  _updateFrustums() {
+    const { csm, camera } = this;
+    this._fov = camera.fov;
+    this._aspect = camera.aspect;
+    csm.updateFrustums();
+
+    uniforms.CSM_cascades.value = csm.breaks.map((end, i) => new THREE.Vector2(csm.breaks[i - 1] || 0, end));
+    uniforms.cameraNear.value = camera.near;
+    uniforms.shadowFar.value = Math.min(camera.far, csm.maxFar);
+    // Offset receivers by about a texel of their cascade against shadow acne
+    for (const light of csm.lights) {
+      const { left, right } = light.shadow.camera;
+      light.shadow.normalBias = (right - left) / csm.shadowMapSize;
+    }
+  }
+}
@@ -5,9 +5,13 @@ export class Sky {
     this.scene = scene;
     this.time = 0.3; // Start at morning (0-1 cycle)
     this.alwaysDay = false;
+    // Current dome colours and direction to the sun, for reflections (water.js)
+    this.topColor = new THREE.Color(0x4488ff);
+    this.bottomColor = new THREE.Color(0x88bbff);
+    this.sunDirection = new THREE.Vector3(100, 200, 100).normalize();
 
-    // Sky dome
-    const skyGeo = new THREE.SphereGeometry(500, 32, 32);
+    // Sky dome, big enough to hold the far terrain (far-terrain.js)
+    const skyGeo = new THREE.SphereGeometry(900, 32, 32);
     const skyMat = new THREE.ShaderMaterial({
       uniforms: {
         topColor: { value: new THREE.Color(0x4488ff) },
@@ -103,6 +107,9 @@ export class Sky {
     this.skyMesh.material.uniforms.topColor.value = topColor;
     this.skyMesh.material.uniforms.bottomColor.value = bottomColor;
     this.skyMesh.material.uniforms.sunPosition.value.set(sunX, sunY, 100);
+    this.topColor.copy(topColor);
+    this.bottomColor.copy(bottomColor);
+    this.sunDirection.set(sunX, sunY, 100).normalize();
 
     this.sunLight.intensity = 0.3 + dayFactor * 1.2;
     this.ambientLight.intensity = 0.15 + dayFactor * 0.45;
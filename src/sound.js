@@ -1,39 +1,19 @@
-import { BlockType } from './blocks.js';
+import { BlockData } from './blocks.js';
+import { packFiles } from './resource-packs.js';
 
-// Material categories for sound mapping
+// Material categories for sound mapping; blocks name theirs in blocks.json
 const MATERIAL_STONE = 'stone';
 const MATERIAL_DIRT = 'dirt';
 const MATERIAL_WOOD = 'wood';
 const MATERIAL_SAND = 'sand';
 const MATERIAL_GLASS = 'glass';
 
-const BLOCK_MATERIAL = {
-  [BlockType.STONE]: MATERIAL_STONE,
-  [BlockType.COBBLESTONE]: MATERIAL_STONE,
-  [BlockType.COAL_ORE]: MATERIAL_STONE,
-  [BlockType.IRON_ORE]: MATERIAL_STONE,
-  [BlockType.GOLD_ORE]: MATERIAL_STONE,
-  [BlockType.BEDROCK]: MATERIAL_STONE,
-  [BlockType.BRICK]: MATERIAL_STONE,
-
-  [BlockType.DIRT]: MATERIAL_DIRT,
-  [BlockType.GRASS]: MATERIAL_DIRT,
-  [BlockType.SNOW]: MATERIAL_DIRT,
-  [BlockType.OAK_LEAVES]: MATERIAL_DIRT,
-
-  [BlockType.SAND]: MATERIAL_SAND,
-  [BlockType.GRAVEL]: MATERIAL_SAND,
-
-  [BlockType.OAK_LOG]: MATERIAL_WOOD,
-  [BlockType.OAK_PLANKS]: MATERIAL_WOOD,
-
-  [BlockType.GLASS]: MATERIAL_GLASS,
-};
-
 function getMaterial(blockType) {
-  return BLOCK_MATERIAL[blockType] || MATERIAL_STONE;
+  return BlockData[blockType]?.sound || MATERIAL_STONE;
 }
 
+const SOUND_FILE_RE = /\.(ogg|mp3|wav)$/;
+
 export class Sound {
   constructor() {
     this._ctx = null;
@@ -41,6 +21,13 @@ export class Sound {
     this._lastHitTime = 0;
     this._hitInterval = 0.25; // seconds between hit sounds
 
+    // Resource pack replacements, by sound name (see _playOverride)
+    this._overrides = new Map();
+    for (const [path, blob] of packFiles('sounds/')) {
+      if (SOUND_FILE_RE.test(path)) this._overrides.set(path.replace(SOUND_FILE_RE, ''), blob);
+    }
+    this._decoded = new Map();
+
     this._initOnInteraction = this._initOnInteraction.bind(this);
     document.addEventListener('mousedown', this._initOnInteraction, { once: true });
     document.addEventListener('touchstart', this._initOnInteraction, { once: true });
@@ -69,8 +56,37 @@ export class Sound {
     return this._ctx;
   }
 
+  // Play a resource pack's file for sound `name` instead of the synthesized
+  // one, if a pack has it. Names: hit_<material>, break_<material>, pickup,
+  // mob_hit, mob_death, mob_groan, mob_hit_player
+  _playOverride(name) {
+    const blob = this._overrides.get(name);
+    if (!blob) return false;
+    const ctx = this._ensureContext();
+    if (!this._decoded.has(name)) {
+      this._decoded.set(name, blob.arrayBuffer()
+        .then(buf => ctx.decodeAudioData(buf))
+        .catch((err) => {
+          console.warn(`Could not decode resource pack sound "${name}":`, err);
+          return null;
+        }));
+    }
+    this._decoded.get(name).then((buffer) => {
+      if (!buffer) return;
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      const gain = ctx.createGain();
+      gain.gain.value = this._volume;
+      source.connect(gain);
+      gain.connect(ctx.destination);
+      source.start();
+    });
+    return true;
+  }
+
   // Play a hit sound: short noise burst filtered by material
   _playHit(material) {
+    if (this._playOverride(`hit_${material}`)) return;
     const ctx = this._ensureContext();
     const now = ctx.currentTime;
     const duration = 0.05;
@@ -133,6 +149,7 @@ export class Sound {
 
   // Play a break sound: longer burst with pitch drop
   _playBreak(material) {
+    if (this._playOverride(`break_${material}`)) return;
     const ctx = this._ensureContext();
     const now = ctx.currentTime;
     const duration = 0.15;
@@ -200,6 +217,7 @@ export class Sound {
 
   // Play a pickup "pop": short rising-pitch tone
   _playPickup() {
+    if (this._playOverride('pickup')) return;
     const ctx = this._ensureContext();
     const now = ctx.currentTime;
     const duration = 0.08;
@@ -242,6 +260,7 @@ export class Sound {
 
   // Mob hit: short low noise burst
   _playMobHit() {
+    if (this._playOverride('mob_hit')) return;
     const ctx = this._ensureContext();
     const now = ctx.currentTime;
     const duration = 0.08;
@@ -274,6 +293,7 @@ export class Sound {
 
   // Mob death: descending low tone
   _playMobDeath() {
+    if (this._playOverride('mob_death')) return;
     const ctx = this._ensureContext();
     const now = ctx.currentTime;
     const duration = 0.4;
@@ -295,6 +315,7 @@ export class Sound {
 
   // Zombie groan: low oscillator with vibrato
   _playMobGroan() {
+    if (this._playOverride('mob_groan')) return;
     const ctx = this._ensureContext();
     const now = ctx.currentTime;
     const duration = 0.6;
@@ -332,6 +353,7 @@ export class Sound {
 
   // Player hit by mob: short impact sound
   _playMobHitPlayer() {
+    if (this._playOverride('mob_hit_player')) return;
     const ctx = this._ensureContext();
     const now = ctx.currentTime;
     const duration = 0.1;
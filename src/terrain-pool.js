@@ -0,0 +1,188 @@
+import { TerrainGenerator } from './terrain.js';
+import { loadedContent } from './content.js';
+
+const MAX_WORKERS = 4;
+
+// Pool of terrain workers. Requests queue up and are handed out nearest to
+// the player first; finished chunks wait in `completed` until the game loop
+// drains them, so chunks are only added to the world between frames.
+// Saved chunks go through the queue too, for just their biome (see
+// TerrainGenerator.biomes), which is not stored with their blocks.
+// Heightfields for far terrain (TerrainGenerator.heightfield) share the
+// workers at a lower priority: they go out in request order, only while no
+// chunk is waiting.
+export class TerrainWorkerPool {
+  constructor(seed, size = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1))) {
+    this.seed = seed;
+    this.workers = [];
+    this._idle = [];
+    this._queue = new Map();    // key -> [cx, cz, stored] waiting for a worker
+    this._inFlight = new Map(); // worker -> [cx, cz, stored]
+    this._completed = [];
+    this._fieldQueue = new Map();    // key -> { worldX, worldZ, samples, step }
+    this._fieldsInFlight = new Map(); // worker -> [key, request]
+    this._completedFields = [];
+    this._focusX = 0;
+    this._focusZ = 0;
+    this._fallback = null;      // TerrainGenerator once workers are unusable
+
+    try {
+      for (let i = 0; i < size; i++) {
+        const worker = new Worker(new URL('./terrain-worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => this._onResult(worker, e.data);
+        worker.onerror = (e) => this._onError(e);
+        worker.postMessage({ type: 'init', seed, content: loadedContent() });
+        this.workers.push(worker);
+        this._idle.push(worker);
+      }
+    } catch (err) {
+      this._onError(err);
+    }
+  }
+
+  get pending() {
+    return this._queue.size + this._inFlight.size;
+  }
+
+  isPending(key) {
+    if (this._queue.has(key)) return true;
+    for (const [cx, cz] of this._inFlight.values()) {
+      if (`${cx},${cz}` === key) return true;
+    }
+    return false;
+  }
+
+  // Chunk coordinates the queue is ordered around (usually the player's chunk)
+  setFocus(cx, cz) {
+    this._focusX = cx;
+    this._focusZ = cz;
+  }
+
+  // Queue a chunk; `stored` asks only for the biome of a chunk whose blocks
+  // were saved
+  request(cx, cz, stored = false) {
+    const key = `${cx},${cz}`;
+    if (this.isPending(key)) return;
+    this._queue.set(key, [cx, cz, stored]);
+    this._pump();
+  }
+
+  // Drop queued requests that are no longer wanted (already running ones finish)
+  retain(keys) {
+    for (const key of this._queue.keys()) {
+      if (!keys.has(key)) this._queue.delete(key);
+    }
+  }
+
+  // Hand back up to `limit` finished chunks as { cx, cz, blocks, biome },
+  // with blocks null for stored chunks
+  drain(limit = Infinity) {
+    if (this._fallback) this._generateFallback(limit);
+    return this._completed.splice(0, limit);
+  }
+
+  // Queue a heightfield under `key`, unless it is already on its way
+  requestHeightfield(key, worldX, worldZ, samples, step) {
+    if (this._fieldQueue.has(key)) return;
+    for (const [pending] of this._fieldsInFlight.values()) {
+      if (pending === key) return;
+    }
+    this._fieldQueue.set(key, { worldX, worldZ, samples, step });
+    this._pump();
+  }
+
+  // Drop queued heightfields that are no longer wanted
+  retainHeightfields(keys) {
+    for (const key of this._fieldQueue.keys()) {
+      if (!keys.has(key)) this._fieldQueue.delete(key);
+    }
+  }
+
+  // Hand back up to `limit` finished heightfields as { key, heights, surface, climate }
+  drainHeightfields(limit = Infinity) {
+    if (this._fallback && this._queue.size === 0) this._fieldsFallback(limit);
+    return this._completedFields.splice(0, limit);
+  }
+
+  dispose() {
+    for (const worker of this.workers) worker.terminate();
+    this.workers = [];
+    this._idle = [];
+  }
+
+  _nearestQueued() {
+    let best = null;
+    let bestDist = Infinity;
+    for (const [key, [cx, cz]] of this._queue) {
+      const dx = cx - this._focusX;
+      const dz = cz - this._focusZ;
+      const dist = dx * dx + dz * dz;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = key;
+      }
+    }
+    return best;
+  }
+
+  _pump() {
+    while (this._idle.length > 0 && this._queue.size > 0) {
+      const key = this._nearestQueued();
+      const [cx, cz, stored] = this._queue.get(key);
+      this._queue.delete(key);
+      const worker = this._idle.pop();
+      this._inFlight.set(worker, [cx, cz, stored]);
+      worker.postMessage({ type: stored ? 'biome' : 'generate', cx, cz });
+    }
+    while (this._idle.length > 0 && this._queue.size === 0 && this._fieldQueue.size > 0) {
+      const [key, request] = this._fieldQueue.entries().next().value;
+      this._fieldQueue.delete(key);
+      const worker = this._idle.pop();
+      this._fieldsInFlight.set(worker, [key, request]);
+      worker.postMessage({ type: 'heightfield', key, ...request });
+    }
+  }
+
+  _onResult(worker, data) {
+    if (data.type === 'heightfield') {
+      this._fieldsInFlight.delete(worker);
+      this._completedFields.push({ key: data.key, heights: data.heights, surface: data.surface, climate: data.climate });
+    } else {
+      this._inFlight.delete(worker);
+      this._completed.push({ cx: data.cx, cz: data.cz, blocks: data.blocks, biome: data.biome });
+    }
+    this._idle.push(worker);
+    this._pump();
+  }
+
+  // Workers failed to load or crashed: finish everything on the main thread
+  _onError(err) {
+    if (this._fallback) return;
+    console.error('Terrain worker failed; generating on the main thread', err);
+    this._fallback = new TerrainGenerator(this.seed);
+    for (const [cx, cz, stored] of this._inFlight.values()) this._queue.set(`${cx},${cz}`, [cx, cz, stored]);
+    this._inFlight.clear();
+    for (const [key, request] of this._fieldsInFlight.values()) this._fieldQueue.set(key, request);
+    this._fieldsInFlight.clear();
+    this.dispose();
+  }
+
+  _generateFallback(limit) {
+    for (let n = this._completed.length; n < limit && this._queue.size > 0; n++) {
+      const key = this._nearestQueued();
+      const [cx, cz, stored] = this._queue.get(key);
+      this._queue.delete(key);
+      this._completed.push(stored
+        ? { cx, cz, blocks: null, biome: this._fallback.biomes(cx, cz) }
+        : { cx, cz, ...this._fallback.generate(cx, cz) });
+    }
+  }
+
+  _fieldsFallback(limit) {
+    for (let n = this._completedFields.length; n < limit && this._fieldQueue.size > 0; n++) {
+      const [key, { worldX, worldZ, samples, step }] = this._fieldQueue.entries().next().value;
+      this._fieldQueue.delete(key);
+      this._completedFields.push({ key, ...this._fallback.heightfield(worldX, worldZ, samples, step) });
+    }
+  }
+}
@@ -0,0 +1,32 @@
+// Terrain worker: generates chunk block arrays off the main thread.
+// Messages in:  { type: 'init', seed, content } then { type: 'generate', cx, cz },
+//               { type: 'biome', cx, cz } (for a saved chunk, whose blocks the
+//               main thread already has)
+//               or { type: 'heightfield', key, worldX, worldZ, samples, step }
+//               (content: block definitions, see content.js)
+// Messages out: { cx, cz, blocks, biome } with the buffers transferred (blocks
+//               is null for a biome request), or
+//               { type: 'heightfield', key, heights, surface, climate }
+
+import { TerrainGenerator } from './terrain.js';
+import { installContent } from './content.js';
+
+let generator = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    installContent(msg.content);
+    generator = new TerrainGenerator(msg.seed);
+  } else if (msg.type === 'generate') {
+    const { blocks, biome } = generator.generate(msg.cx, msg.cz);
+    self.postMessage({ cx: msg.cx, cz: msg.cz, blocks, biome }, [blocks.buffer, biome.buffer]);
+  } else if (msg.type === 'biome') {
+    const biome = generator.biomes(msg.cx, msg.cz);
+    self.postMessage({ cx: msg.cx, cz: msg.cz, blocks: null, biome }, [biome.buffer]);
+  } else if (msg.type === 'heightfield') {
+    const field = generator.heightfield(msg.worldX, msg.worldZ, msg.samples, msg.step);
+    self.postMessage({ type: 'heightfield', key: msg.key, ...field },
+      [field.heights.buffer, field.surface.buffer, field.climate.buffer]);
+  }
+};
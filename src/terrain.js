@@ -0,0 +1,236 @@
+// Pure terrain generation: seed + chunk coordinates in, block array out.
+// No DOM or World state, so the same code runs in the terrain workers
+// (terrain-worker.js) and on the main thread as a fallback. Chunk dimensions
+// live here so workers can load them without pulling in the rest of the game.
+
+import { SimplexNoise } from './noise.js';
+import { BlockType } from './blocks.js';
+import { BIOME_STRIDE, climateByte } from './biome.js';
+
+export const CHUNK_SIZE = 16;
+export const WORLD_HEIGHT = 128;
+export const SEA_LEVEL = 40;
+
+// Deterministic 0..1 value per column. Generation must be reproducible from
+// the seed because only modified chunks are saved.
+function hash2D(x, z, seed) {
+  let h = (Math.imul(x, 374761393) + Math.imul(z, 668265263) + Math.imul(seed, 144665)) | 0;
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+export class TerrainGenerator {
+  constructor(seed) {
+    this.seed = seed;
+    this.noise = new SimplexNoise(seed);
+    this.noise2 = new SimplexNoise(seed * 7 + 3);
+    this.noise3 = new SimplexNoise(seed * 13 + 7);
+    this.treeNoise = new SimplexNoise(seed * 17 + 11);
+  }
+
+  // A chunk's blocks, plus its biome: each column's climate bytes in the
+  // layout of chunk.biome (see biomes())
+  generate(cx, cz) {
+    const blocks = new Uint16Array(CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE);
+    const biome = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE * BIOME_STRIDE);
+    const wx = cx * CHUNK_SIZE;
+    const wz = cz * CHUNK_SIZE;
+
+    // Generate terrain height map and populate blocks
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        const worldX = wx + x;
+        const worldZ = wz + z;
+
+        const height = this.surfaceHeight(worldX, worldZ);
+        const { isBeach, isDesert, isSnow, temp, moisture } = this._columnBiome(worldX, worldZ, height);
+        biome[(x * CHUNK_SIZE + z) * BIOME_STRIDE] = climateByte(temp);
+        biome[(x * CHUNK_SIZE + z) * BIOME_STRIDE + 1] = climateByte(moisture);
+
+        for (let y = 0; y < WORLD_HEIGHT; y++) {
+          const idx = (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
+
+          if (y === 0) {
+            blocks[idx] = BlockType.BEDROCK;
+          } else if (y < height - 4) {
+            // Deep underground: stone with ores
+            blocks[idx] = BlockType.STONE;
+
+            // Cave generation using 3D noise
+            const cave1 = this.noise.noise3D(worldX * 0.03, y * 0.05, worldZ * 0.03);
+            const cave2 = this.noise2.noise3D(worldX * 0.04, y * 0.04, worldZ * 0.04);
+            if (Math.abs(cave1) < 0.08 && Math.abs(cave2) < 0.08 && y > 5 && y < height - 8) {
+              blocks[idx] = BlockType.AIR;
+              continue;
+            }
+
+            // Ore generation
+            if (y < 20) {
+              const oreVal = this.noise3.noise3D(worldX * 0.1, y * 0.1, worldZ * 0.1);
+              if (oreVal > 0.6) blocks[idx] = BlockType.IRON_ORE;
+            }
+            if (y < 12) {
+              const goldVal = this.noise3.noise3D(worldX * 0.12 + 250, y * 0.12, worldZ * 0.12 + 250);
+              if (goldVal > 0.72) blocks[idx] = BlockType.GOLD_ORE;
+            }
+            if (y < 50) {
+              const coalVal = this.noise3.noise3D(worldX * 0.08 + 100, y * 0.08, worldZ * 0.08 + 100);
+              if (coalVal > 0.55) blocks[idx] = BlockType.COAL_ORE;
+            }
+            // Gravel patches
+            const gravelVal = this.noise2.noise3D(worldX * 0.06, y * 0.06, worldZ * 0.06);
+            if (gravelVal > 0.65 && y < 40) blocks[idx] = BlockType.GRAVEL;
+          } else if (y < height) {
+            // Near surface
+            if (isDesert || isBeach) {
+              blocks[idx] = BlockType.SAND;
+            } else {
+              blocks[idx] = BlockType.DIRT;
+            }
+          } else if (y === height) {
+            blocks[idx] = this._surfaceBlock(height, isBeach, isDesert, isSnow);
+          } else if (y <= SEA_LEVEL && y > height) {
+            blocks[idx] = BlockType.WATER;
+          }
+        }
+
+        // Tree generation
+        if (height > SEA_LEVEL + 1 && !isDesert && !isBeach && !isSnow) {
+          const treeVal = this.treeNoise.noise2D(worldX * 0.5, worldZ * 0.5);
+          if (treeVal > 0.6 && x > 2 && x < CHUNK_SIZE - 3 && z > 2 && z < CHUNK_SIZE - 3) {
+            this._placeTree(blocks, x, height + 1, z, hash2D(worldX, worldZ, this.seed));
+          }
+        }
+      }
+    }
+
+    return { blocks, biome };
+  }
+
+  // Ground height of a column: the y of its top block, not counting trees or water
+  surfaceHeight(worldX, worldZ) {
+    // Multi-octave terrain height
+    const continentalness = this.noise.fbm2D(worldX * 0.001, worldZ * 0.001, 4, 2, 0.5);
+    const erosion = this.noise.fbm2D(worldX * 0.004, worldZ * 0.004, 6, 2, 0.5);
+    const detail = this.noise2.fbm2D(worldX * 0.02, worldZ * 0.02, 3, 2, 0.45);
+
+    // Asymmetric continental contribution: full strength above sea level,
+    // but weak below to prevent vast ocean basins (scale 0.001 = ~1000 block features)
+    const cContrib = continentalness > 0 ? continentalness * 12 : continentalness * 2;
+    let rawHeight = cContrib + erosion * 6 + detail * 3;
+
+    // Compress remaining underwater depth so lakes are shallow and self-contained
+    if (rawHeight < 0) {
+      rawHeight = Math.max(-3, rawHeight * 0.25);
+    }
+
+    const height = Math.floor(SEA_LEVEL + rawHeight);
+    return Math.max(1, Math.min(WORLD_HEIGHT - 2, height));
+  }
+
+  // Biome determination
+  _columnBiome(worldX, worldZ, height) {
+    const temp = this._temperature(worldX, worldZ);
+    const moisture = this._moisture(worldX, worldZ);
+    return {
+      temp,
+      moisture,
+      isBeach: height >= SEA_LEVEL - 1 && height <= SEA_LEVEL + 2,
+      isDesert: temp > 0.3 && moisture < -0.1,
+      isSnow: temp < -0.4,
+    };
+  }
+
+  _surfaceBlock(height, isBeach, isDesert, isSnow) {
+    if (isDesert) return BlockType.SAND;
+    if (isBeach && height <= SEA_LEVEL + 1) return BlockType.SAND;
+    if (isSnow) return BlockType.SNOW;
+    return BlockType.GRASS;
+  }
+
+  /**
+   * Low-detail terrain for far-off views (far-terrain.js): the ground height
+   * and top block of every `step`th column in a `samples` x `samples` grid
+   * starting at (worldX, worldZ), sample (i, j) at index i * samples + j,
+   * plus each sample's climate bytes laid out like chunk.biome. Uses the same
+   * noise as generate(), without caves, ores or trees.
+   */
+  heightfield(worldX, worldZ, samples, step) {
+    const heights = new Uint8Array(samples * samples);
+    const surface = new Uint16Array(samples * samples);
+    const climate = new Uint8Array(samples * samples * BIOME_STRIDE);
+    for (let i = 0; i < samples; i++) {
+      for (let j = 0; j < samples; j++) {
+        const x = worldX + i * step;
+        const z = worldZ + j * step;
+        const n = i * samples + j;
+        const height = this.surfaceHeight(x, z);
+        const { isBeach, isDesert, isSnow, temp, moisture } = this._columnBiome(x, z, height);
+        heights[n] = height;
+        surface[n] = this._surfaceBlock(height, isBeach, isDesert, isSnow);
+        climate[n * BIOME_STRIDE] = climateByte(temp);
+        climate[n * BIOME_STRIDE + 1] = climateByte(moisture);
+      }
+    }
+    return { heights, surface, climate };
+  }
+
+  _temperature(worldX, worldZ) {
+    return this.noise3.fbm2D(worldX * 0.002 + 500, worldZ * 0.002 + 500, 3);
+  }
+
+  _moisture(worldX, worldZ) {
+    return this.noise3.fbm2D(worldX * 0.002 + 1000, worldZ * 0.002 + 1000, 3);
+  }
+
+  // Temperature and moisture bytes of each column (x * CHUNK_SIZE + z), the
+  // layout of chunk.biome (see biome.js). Saved chunks only store blocks, so
+  // their biome is worked out again from the seed.
+  biomes(cx, cz) {
+    const biome = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE * BIOME_STRIDE);
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        const worldX = cx * CHUNK_SIZE + x;
+        const worldZ = cz * CHUNK_SIZE + z;
+        const i = (x * CHUNK_SIZE + z) * BIOME_STRIDE;
+        biome[i] = climateByte(this._temperature(worldX, worldZ));
+        biome[i + 1] = climateByte(this._moisture(worldX, worldZ));
+      }
+    }
+    return biome;
+  }
+
+  _placeTree(blocks, x, y, z, rand) {
+    const trunkHeight = 4 + Math.floor(rand * 3);
+
+    // Check we have room
+    if (y + trunkHeight + 3 >= WORLD_HEIGHT) return;
+
+    // Trunk
+    for (let dy = 0; dy < trunkHeight; dy++) {
+      const idx = (x * WORLD_HEIGHT + (y + dy)) * CHUNK_SIZE + z;
+      blocks[idx] = BlockType.OAK_LOG;
+    }
+
+    // Leaves (spherical-ish shape)
+    const leafStart = y + trunkHeight - 2;
+    const leafEnd = y + trunkHeight + 2;
+    for (let ly = leafStart; ly <= leafEnd; ly++) {
+      const radius = ly < leafEnd - 1 ? 2 : 1;
+      for (let lx = -radius; lx <= radius; lx++) {
+        for (let lz = -radius; lz <= radius; lz++) {
+          if (Math.abs(lx) === radius && Math.abs(lz) === radius) continue; // Skip corners
+          const bx = x + lx;
+          const bz = z + lz;
+          if (bx < 0 || bx >= CHUNK_SIZE || bz < 0 || bz >= CHUNK_SIZE) continue;
+          if (ly < 0 || ly >= WORLD_HEIGHT) continue;
+          const idx = (bx * WORLD_HEIGHT + ly) * CHUNK_SIZE + bz;
+          if (blocks[idx] === BlockType.AIR) {
+            blocks[idx] = BlockType.OAK_LEAVES;
+          }
+        }
+      }
+    }
+  }
+}
@@ -1,8 +1,7 @@
-import { TEXTURE_FILES, BlockData, BlockType, MOB_TEXTURE_FILES } from './blocks.js';
+import { TEXTURE_FILES, MOB_TEXTURE_FILES } from './blocks.js';
+import { ItemData } from './crafting.js';
 import { reloadMobTextures } from './mob.js';
-
-const TEX_SIZE = 16;
-const ATLAS_COLS = 16;
+import { textureURL } from './resource-packs.js';
 
 export class TextureEditor {
   constructor(atlas, rebuildCallback) {
@@ -20,8 +19,7 @@ export class TextureEditor {
 
     // Item textures (not in block atlas but editable)
     this.itemTextureNames = [];
-    const itemTexNames = ['stick', 'wooden_axe'];
-    for (const name of itemTexNames) {
+    for (const { texture: name } of Object.values(ItemData)) {
       if (!seen.has(name)) { seen.add(name); this.itemTextureNames.push(name); }
     }
 
@@ -63,7 +61,7 @@ export class TextureEditor {
         img.src = saved;
       } else {
         img.crossOrigin = 'anonymous';
-        img.src = `/textures/${name}.png`;
+        img.src = textureURL(name);
       }
       await img.decode();
       this.images[name] = img;
@@ -73,38 +71,9 @@ export class TextureEditor {
   }
 
   _applySavedToAtlas() {
-    const atlasCtx = this.atlas.canvas.getContext('2d');
-    atlasCtx.imageSmoothingEnabled = false;
-
-    let idx = 0;
-    for (const btStr of Object.keys(BlockData)) {
-      const bt = Number(btStr);
-      if (bt === BlockType.AIR) continue;
-      const faces = TEXTURE_FILES[bt];
-      if (!faces) continue;
-
-      if (faces.all) {
-        if (localStorage.getItem('tex:' + faces.all)) {
-          const col = idx % ATLAS_COLS;
-          const row = Math.floor(idx / ATLAS_COLS);
-          atlasCtx.clearRect(col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-          atlasCtx.drawImage(this.images[faces.all], col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-        }
-        idx++;
-      } else {
-        for (const face of ['top', 'bottom', 'side']) {
-          if (localStorage.getItem('tex:' + faces[face])) {
-            const col = idx % ATLAS_COLS;
-            const row = Math.floor(idx / ATLAS_COLS);
-            atlasCtx.clearRect(col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-            atlasCtx.drawImage(this.images[faces[face]], col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-          }
-          idx++;
-        }
-      }
+    for (const name of this.textureNames) {
+      if (localStorage.getItem('tex:' + name)) this.atlas.setImage(name, this.images[name]);
     }
-
-    this.atlas.texture.needsUpdate = true;
   }
 
   // ── DOM construction ──
@@ -197,6 +166,23 @@ export class TextureEditor {
 
     bar.appendChild(this._sep());
 
+    // Animation frames (block textures only; see TextureAtlas.setImage)
+    this.frameBtns = [];
+    for (const [label, title, fn] of [
+      ['+🎞', 'Add animation frame', () => this._addFrame()],
+      ['−🎞', 'Remove last animation frame', () => this._removeFrame()],
+    ]) {
+      const btn = document.createElement('button');
+      btn.className = 'te-tool-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', fn);
+      bar.appendChild(btn);
+      this.frameBtns.push(btn);
+    }
+
+    bar.appendChild(this._sep());
+
     // Save
     const saveBtn = document.createElement('button');
     saveBtn.className = 'te-tool-btn te-save-btn';
@@ -282,6 +268,7 @@ export class TextureEditor {
     for (const el of this.fileList.querySelectorAll('.te-file-item')) {
       el.classList.toggle('active', el.dataset.name === name);
     }
+    for (const btn of this.frameBtns) btn.disabled = !this.textureNames.includes(name);
 
     // Create edit canvas from image
     this.editCanvas = document.createElement('canvas');
@@ -524,17 +511,57 @@ export class TextureEditor {
   _undo() {
     if (this.historyIndex > 0) {
       this.historyIndex--;
-      this.editCtx.putImageData(this.history[this.historyIndex], 0, 0);
-      this._render();
+      this._restore(this.history[this.historyIndex]);
     }
   }
 
   _redo() {
     if (this.historyIndex < this.history.length - 1) {
       this.historyIndex++;
-      this.editCtx.putImageData(this.history[this.historyIndex], 0, 0);
-      this._render();
+      this._restore(this.history[this.historyIndex]);
+    }
+  }
+
+  // Put a history entry back, resizing the canvas if frames were added or removed since
+  _restore(imageData) {
+    if (this.editCanvas.width !== imageData.width || this.editCanvas.height !== imageData.height) {
+      this.editCanvas.width = imageData.width;
+      this.editCanvas.height = imageData.height;
+      this.editCtx.imageSmoothingEnabled = false;
     }
+    this.editCtx.putImageData(imageData, 0, 0);
+    this._render();
+  }
+
+  // ── Animation frames ──
+  // An animated texture is a vertical strip of square frames
+
+  // Append a copy of the last frame
+  _addFrame() {
+    if (!this.editCanvas || !this.textureNames.includes(this.currentName)) return;
+    const { width, height } = this.editCanvas;
+    const before = this.editCtx.getImageData(0, 0, width, height);
+    const last = this.editCtx.getImageData(0, height - width, width, width);
+    this.editCanvas.height = height + width;
+    this.editCtx.imageSmoothingEnabled = false;
+    this.editCtx.putImageData(before, 0, 0);
+    this.editCtx.putImageData(last, 0, height);
+    this._saveToHistory();
+    this._fitZoom();
+    this._render();
+  }
+
+  _removeFrame() {
+    if (!this.editCanvas) return;
+    const { width, height } = this.editCanvas;
+    if (height - width < width) return;
+    const kept = this.editCtx.getImageData(0, 0, width, height - width);
+    this.editCanvas.height = height - width;
+    this.editCtx.imageSmoothingEnabled = false;
+    this.editCtx.putImageData(kept, 0, 0);
+    this._saveToHistory();
+    this._fitZoom();
+    this._render();
   }
 
   // ── Save to atlas ──
@@ -545,43 +572,15 @@ export class TextureEditor {
     const isMobTexture = this.mobTextureNames.includes(this.currentName);
     const isItemTexture = this.itemTextureNames.includes(this.currentName);
 
-    // Update block atlas only for block textures
+    // Update block atlas only for block textures. The atlas keeps the image
+    // to play animation frames from, so give it a copy that later edits
+    // won't touch.
     if (!isMobTexture && !isItemTexture) {
-      const atlasCtx = this.atlas.canvas.getContext('2d');
-      atlasCtx.imageSmoothingEnabled = false;
-
-      // Build reverse map: texture name -> list of atlas slot indices
-      // Replicate the same iteration order as TextureAtlas.load()
-      let idx = 0;
-      for (const btStr of Object.keys(BlockData)) {
-        const bt = Number(btStr);
-        if (bt === BlockType.AIR) continue;
-        const faces = TEXTURE_FILES[bt];
-        if (!faces) continue;
-
-        if (faces.all) {
-          if (faces.all === this.currentName) {
-            const col = idx % ATLAS_COLS;
-            const row = Math.floor(idx / ATLAS_COLS);
-            atlasCtx.clearRect(col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-            atlasCtx.drawImage(this.editCanvas, col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-          }
-          idx++;
-        } else {
-          for (const face of ['top', 'bottom', 'side']) {
-            if (faces[face] === this.currentName) {
-              const col = idx % ATLAS_COLS;
-              const row = Math.floor(idx / ATLAS_COLS);
-              atlasCtx.clearRect(col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-              atlasCtx.drawImage(this.editCanvas, col * TEX_SIZE, row * TEX_SIZE, TEX_SIZE, TEX_SIZE);
-            }
-            idx++;
-          }
-        }
-      }
-
-      // Mark texture for GPU re-upload
-      this.atlas.texture.needsUpdate = true;
+      const copy = document.createElement('canvas');
+      copy.width = this.editCanvas.width;
+      copy.height = this.editCanvas.height;
+      copy.getContext('2d').drawImage(this.editCanvas, 0, 0);
+      this.atlas.setImage(this.currentName, copy);
     }
 
     // Persist to localStorage and update stored image
@@ -598,7 +597,8 @@ export class TextureEditor {
       const tCtx = thumb.getContext('2d');
       tCtx.clearRect(0, 0, 16, 16);
       tCtx.imageSmoothingEnabled = false;
-      tCtx.drawImage(this.editCanvas, 0, 0, 16, 16);
+      const size = this.editCanvas.width;
+      tCtx.drawImage(this.editCanvas, 0, 0, size, size, 0, 0, 16, 16);
     }
 
     // Reload mob textures if this is a mob texture
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { BlockData, BlockType } from './blocks.js';
+import { tintIcon } from './biome.js';
 import { GameMode } from './gamemode.js';
 import { isItemType, getItemOrBlockData, ItemType } from './crafting.js';
 
@@ -17,6 +18,7 @@ export class UI {
     this.fps = 0;
     this.frameCount = 0;
     this.fpsTimer = 0;
+    this.lastSave = null; // { chunks, ms } from the most recent autosave
     this._buildHotbar();
     this._buildHearts();
     this._updateHand();
@@ -32,6 +34,10 @@ export class UI {
       this._updateHand();
     });
 
+    document.addEventListener('world-saved', (e) => {
+      this.lastSave = e.detail;
+    });
+
     document.addEventListener('health-change', (e) => {
       this._updateHearts(e.detail.health, e.detail.max);
     });
@@ -132,6 +138,7 @@ export class UI {
           const srcY = Math.floor(v * this.atlas.canvas.height);
           const srcSize = Math.floor(this.atlas.tileSize * this.atlas.canvas.width);
           ctx.drawImage(this.atlas.canvas, srcX, srcY, srcSize, srcSize, 0, 0, 32, 32);
+          tintIcon(ctx, bt, 32);
         }
 
         slot.appendChild(previewCanvas);
@@ -178,7 +185,7 @@ export class UI {
     }
   }
 
-  update(dt, player, world, chunkCount) {
+  update(dt, player, world, chunkCount, meshStats, culler, governor) {
     this.frameCount++;
     this.fpsTimer += dt;
     if (this.fpsTimer >= 0.5) {
@@ -191,6 +198,7 @@ export class UI {
     const cx = Math.floor(pos.x / 16);
     const cz = Math.floor(pos.z / 16);
 
+    const budget = governor.budget;
     const statusParts = [];
     if (player.inWater) statusParts.push('Swimming');
     else if (player.onGround) statusParts.push('On ground');
@@ -202,6 +210,16 @@ export class UI {
       `XYZ: ${pos.x.toFixed(1)} / ${pos.y.toFixed(1)} / ${pos.z.toFixed(1)}`,
       `Chunk: ${cx}, ${cz}`,
       `Chunks loaded: ${chunkCount}`,
+      meshStats.chunks > 0
+        ? `Triangles/chunk: ${Math.round(meshStats.triangles / meshStats.chunks)} (${meshStats.greedy ? 'greedy' : 'per-face'})`
+        : 'Triangles/chunk: —',
+      `Sections visible: ${culler.visible} / ${culler.loaded}`,
+      `Budget: ${governor.adaptive ? `level ${governor.level}/${governor.levels - 1}` : 'fixed'}, ` +
+        `${Math.round(budget.resolutionScale * 100)}% res, ${budget.renderDistance} chunks, ` +
+        `${budget.chunksPerFrame} chunks + ${budget.meshesPerFrame} meshes/frame`,
+      this.lastSave
+        ? `Last save: ${this.lastSave.chunks} chunks in ${this.lastSave.ms.toFixed(1)} ms`
+        : 'Last save: —',
       statusParts.join(' | '),
       `Mode: ${GameMode.current}`,
     ].join('<br>');
@@ -1,4 +1,4 @@
-import { BlockType } from './blocks.js';
+import { BlockType, torchForFace } from './blocks.js';
 import { SimplexNoise } from './noise.js';
 import { WORLD_HEIGHT } from './world.js';
 
@@ -259,8 +259,10 @@ export class VillageGenerator {
     set(x, y + 1, z, BlockType.OAK_LOG);
     set(x, y + 2, z, BlockType.OAK_LOG);
     set(x, y + 3, z, BlockType.OAK_LOG);
-    // Glowstone substitute — use glass as lantern top
-    set(x, y + 4, z, BlockType.GLASS);
+    // Lantern on top, torches on two sides of the post
+    set(x, y + 4, z, BlockType.LANTERN);
+    set(x + 1, y + 3, z, BlockType.TORCH, torchForFace(1, 0, 0));
+    set(x - 1, y + 3, z, BlockType.TORCH, torchForFace(-1, 0, 0));
   }
 
   _placePath(x1, z1, x2, z2, getHeight, set) {
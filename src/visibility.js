@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import { CHUNK_SIZE, WORLD_HEIGHT } from './terrain.js';
+import { SECTION_HEIGHT, SECTION_COUNT, ALL_FACES_CONNECTED, facesConnected } from './sections.js';
+import { CASTER_LAYER } from './shadows.js';
+
+// Cave culling: hide section meshes the camera can't see through open space.
+//
+// Each frame, a breadth-first search starts at the camera's section and
+// walks to neighbouring sections. It leaves a section only through a face
+// joined by open space to the face it came in by (the section's
+// `visibility`, computed when it is meshed), never steps back towards the
+// camera, and skips sections outside the view frustum. Sections it doesn't
+// reach are hidden; caves under the player's feet and terrain behind hills
+// mostly aren't drawn. Sections not yet loaded or meshed count as open, so
+// the search can only over-include.
+//
+// With sun shadows on (shadows.js), hidden solid meshes within
+// `shadowDistance` blocks go on CASTER_LAYER instead, which only the shadow
+// pass draws: terrain behind the camera or a hill still shades what the
+// camera sees.
+
+// Step to the neighbouring section through each face, numbered as in sections.js
+const STEPS = [[0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1], [1, 0, 0], [-1, 0, 0]];
+
+function hasMeshes(section) {
+  return section.mesh || section.waterMesh || section.glassMesh;
+}
+
+function setVisible(section, visible, casts = false) {
+  if (section.mesh) {
+    section.mesh.visible = visible || casts;
+    section.mesh.layers.set(visible ? 0 : CASTER_LAYER);
+  }
+  if (section.waterMesh) section.waterMesh.visible = visible;
+  if (section.glassMesh) section.glassMesh.visible = visible;
+}
+
+export class VisibilityCuller {
+  // `maxDistance`: how many chunks from the camera the search may go
+  constructor(world, maxDistance) {
+    this.world = world;
+    // Sections with meshes: shown last frame, and loaded in all
+    this.visible = 0;
+    this.loaded = 0;
+    this.shadowDistance = 0;
+
+    this.setMaxDistance(maxDistance);
+    this._queue = []; // cx, section, cz, face entered by (-1 at the start), directions travelled
+    this._frustum = new THREE.Frustum();
+    this._matrix = new THREE.Matrix4();
+    this._box = new THREE.Box3();
+    this._eye = new THREE.Vector3();
+  }
+
+  setMaxDistance(maxDistance) {
+    this.maxDistance = maxDistance;
+    this._width = maxDistance * 2 + 1;
+    this._visited = new Uint32Array(this._width * this._width * SECTION_COUNT);
+    this._pass = 0;
+  }
+
+  update(camera) {
+    camera.updateMatrixWorld();
+    this._matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    this._frustum.setFromProjectionMatrix(this._matrix);
+    camera.getWorldPosition(this._eye);
+
+    // Above or below the world there's no section to start from, so leave
+    // everything to three.js's frustum check
+    const outside = this._eye.y < 0 || this._eye.y >= WORLD_HEIGHT;
+    // Chunk centres within this distance hold shadow casters
+    const shadowReach = this.shadowDistance > 0 ? this.shadowDistance + CHUNK_SIZE : 0;
+    this.loaded = 0;
+    for (const chunk of this.world.chunks.values()) {
+      const dx = (chunk.cx + 0.5) * CHUNK_SIZE - this._eye.x;
+      const dz = (chunk.cz + 0.5) * CHUNK_SIZE - this._eye.z;
+      const casts = dx * dx + dz * dz <= shadowReach * shadowReach;
+      for (const section of chunk.sections) {
+        if (!hasMeshes(section)) continue;
+        this.loaded++;
+        setVisible(section, outside, casts);
+      }
+    }
+    if (outside) {
+      this.visible = this.loaded;
+      return;
+    }
+    this.visible = this._search();
+  }
+
+  // Show every section the search reaches; returns how many have meshes
+  _search() {
+    const ox = Math.floor(this._eye.x / CHUNK_SIZE);
+    const oz = Math.floor(this._eye.z / CHUNK_SIZE);
+    const range = this.maxDistance;
+    const pass = ++this._pass;
+    const visitedIndex = (cx, s, cz) => ((cx - ox + range) * this._width + (cz - oz + range)) * SECTION_COUNT + s;
+
+    const queue = this._queue;
+    queue.length = 0;
+    const start = Math.floor(this._eye.y / SECTION_HEIGHT);
+    queue.push(ox, start, oz, -1, 0);
+    this._visited[visitedIndex(ox, start, oz)] = pass;
+
+    let visible = 0;
+    for (let head = 0; head < queue.length; head += 5) {
+      const cx = queue[head];
+      const s = queue[head + 1];
+      const cz = queue[head + 2];
+      const from = queue[head + 3];
+      const dirs = queue[head + 4];
+
+      const section = this.world.getChunk(cx, cz)?.sections[s];
+      if (section && hasMeshes(section)) {
+        setVisible(section, true);
+        visible++;
+      }
+      const visibility = section ? section.visibility : ALL_FACES_CONNECTED;
+
+      for (let out = 0; out < 6; out++) {
+        if (dirs & (1 << (out ^ 1))) continue;
+        if (from >= 0 && !facesConnected(visibility, from, out)) continue;
+        const [dx, dy, dz] = STEPS[out];
+        const ncx = cx + dx;
+        const ns = s + dy;
+        const ncz = cz + dz;
+        if (ns < 0 || ns >= SECTION_COUNT) continue;
+        if (Math.abs(ncx - ox) > range || Math.abs(ncz - oz) > range) continue;
+        const index = visitedIndex(ncx, ns, ncz);
+        if (this._visited[index] === pass) continue;
+        this._box.min.set(ncx * CHUNK_SIZE, ns * SECTION_HEIGHT, ncz * CHUNK_SIZE);
+        this._box.max.set((ncx + 1) * CHUNK_SIZE, (ns + 1) * SECTION_HEIGHT, (ncz + 1) * CHUNK_SIZE);
+        if (!this._frustum.intersectsBox(this._box)) continue;
+        this._visited[index] = pass;
+        queue.push(ncx, ns, ncz, out ^ 1, dirs | (1 << out));
+      }
+    }
+    return visible;
+  }
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+
+// Water surface shading and underwater caustics.
+//
+// Fancy water patches the Lambert water material: the surface gets animated
+// normals, reflects the sky (Sky's colours) by a Fresnel term and takes on a
+// deeper, more opaque colour over deep water, using the depth of water below
+// each vertex that the mesher stores in the `waterDepth` attribute. While the
+// camera is underwater, the solid materials add a moving caustics pattern.
+// Fast water is the plain tinted, translucent material.
+
+// Colour of water over a one-block-deep and a very deep floor
+const SHALLOW_COLOR = new THREE.Color(0.35, 0.8, 0.95);
+const DEEP_COLOR = new THREE.Color(0.05, 0.25, 0.45);
+// How quickly colour and opacity go from shallow to deep, per block of depth
+const ABSORPTION = 0.35;
+const FAST_COLOR = new THREE.Color(0.3, 0.7, 0.95);
+// Underwater fog by day; it darkens with the sky at night
+const UNDERWATER_FOG = new THREE.Color(0x1a3c5a);
+const UNDERWATER_FOG_DENSITY = 0.06;
+const CAUSTICS_STRENGTH = 0.6;
+
+// Shared by every material this module patches
+const uniforms = {
+  waterTime: { value: 0 },
+  skyTop: { value: new THREE.Color() },
+  skyBottom: { value: new THREE.Color() },
+  sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+  sunStrength: { value: 1 },
+  causticsStrength: { value: 0 },
+};
+
+const WATER_VERTEX_PARS = `
+attribute float waterDepth;
+varying float vWaterDepth;
+varying vec3 vWaterWorld;
+varying vec3 vWaterNormal;
+`;
+
+const WATER_VERTEX = `
+  vWaterDepth = waterDepth;
+  vWaterWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;
+  vWaterNormal = normal;
+`;
+
+const WATER_FRAGMENT_PARS = `
+uniform float waterTime;
+uniform vec3 skyTop;
+uniform vec3 skyBottom;
+uniform vec3 sunDirection;
+uniform float sunStrength;
+uniform vec3 shallowColor;
+uniform vec3 deepColor;
+varying float vWaterDepth;
+varying vec3 vWaterWorld;
+varying vec3 vWaterNormal;
+
+// Surface normal from a few travelling waves
+vec3 waterWaveNormal(vec2 p) {
+  float t = waterTime;
+  vec2 d = vec2(cos(p.x * 0.9 + t * 1.3), cos(p.y * 0.7 + t * 1.1)) * 0.06;
+  d += vec2(cos((p.x + p.y) * 1.7 - t * 1.9), cos((p.x - p.y) * 1.5 + t * 1.6)) * 0.04;
+  d += vec2(sin(dot(p, vec2(3.1, 2.3)) + t * 2.7)) * 0.02;
+  return normalize(vec3(d.x, 1.0, d.y));
+}
+`;
+
+const WATER_ABSORPTION = `
+  float waterDeep = 1.0 - exp(-max(vWaterDepth - 1.0, 0.0) * ${ABSORPTION.toFixed(2)});
+  diffuseColor.rgb *= mix(shallowColor, deepColor, waterDeep);
+  diffuseColor.a = mix(0.55, 0.9, waterDeep);
+`;
+
+const WATER_REFLECTION = `
+  {
+    vec3 toEye = normalize(cameraPosition - vWaterWorld);
+    // Only the upper side of the surface reflects the sky
+    if (dot(vWaterNormal, toEye) > 0.0) {
+      vec3 n = vWaterNormal.y > 0.5 ? waterWaveNormal(vWaterWorld.xz) : normalize(vWaterNormal);
+      float fresnel = 0.02 + 0.98 * pow(1.0 - clamp(dot(n, toEye), 0.0, 1.0), 5.0);
+      vec3 r = reflect(-toEye, n);
+      vec3 sky = mix(skyBottom, skyTop, pow(max(r.y, 0.0), 0.5));
+      float sun = pow(max(dot(r, sunDirection), 0.0), 200.0) * sunStrength;
+      outgoingLight = mix(outgoingLight, sky, fresnel) + vec3(sun);
+      diffuseColor.a = min(1.0, mix(diffuseColor.a, 1.0, fresnel) + sun);
+    }
+  }
+`;
+
+/**
+ * Fancy water material over the atlas. Expects the `waterDepth` vertex
+ * attribute (water blocks from the vertex down to the floor).
+ */
+export function createWaterMaterial(atlas) {
+  const material = new THREE.MeshLambertMaterial({
+    map: atlas.texture, vertexColors: true, transparent: true, side: THREE.DoubleSide, depthWrite: false,
+  });
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms, {
+      shallowColor: { value: SHALLOW_COLOR },
+      deepColor: { value: DEEP_COLOR },
+    });
+    shader.vertexShader = WATER_VERTEX_PARS +
+      shader.vertexShader.replace('#include <project_vertex>', '#include <project_vertex>\n' + WATER_VERTEX);
+    shader.fragmentShader = WATER_FRAGMENT_PARS + shader.fragmentShader
+      .replace('#include <color_fragment>', '#include <color_fragment>\n' + WATER_ABSORPTION)
+      .replace('#include <opaque_fragment>', WATER_REFLECTION + '#include <opaque_fragment>');
+  };
+  material.customProgramCacheKey = () => 'fancy-water';
+  return material;
+}
+
+// Fast water: flat tint and opacity
+export function createFastWaterMaterial(atlas) {
+  return new THREE.MeshLambertMaterial({
+    map: atlas.texture, vertexColors: true, transparent: true,
+    opacity: 0.65, side: THREE.DoubleSide, color: FAST_COLOR, depthWrite: false,
+  });
+}
+
+// Tileable caustics pattern, brightest along the bright bands
+const CAUSTICS_FRAGMENT_PARS = `
+uniform float waterTime;
+uniform float causticsStrength;
+varying vec3 vCausticsWorld;
+varying float vCausticsUp;
+
+float causticsPattern(vec2 uv, float t) {
+  vec2 p = mod(uv * 6.2831853, 6.2831853) - 250.0;
+  vec2 i = p;
+  float c = 1.0;
+  for (int n = 0; n < 4; n++) {
+    float tn = t * (1.0 - 3.5 / float(n + 1));
+    i = p + vec2(cos(tn - i.x) + sin(tn + i.y), sin(tn - i.y) + cos(tn + i.x));
+    c += 1.0 / length(vec2(p.x / (sin(i.x + tn) / 0.005), p.y / (cos(i.y + tn) / 0.005)));
+  }
+  c = 1.17 - pow(c / 4.0, 1.4);
+  return pow(abs(c), 8.0);
+}
+`;
+
+const CAUSTICS_FRAGMENT = `
+  if (causticsStrength > 0.0) {
+    // Strongest on surfaces facing up, where light from the surface lands
+    float facing = 0.35 + 0.65 * max(vCausticsUp, 0.0);
+    outgoingLight += diffuseColor.rgb * causticsPattern(vCausticsWorld.xz * 0.25, waterTime * 0.5) * causticsStrength * facing;
+  }
+`;
+
+// Add underwater caustics to a Lambert material, keeping any shader patch
+// it already has
+export function addCaustics(material) {
+  const baseCompile = material.onBeforeCompile;
+  const baseKey = material.customProgramCacheKey();
+  material.onBeforeCompile = (shader, renderer) => {
+    baseCompile.call(material, shader, renderer);
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = 'varying vec3 vCausticsWorld;\nvarying float vCausticsUp;\n' +
+      shader.vertexShader.replace('#include <project_vertex>', `#include <project_vertex>
+  vCausticsWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;
+  vCausticsUp = normal.y;`);
+    shader.fragmentShader = CAUSTICS_FRAGMENT_PARS +
+      shader.fragmentShader.replace('#include <opaque_fragment>', CAUSTICS_FRAGMENT + '#include <opaque_fragment>');
+  };
+  material.customProgramCacheKey = () => `${baseKey}+caustics`;
+  return material;
+}
+
+const underwaterFog = new THREE.FogExp2(UNDERWATER_FOG, UNDERWATER_FOG_DENSITY);
+const underwaterColor = new THREE.Color();
+
+/**
+ * Per-frame water state: animate the surface, follow the sky's colours and
+ * sun, and switch the scene to underwater fog and caustics while the
+ * camera is submerged. Returns the colour to clear to while underwater, or
+ * null above water.
+ */
+export function updateWater(dt, sky, scene, { underwater, fancy }) {
+  uniforms.waterTime.value += dt;
+  // The sky dome writes its colours straight to the screen, so convert them
+  // to match when they go through the lit, colour-managed water material
+  uniforms.skyTop.value.copy(sky.topColor).convertSRGBToLinear();
+  uniforms.skyBottom.value.copy(sky.bottomColor).convertSRGBToLinear();
+  uniforms.sunDirection.value.copy(sky.sunDirection);
+  uniforms.sunStrength.value = sky.dayFactor ?? 1;
+  uniforms.causticsStrength.value = underwater && fancy ? CAUSTICS_STRENGTH * (0.25 + 0.75 * (sky.dayFactor ?? 1)) : 0;
+
+  if (!underwater) return null;
+  underwaterColor.copy(UNDERWATER_FOG).multiplyScalar(0.3 + 0.7 * (sky.dayFactor ?? 1));
+  underwaterFog.color.copy(underwaterColor);
+  scene.fog = underwaterFog;
+  return underwaterColor;
+}
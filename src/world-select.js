@@ -0,0 +1,195 @@
+import { WorldSlots, parseSeed } from './worlds.js';
+import { duplicateWorld, deleteWorld, exportWorld, importWorld } from './save.js';
+
+function formatDate(time) {
+  if (!time) return 'Never played';
+  return new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// World list overlay: play, rename, duplicate, export, delete, create and
+// import world slots.
+// Opening or deleting the loaded world goes through `save`/`close` from main
+// and then reloads the page, since the active world is fixed per page load.
+// `loaded` is false when the active world failed to load; opening it retries.
+export class WorldSelect {
+  constructor(menu, { save, close, loaded = true }) {
+    this.menu = menu;
+    this.save = save;
+    this.close = close;
+    this.loaded = loaded;
+    this._busy = false;
+    this._createMode = 'creative';
+
+    this.listEl = document.getElementById('world-list');
+    this.titleNameEl = document.getElementById('title-world-name');
+    this.nameInput = document.getElementById('world-name-input');
+    this.seedInput = document.getElementById('world-seed-input');
+    this.modeBtn = document.getElementById('btn-world-create-mode');
+
+    this.modeBtn.addEventListener('click', () => {
+      this._createMode = this._createMode === 'creative' ? 'survival' : 'creative';
+      this.modeBtn.textContent = this._createMode === 'creative' ? 'Creative' : 'Survival';
+    });
+    document.getElementById('btn-world-create').addEventListener('click', () => this._create());
+
+    this.importInput = document.getElementById('world-import-input');
+    document.getElementById('btn-world-import').addEventListener('click', () => {
+      if (!this._busy) this.importInput.click();
+    });
+    this.importInput.addEventListener('change', () => this._import());
+
+    document.addEventListener('game-state-change', (e) => {
+      if (e.detail.state === 'worlds') this._render();
+    });
+
+    this._updateTitle();
+  }
+
+  _updateTitle() {
+    const active = WorldSlots.active();
+    this.titleNameEl.textContent = active ? active.name : '';
+  }
+
+  _render() {
+    this.listEl.innerHTML = '';
+    for (const record of WorldSlots.list()) {
+      const active = WorldSlots.isActive(record.id);
+      const row = document.createElement('div');
+      row.className = active ? 'world-row active' : 'world-row';
+
+      const info = document.createElement('div');
+      info.className = 'world-info';
+      const name = document.createElement('div');
+      name.className = 'world-name';
+      name.textContent = record.name;
+      const meta = document.createElement('div');
+      meta.className = 'world-meta';
+      const mode = record.gameMode === 'survival' ? 'Survival' : 'Creative';
+      meta.textContent = `${mode} · Seed ${record.seed} · ${active ? 'Loaded' : formatDate(record.lastPlayed)}`;
+      info.append(name, meta);
+      row.appendChild(info);
+
+      row.appendChild(this._button('Play', () => this._open(record.id)));
+      row.appendChild(this._button('Rename', () => this._rename(record.id)));
+      row.appendChild(this._button('Copy', () => this._duplicate(record.id)));
+      row.appendChild(this._button('Export', () => this._export(record.id)));
+      row.appendChild(this._button('Delete', () => this._delete(record.id)));
+      this.listEl.appendChild(row);
+    }
+  }
+
+  _button(label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'menu-btn';
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      if (this._busy) return;
+      this._busy = true;
+      Promise.resolve(onClick())
+        .catch((err) => {
+          console.error(`World ${label.toLowerCase()} failed`, err);
+          alert(`Could not ${label.toLowerCase()} the world: ${err.message || err}`);
+        })
+        .finally(() => { this._busy = false; });
+    });
+    return btn;
+  }
+
+  async _open(id) {
+    if (WorldSlots.isActive(id) && this.loaded) {
+      this.menu.play();
+      return;
+    }
+    // Persist the loaded world before handing the page over to another one
+    await this.save();
+    this.close();
+    WorldSlots.select(id);
+    location.reload();
+  }
+
+  _rename(id) {
+    const record = WorldSlots.get(id);
+    const name = prompt('World name', record.name);
+    if (name === null || !WorldSlots.rename(id, name)) return;
+    this._updateTitle();
+    this._render();
+  }
+
+  async _duplicate(id) {
+    // Flush the loaded world first so the copy matches what is on screen
+    if (WorldSlots.isActive(id)) await this.save();
+    await duplicateWorld(id);
+    this._render();
+  }
+
+  async _export(id) {
+    if (WorldSlots.isActive(id)) await this.save();
+    const blob = await exportWorld(id);
+    const name = WorldSlots.get(id).name.replace(/[^\w\- ]+/g, '').trim() || 'world';
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}.cbworld`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  async _import() {
+    const file = this.importInput.files[0];
+    this.importInput.value = '';
+    if (!file || this._busy) return;
+    this._busy = true;
+    try {
+      const record = await importWorld(file, {
+        // Custom textures are shared by every world
+        replaceTextures: names => confirm(
+          `This world comes with different versions of your custom textures: ${names.slice(0, 5).join(', ')}`
+          + `${names.length > 5 ? ` and ${names.length - 5} more` : ''}. Replace yours?`),
+      });
+      this._render();
+      alert(`Imported "${record.name}".`);
+    } catch (err) {
+      console.error('World import failed', err);
+      alert(err.message || String(err));
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  async _delete(id) {
+    const record = WorldSlots.get(id);
+    if (!confirm(`Delete "${record.name}"? This cannot be undone.`)) return;
+    if (WorldSlots.isActive(id)) {
+      this.close();
+      await deleteWorld(id);
+      location.reload();
+      return;
+    }
+    await deleteWorld(id);
+    this._render();
+  }
+
+  async _create() {
+    if (this._busy) return;
+    this._busy = true;
+    let record = null;
+    try {
+      record = WorldSlots.create({
+        name: this.nameInput.value,
+        seed: parseSeed(this.seedInput.value),
+        gameMode: this._createMode,
+      });
+      this.nameInput.value = '';
+      this.seedInput.value = '';
+      await this._open(record.id);
+    } catch (err) {
+      console.error('Failed to open new world', err);
+      // Don't leave the half-made world in the list
+      if (record) await deleteWorld(record.id).catch(() => WorldSlots.removeRecord(record.id));
+      alert(`Could not open the new world: ${err.message || err}`);
+      this._render();
+    } finally {
+      this._busy = false;
+    }
+  }
+}
@@ -1,25 +1,27 @@
-import { SimplexNoise } from './noise.js';
 import { BlockType, BlockData, isWaterBlock } from './blocks.js';
 import { VillageGenerator } from './village.js';
+import { TerrainGenerator, CHUNK_SIZE, WORLD_HEIGHT, SEA_LEVEL } from './terrain.js';
+import { ALL_SECTIONS, createSections, updateSectionCounts, sectionsAround } from './sections.js';
+import { LightEngine, createLight } from './lighting.js';
+import { blockBoxes } from './block-shapes.js';
 
-export const CHUNK_SIZE = 16;
-export const WORLD_HEIGHT = 128;
-const SEA_LEVEL = 40;
+export { CHUNK_SIZE, WORLD_HEIGHT };
 
 export class World {
   constructor(seed = 12345) {
     this.seed = seed;
     this.chunks = new Map();
-    this.noise = new SimplexNoise(seed);
-    this.noise2 = new SimplexNoise(seed * 7 + 3);
-    this.noise3 = new SimplexNoise(seed * 13 + 7);
-    this.treeNoise = new SimplexNoise(seed * 17 + 11);
+    this.terrain = new TerrainGenerator(seed);
+    this.terrainPool = null; // optional TerrainWorkerPool; generate on this thread without one
     this.villageGen = new VillageGenerator(seed);
     this.placedVillages = new Set(); // track which villages have been placed
+    this.chunkStore = null; // optional ChunkStore for persisted chunks
+    this.lighting = new LightEngine(this);
     this._waterQueue = [];
     this._waterVisited = new Set();
     this._waterTimer = 0;
     this._waterUpdates = 0;
+    this._unseededWater = new Set(); // freshly generated chunks awaiting seedNewChunkWater
   }
 
   chunkKey(cx, cz) {
@@ -30,156 +32,103 @@ export class World {
     return this.chunks.get(this.chunkKey(cx, cz));
   }
 
-  generateChunk(cx, cz) {
+  // Load or generate a chunk on the main thread. `biome` is passed in when a
+  // worker has already worked it out for the saved copy.
+  generateChunk(cx, cz, biome = null) {
     const key = this.chunkKey(cx, cz);
     if (this.chunks.has(key)) return this.chunks.get(key);
 
-    const blocks = new Uint8Array(CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE);
-    const chunk = { cx, cz, blocks, dirty: true, mesh: null, waterMesh: null };
-
-    const wx = cx * CHUNK_SIZE;
-    const wz = cz * CHUNK_SIZE;
-
-    // Generate terrain height map and populate blocks
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-      for (let z = 0; z < CHUNK_SIZE; z++) {
-        const worldX = wx + x;
-        const worldZ = wz + z;
+    // Prefer the saved copy so edits survive the chunk being unloaded
+    const stored = this.chunkStore?.take(key);
+    if (stored) {
+      const chunk = this.loadChunkFromData(cx, cz, stored.blocks, stored.meta, biome ?? this.terrain.biomes(cx, cz));
+      this._markNeighborsDirty(cx, cz);
+      return chunk;
+    }
+    // Saved but no longer in memory, as when its eviction write lands while
+    // a worker works out its biome: leave it for the chunk loader to read
+    // back instead of regenerating over the edits
+    if (this.chunkStore && !this.chunkStore.isReady(key)) return null;
 
-        // Multi-octave terrain height
-        const continentalness = this.noise.fbm2D(worldX * 0.001, worldZ * 0.001, 4, 2, 0.5);
-        const erosion = this.noise.fbm2D(worldX * 0.004, worldZ * 0.004, 6, 2, 0.5);
-        const detail = this.noise2.fbm2D(worldX * 0.02, worldZ * 0.02, 3, 2, 0.45);
+    const generated = this.terrain.generate(cx, cz);
+    return this.addGeneratedChunk(cx, cz, generated.blocks, generated.biome);
+  }
 
-        // Asymmetric continental contribution: full strength above sea level,
-        // but weak below to prevent vast ocean basins (scale 0.001 = ~1000 block features)
-        const cContrib = continentalness > 0 ? continentalness * 12 : continentalness * 2;
-        let rawHeight = cContrib + erosion * 6 + detail * 3;
+  // Ask for a chunk without blocking: the worker pool generates it, or works
+  // out the biome of its saved copy, and it arrives via addFromPool.
+  // Callers must wait for chunkStore.isReady(key) before requesting.
+  requestChunk(cx, cz) {
+    const key = this.chunkKey(cx, cz);
+    if (this.chunks.has(key)) return;
+    if (!this.terrainPool) {
+      this.generateChunk(cx, cz);
+      return;
+    }
+    this.terrainPool.request(cx, cz, !!this.chunkStore?.has(key));
+  }
 
-        // Compress remaining underwater depth so lakes are shallow and self-contained
-        if (rawHeight < 0) {
-          rawHeight = Math.max(-3, rawHeight * 0.25);
-        }
+  // Insert a chunk drained from the worker pool: generated terrain, or the
+  // saved copy with the biome a worker worked out for it
+  addFromPool({ cx, cz, blocks, biome }) {
+    if (blocks) return this.addGeneratedChunk(cx, cz, blocks, biome);
+    return this.generateChunk(cx, cz, biome);
+  }
 
-        let height = SEA_LEVEL + rawHeight;
-        height = Math.floor(height);
-        height = Math.max(1, Math.min(WORLD_HEIGHT - 2, height));
-
-        // Biome determination
-        const temp = this.noise3.fbm2D(worldX * 0.002 + 500, worldZ * 0.002 + 500, 3);
-        const moisture = this.noise3.fbm2D(worldX * 0.002 + 1000, worldZ * 0.002 + 1000, 3);
-
-        const isBeach = height >= SEA_LEVEL - 1 && height <= SEA_LEVEL + 2;
-        const isDesert = temp > 0.3 && moisture < -0.1;
-        const isSnow = temp < -0.4;
-
-        for (let y = 0; y < WORLD_HEIGHT; y++) {
-          const idx = (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
-
-          if (y === 0) {
-            blocks[idx] = BlockType.BEDROCK;
-          } else if (y < height - 4) {
-            // Deep underground: stone with ores
-            blocks[idx] = BlockType.STONE;
-
-            // Cave generation using 3D noise
-            const cave1 = this.noise.noise3D(worldX * 0.03, y * 0.05, worldZ * 0.03);
-            const cave2 = this.noise2.noise3D(worldX * 0.04, y * 0.04, worldZ * 0.04);
-            if (Math.abs(cave1) < 0.08 && Math.abs(cave2) < 0.08 && y > 5 && y < height - 8) {
-              blocks[idx] = BlockType.AIR;
-              continue;
-            }
+  // Insert freshly generated terrain (from generateChunk or a worker)
+  addGeneratedChunk(cx, cz, blocks, biome) {
+    const key = this.chunkKey(cx, cz);
+    if (this.chunks.has(key)) return this.chunks.get(key);
 
-            // Ore generation
-            if (y < 20) {
-              const oreVal = this.noise3.noise3D(worldX * 0.1, y * 0.1, worldZ * 0.1);
-              if (oreVal > 0.6) blocks[idx] = BlockType.IRON_ORE;
-            }
-            if (y < 12) {
-              const goldVal = this.noise3.noise3D(worldX * 0.12 + 250, y * 0.12, worldZ * 0.12 + 250);
-              if (goldVal > 0.72) blocks[idx] = BlockType.GOLD_ORE;
-            }
-            if (y < 50) {
-              const coalVal = this.noise3.noise3D(worldX * 0.08 + 100, y * 0.08, worldZ * 0.08 + 100);
-              if (coalVal > 0.55) blocks[idx] = BlockType.COAL_ORE;
-            }
-            // Gravel patches
-            const gravelVal = this.noise2.noise3D(worldX * 0.06, y * 0.06, worldZ * 0.06);
-            if (gravelVal > 0.65 && y < 40) blocks[idx] = BlockType.GRAVEL;
-          } else if (y < height) {
-            // Near surface
-            if (isDesert || isBeach) {
-              blocks[idx] = BlockType.SAND;
-            } else {
-              blocks[idx] = BlockType.DIRT;
-            }
-          } else if (y === height) {
-            // Surface
-            if (isDesert) {
-              blocks[idx] = BlockType.SAND;
-            } else if (isBeach && height <= SEA_LEVEL + 1) {
-              blocks[idx] = BlockType.SAND;
-            } else if (isSnow) {
-              blocks[idx] = BlockType.SNOW;
-            } else {
-              blocks[idx] = BlockType.GRASS;
-            }
-          } else if (y <= SEA_LEVEL && y > height) {
-            blocks[idx] = BlockType.WATER;
-          }
-        }
+    const chunk = this._createChunk(cx, cz, blocks, new Uint8Array(blocks.length), biome);
+    this.chunks.set(key, chunk);
+    this.lighting.initChunk(chunk);
+    this._unseededWater.add(key);
+    this._markNeighborsDirty(cx, cz);
 
-        // Tree generation
-        if (height > SEA_LEVEL + 1 && !isDesert && !isBeach && !isSnow) {
-          const treeVal = this.treeNoise.noise2D(worldX * 0.5, worldZ * 0.5);
-          if (treeVal > 0.6 && x > 2 && x < CHUNK_SIZE - 3 && z > 2 && z < CHUNK_SIZE - 3) {
-            this._placeTree(blocks, x, height + 1, z);
-          }
-        }
-      }
-    }
+    return chunk;
+  }
 
-    this.chunks.set(key, chunk);
+  // `blocks` holds 16-bit block ids and `meta` each block's metadata byte
+  // (see blocks.js); `dirty` is a bitmask of sections to remesh (see
+  // sections.js); `light` is filled by the LightEngine once the chunk is in
+  // the world; `biome` holds each column's climate for tinting (biome.js),
+  // which follows from the seed, so it comes from the terrain generator
+  // rather than the save
+  _createChunk(cx, cz, blocks, meta, biome) {
+    return {
+      cx, cz, blocks, meta, light: createLight(), sections: createSections(blocks), biome,
+      dirty: ALL_SECTIONS, modified: false,
+    };
+  }
 
-    // Mark adjacent chunks dirty so they rebuild faces at the shared border
+  // Mark adjacent chunks dirty so they rebuild faces at the shared border
+  _markNeighborsDirty(cx, cz) {
     for (const [dx, dz] of [[1,0],[-1,0],[0,1],[0,-1]]) {
       const nc = this.getChunk(cx + dx, cz + dz);
-      if (nc) nc.dirty = true;
+      if (nc) nc.dirty = ALL_SECTIONS;
     }
-
-    return chunk;
   }
 
-  _placeTree(blocks, x, y, z) {
-    const trunkHeight = 4 + Math.floor(Math.random() * 3);
-
-    // Check we have room
-    if (y + trunkHeight + 3 >= WORLD_HEIGHT) return;
-
-    // Trunk
-    for (let dy = 0; dy < trunkHeight; dy++) {
-      const idx = (x * WORLD_HEIGHT + (y + dy)) * CHUNK_SIZE + z;
-      blocks[idx] = BlockType.OAK_LOG;
-    }
+  // Write a block into a chunk, keeping section counts and dirty bits current
+  _writeBlock(chunk, lx, y, lz, type, meta) {
+    const index = (lx * WORLD_HEIGHT + y) * CHUNK_SIZE + lz;
+    updateSectionCounts(chunk.sections, y, chunk.blocks[index], type);
+    chunk.blocks[index] = type;
+    chunk.meta[index] = meta;
+    chunk.dirty |= sectionsAround(y);
+    chunk.modified = true;
+  }
 
-    // Leaves (spherical-ish shape)
-    const leafStart = y + trunkHeight - 2;
-    const leafEnd = y + trunkHeight + 2;
-    for (let ly = leafStart; ly <= leafEnd; ly++) {
-      const radius = ly < leafEnd - 1 ? 2 : 1;
-      for (let lx = -radius; lx <= radius; lx++) {
-        for (let lz = -radius; lz <= radius; lz++) {
-          if (Math.abs(lx) === radius && Math.abs(lz) === radius) continue; // Skip corners
-          const bx = x + lx;
-          const bz = z + lz;
-          if (bx < 0 || bx >= CHUNK_SIZE || bz < 0 || bz >= CHUNK_SIZE) continue;
-          if (ly < 0 || ly >= WORLD_HEIGHT) continue;
-          const idx = (bx * WORLD_HEIGHT + ly) * CHUNK_SIZE + bz;
-          if (blocks[idx] === BlockType.AIR) {
-            blocks[idx] = BlockType.OAK_LEAVES;
-          }
-        }
-      }
+  // Remove a chunk from memory, flushing unsaved edits to the chunk store first
+  unloadChunk(key) {
+    const chunk = this.chunks.get(key);
+    if (!chunk) return;
+    this.chunks.delete(key);
+    this._unseededWater.delete(key);
+    if (this.chunkStore) {
+      this.chunkStore.evict(chunk).catch((err) => {
+        console.error(`Failed to save chunk ${key}`, err);
+      });
     }
   }
 
@@ -217,16 +166,23 @@ export class World {
       if (!allLoaded) continue;
 
       this.placedVillages.add(key);
+      // Light the village's chunks once it is built rather than per block
+      const touched = new Set();
       this.villageGen.placeVillage(
         village,
         (x, z) => this.getSurfaceHeight(x, z),
-        (x, y, z, type) => this._setBlockDirect(x, y, z, type)
+        (x, y, z, type, meta) => {
+          const chunk = this._setBlockDirect(x, y, z, type, meta);
+          if (chunk) touched.add(chunk);
+        }
       );
+      this.lighting.relightChunks(touched);
     }
   }
 
-  // Set block without marking dirty (used during generation)
-  _setBlockDirect(x, y, z, type) {
+  // Set block without marking neighbouring chunks dirty or updating light
+  // (used during generation). Returns the chunk written to, if loaded.
+  _setBlockDirect(x, y, z, type, meta = 0) {
     if (y < 0 || y >= WORLD_HEIGHT) return;
     const cx = Math.floor(x / CHUNK_SIZE);
     const cz = Math.floor(z / CHUNK_SIZE);
@@ -234,14 +190,15 @@ export class World {
     if (!chunk) return;
     const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
     const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    chunk.blocks[(lx * WORLD_HEIGHT + y) * CHUNK_SIZE + lz] = type;
-    chunk.dirty = true;
+    this._writeBlock(chunk, lx, y, lz, type, meta);
+    return chunk;
   }
 
-  loadChunkFromData(cx, cz, blocks) {
+  loadChunkFromData(cx, cz, blocks, meta, biome) {
     const key = this.chunkKey(cx, cz);
-    const chunk = { cx, cz, blocks, dirty: true, mesh: null, waterMesh: null };
+    const chunk = this._createChunk(cx, cz, blocks, meta, biome);
     this.chunks.set(key, chunk);
+    this.lighting.initChunk(chunk);
     return chunk;
   }
 
@@ -256,7 +213,17 @@ export class World {
     return chunk.blocks[(lx * WORLD_HEIGHT + y) * CHUNK_SIZE + lz];
   }
 
-  setBlock(x, y, z, type) {
+  // Metadata byte of the block at (x, y, z); 0 outside loaded chunks
+  getMeta(x, y, z) {
+    if (y < 0 || y >= WORLD_HEIGHT) return 0;
+    const chunk = this.getChunk(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+    if (!chunk) return 0;
+    const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    return chunk.meta[(lx * WORLD_HEIGHT + y) * CHUNK_SIZE + lz];
+  }
+
+  setBlock(x, y, z, type, meta = 0) {
     if (y < 0 || y >= WORLD_HEIGHT) return;
     const cx = Math.floor(x / CHUNK_SIZE);
     const cz = Math.floor(z / CHUNK_SIZE);
@@ -264,14 +231,15 @@ export class World {
     if (!chunk) return;
     const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
     const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    chunk.blocks[(lx * WORLD_HEIGHT + y) * CHUNK_SIZE + lz] = type;
-    chunk.dirty = true;
-
-    // Mark adjacent chunks dirty if on border
-    if (lx === 0) { const nc = this.getChunk(cx - 1, cz); if (nc) nc.dirty = true; }
-    if (lx === CHUNK_SIZE - 1) { const nc = this.getChunk(cx + 1, cz); if (nc) nc.dirty = true; }
-    if (lz === 0) { const nc = this.getChunk(cx, cz - 1); if (nc) nc.dirty = true; }
-    if (lz === CHUNK_SIZE - 1) { const nc = this.getChunk(cx, cz + 1); if (nc) nc.dirty = true; }
+    this._writeBlock(chunk, lx, y, lz, type, meta);
+    this.lighting.update(x, y, z);
+
+    // Mark the same sections of adjacent chunks dirty if on border
+    const sections = sectionsAround(y);
+    if (lx === 0) { const nc = this.getChunk(cx - 1, cz); if (nc) nc.dirty |= sections; }
+    if (lx === CHUNK_SIZE - 1) { const nc = this.getChunk(cx + 1, cz); if (nc) nc.dirty |= sections; }
+    if (lz === 0) { const nc = this.getChunk(cx, cz - 1); if (nc) nc.dirty |= sections; }
+    if (lz === CHUNK_SIZE - 1) { const nc = this.getChunk(cx, cz + 1); if (nc) nc.dirty |= sections; }
   }
 
   flowWater(x, y, z) {
@@ -281,8 +249,6 @@ export class World {
     this._waterQueue.push([x, y, z, 0]);
   }
 
-  static _WATER_LEVELS = [BlockType.WATER_25, BlockType.WATER_50, BlockType.WATER_75, BlockType.WATER];
-
   updateWater(dt) {
     if (this._waterQueue.length === 0) return false;
 
@@ -295,17 +261,18 @@ export class World {
       const [bx, by, bz, hDist] = this._waterQueue.shift();
       const current = this.getBlock(bx, by, bz);
 
-      // Determine next water level for this block
-      const levels = World._WATER_LEVELS;
-      let levelIdx = levels.indexOf(current);
-      if (levelIdx === -1) {
-        // Block is AIR — start at level 0 (WATER_25)
-        if (current !== BlockType.AIR) continue;
-        levelIdx = -1;
+      // Water fills a quarter at a time; metadata 0 is full (see blocks.js)
+      let level;
+      if (current === BlockType.AIR) {
+        level = 0;
+      } else if (isWaterBlock(current)) {
+        level = this.getMeta(bx, by, bz) || 4;
+      } else {
+        continue;
       }
 
       // Already full water — nothing to do
-      if (current === BlockType.WATER) continue;
+      if (level === 4) continue;
 
       // Check if any neighbor (above + 4 horizontal) is water source
       const hasWaterNeighbor =
@@ -319,11 +286,11 @@ export class World {
 
       // If water is directly above, fill instantly (gravity)
       const waterAbove = isWaterBlock(this.getBlock(bx, by + 1, bz));
-      const nextLevel = waterAbove ? BlockType.WATER : levels[levelIdx + 1];
-      this.setBlock(bx, by, bz, nextLevel);
+      const nextLevel = waterAbove ? 4 : level + 1;
+      this.setBlock(bx, by, bz, BlockType.WATER, nextLevel % 4);
       this._waterUpdates++;
 
-      if (nextLevel !== BlockType.WATER) {
+      if (nextLevel !== 4) {
         // Not yet full — re-enqueue to keep filling
         this._waterQueue.push([bx, by, bz, hDist]);
       } else {
@@ -358,19 +325,38 @@ export class World {
     return false;
   }
 
-  // Run once after world generation to fill air gaps adjacent to water
-  seedInitialWaterFlow() {
+  // Fill air gaps next to water in freshly generated chunks. A chunk is only
+  // seeded once all four neighbours are loaded, since the fill crosses borders;
+  // call again whenever new chunks arrive. Returns true if any were seeded.
+  seedNewChunkWater() {
+    const ready = [];
+    for (const key of this._unseededWater) {
+      const chunk = this.chunks.get(key);
+      const { cx, cz } = chunk;
+      if (this.getChunk(cx + 1, cz) && this.getChunk(cx - 1, cz)
+          && this.getChunk(cx, cz + 1) && this.getChunk(cx, cz - 1)) {
+        ready.push(chunk);
+      }
+    }
+    if (ready.length === 0) return false;
+    for (const chunk of ready) this._unseededWater.delete(this.chunkKey(chunk.cx, chunk.cz));
+    this._seedWaterFlow(ready);
+    return true;
+  }
+
+  _seedWaterFlow(chunks) {
     const queue = [];
     const visited = new Set();
 
-    // Scan all chunks for water blocks with air horizontal/below
-    for (const chunk of this.chunks.values()) {
+    // Scan the chunks for water blocks with air horizontal/below
+    for (const chunk of chunks) {
       const wx = chunk.cx * CHUNK_SIZE;
       const wz = chunk.cz * CHUNK_SIZE;
       for (let x = 0; x < CHUNK_SIZE; x++) {
         for (let z = 0; z < CHUNK_SIZE; z++) {
           for (let y = 0; y < WORLD_HEIGHT; y++) {
-            if (chunk.blocks[(x * WORLD_HEIGHT + y) * CHUNK_SIZE + z] !== BlockType.WATER) continue;
+            const i = (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
+            if (chunk.blocks[i] !== BlockType.WATER || chunk.meta[i] !== 0) continue;
             const worldX = wx + x;
             const worldZ = wz + z;
             for (const [dx, dy, dz] of [[1,0,0],[-1,0,0],[0,0,1],[0,0,-1],[0,-1,0]]) {
@@ -433,6 +419,35 @@ export class World {
     return BlockData[block]?.transparent ?? true;
   }
 
+  /**
+   * Boxes of the block at (x, y, z) in world coordinates, for `kind`
+   * 'collision' or 'selection' (see block-shapes.js).
+   */
+  getBlockBoxes(x, y, z, kind) {
+    const local = blockBoxes(this.getBlock(x, y, z), this.getMeta(x, y, z), kind,
+      (dx, dy, dz) => this.getBlock(x + dx, y + dy, z + dz));
+    return local.map(([x0, y0, z0, x1, y1, z1]) => [x + x0, y + y0, z + z0, x + x1, y + y1, z + z1]);
+  }
+
+  // Collision boxes that overlap the given world-space box
+  collidingBoxes(minX, minY, minZ, maxX, maxY, maxZ) {
+    const hits = [];
+    // Start a block lower: fences reach up into the block above them
+    for (let bx = Math.floor(minX); bx <= Math.floor(maxX); bx++) {
+      for (let by = Math.floor(minY) - 1; by <= Math.floor(maxY); by++) {
+        for (let bz = Math.floor(minZ); bz <= Math.floor(maxZ); bz++) {
+          for (const box of this.getBlockBoxes(bx, by, bz, 'collision')) {
+            if (box[0] < maxX && box[3] > minX && box[1] < maxY && box[4] > minY &&
+                box[2] < maxZ && box[5] > minZ) {
+              hits.push(box);
+            }
+          }
+        }
+      }
+    }
+    return hits;
+  }
+
   getSpawnPoint() {
     // Spawn next to the village on dry land
     const vp = VillageGenerator.getSpawnVillagePos(this.seed);
@@ -0,0 +1,193 @@
+// World slot registry — every world has its own name, seed, game mode,
+// IndexedDB database and namespaced set of localStorage keys.
+//
+// The active world is fixed for the lifetime of the page: switching worlds
+// records the choice in localStorage and reloads, so a late autosave can
+// never write one world's state into another world's keys.
+
+const REGISTRY_KEY = 'worlds';
+const CURRENT_KEY = 'currentWorld';
+const LEGACY_DB_NAME = 'minecraft_world';
+
+// Per-world localStorage keys (stored as `world:<id>:<name>`)
+export const WORLD_KEYS = [
+  'player_pos', 'player_rot', 'player_health', 'player_flying',
+  'placedVillages', 'inventory_v3', 'manifest',
+  // Pre-inventory_v3 keys, converted by the version 2 step in migrations.js
+  'hotbar_v2', 'blockCounts', 'personalInventory',
+];
+
+function loadRegistry() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+    if (Array.isArray(arr)) return arr;
+  } catch { /* fall through */ }
+  return [];
+}
+
+function saveRegistry(list) {
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(list));
+}
+
+function newId() {
+  return Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36).padStart(2, '0');
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 999999);
+}
+
+// Numeric seeds are used as-is; any other text is hashed to a number
+export function parseSeed(text) {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') return randomSeed();
+  if (/^-?\d+$/.test(trimmed)) return Number(trimmed);
+  let h = 0;
+  for (let i = 0; i < trimmed.length; i++) {
+    h = (Math.imul(h, 31) + trimmed.charCodeAt(i)) | 0;
+  }
+  return Math.abs(h) % 999999;
+}
+
+// Adopt the single pre-slots world (global keys + 'minecraft_world' database)
+function migrateLegacyWorld(list) {
+  const legacySeed = localStorage.getItem('world_seed');
+  if (legacySeed === null) return;
+
+  const record = {
+    id: newId(),
+    name: 'My World',
+    seed: Number(legacySeed),
+    gameMode: localStorage.getItem('gameMode') || 'creative',
+    dbName: LEGACY_DB_NAME,
+    created: Date.now(),
+    lastPlayed: Date.now(),
+  };
+  for (const name of WORLD_KEYS) {
+    const value = localStorage.getItem(name);
+    if (value !== null) localStorage.setItem(slotKey(record.id, name), value);
+    localStorage.removeItem(name);
+  }
+  localStorage.removeItem('world_seed');
+  localStorage.removeItem('gameMode');
+  list.push(record);
+}
+
+function resolveActiveWorld() {
+  const list = loadRegistry();
+  if (list.length === 0) migrateLegacyWorld(list);
+  if (list.length === 0) {
+    list.push({
+      id: newId(),
+      name: 'New World',
+      seed: randomSeed(),
+      gameMode: 'creative',
+      dbName: null,
+      created: Date.now(),
+      lastPlayed: Date.now(),
+    });
+  }
+  for (const w of list) {
+    if (!w.dbName) w.dbName = `${LEGACY_DB_NAME}_${w.id}`;
+  }
+  saveRegistry(list);
+
+  const currentId = localStorage.getItem(CURRENT_KEY);
+  const active = list.find(w => w.id === currentId) || list[0];
+  localStorage.setItem(CURRENT_KEY, active.id);
+  return active.id;
+}
+
+const activeId = resolveActiveWorld();
+
+export const WorldSlots = {
+  list() {
+    return loadRegistry().sort((a, b) => (b.lastPlayed || 0) - (a.lastPlayed || 0));
+  },
+
+  get(id) {
+    return loadRegistry().find(w => w.id === id) || null;
+  },
+
+  // The world loaded in this page
+  active() {
+    return this.get(activeId);
+  },
+
+  isActive(id) {
+    return id === activeId;
+  },
+
+  // Choose which world the next page load opens
+  select(id) {
+    if (!this.get(id)) return;
+    localStorage.setItem(CURRENT_KEY, id);
+  },
+
+  create({ name, seed, gameMode }) {
+    const list = loadRegistry();
+    const id = newId();
+    const record = {
+      id,
+      name: (name || '').trim() || 'New World',
+      seed: Number.isFinite(seed) ? seed : randomSeed(),
+      gameMode: gameMode === 'survival' ? 'survival' : 'creative',
+      dbName: `${LEGACY_DB_NAME}_${id}`,
+      created: Date.now(),
+      lastPlayed: 0,
+    };
+    list.push(record);
+    saveRegistry(list);
+    return record;
+  },
+
+  update(id, fields) {
+    const list = loadRegistry();
+    const record = list.find(w => w.id === id);
+    if (!record) return null;
+    Object.assign(record, fields);
+    saveRegistry(list);
+    return record;
+  },
+
+  rename(id, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return null;
+    return this.update(id, { name: trimmed });
+  },
+
+  // Registry entry plus copied localStorage keys; the caller copies the database
+  duplicateRecord(id) {
+    const source = this.get(id);
+    if (!source) return null;
+    const copy = this.create({ name: `${source.name} (copy)`, seed: source.seed, gameMode: source.gameMode });
+    for (const name of WORLD_KEYS) {
+      const value = localStorage.getItem(slotKey(source.id, name));
+      if (value !== null) localStorage.setItem(slotKey(copy.id, name), value);
+    }
+    return copy;
+  },
+
+  // Registry entry and localStorage keys; the caller deletes the database
+  removeRecord(id) {
+    const list = loadRegistry().filter(w => w.id !== id);
+    saveRegistry(list);
+    for (const name of WORLD_KEYS) {
+      localStorage.removeItem(slotKey(id, name));
+    }
+    if (localStorage.getItem(CURRENT_KEY) === id) {
+      if (list.length > 0) localStorage.setItem(CURRENT_KEY, list[0].id);
+      else localStorage.removeItem(CURRENT_KEY);
+    }
+  },
+};
+
+// localStorage key for a piece of any world slot's state
+export function slotKey(id, name) {
+  return `world:${id}:${name}`;
+}
+
+// localStorage key for a piece of the active world's state
+export function worldKey(name) {
+  return slotKey(activeId, name);
+}
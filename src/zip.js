@@ -0,0 +1,70 @@
+// Minimal zip reader for resource packs. Handles stored and deflated entries,
+// which is what every common zip tool writes; encrypted, multi-disk and zip64
+// archives are rejected.
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+function zipError(message) {
+  return new Error(`Invalid zip file: ${message}`);
+}
+
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - EOCD_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT);
+  for (let pos = last; pos >= first; pos--) {
+    if (view.getUint32(pos, true) === EOCD_SIG) return pos;
+  }
+  throw zipError('no central directory');
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).blob();
+}
+
+/**
+ * Read every file in a zip Blob. Returns Map<path, Blob>, with directory
+ * entries left out and paths as stored ('textures/stone.png').
+ */
+export async function readZip(blob) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  const eocd = findEndOfCentralDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  if (view.getUint16(eocd + 4, true) !== 0 || pos === 0xffffffff) throw zipError('multi-disk and zip64 archives are not supported');
+
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > bytes.length || view.getUint32(pos, true) !== CENTRAL_SIG) throw zipError('corrupt central directory');
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    if (pos + 46 + nameLength > bytes.length) throw zipError('corrupt central directory');
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 1) throw zipError(`"${name}" is encrypted`);
+    if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== LOCAL_SIG) throw zipError(`corrupt entry "${name}"`);
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    if (start + compressedSize > bytes.length) throw zipError(`truncated entry "${name}"`);
+    const data = bytes.subarray(start, start + compressedSize);
+
+    if (method === 0) files.set(name, new Blob([data]));
+    else if (method === 8) files.set(name, await inflate(data));
+    else throw zipError(`"${name}" uses unsupported compression method ${method}`);
+  }
+  return files;
+}
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeChunk, decodeChunk } from '../src/chunk-codec.js';
+import { CHUNK_SIZE, WORLD_HEIGHT } from '../src/world.js';
+
+const CHUNK_BYTES = CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE;
+
+function emptyChunk() {
+  return { blocks: new Uint16Array(CHUNK_BYTES), meta: new Uint8Array(CHUNK_BYTES) };
+}
+
+function roundTrip({ blocks, meta }) {
+  const decoded = decodeChunk(encodeChunk(blocks, meta));
+  assert.deepEqual(decoded.blocks, blocks);
+  assert.deepEqual(decoded.meta, meta);
+}
+
+test('round-trips an empty chunk', () => {
+  roundTrip(emptyChunk());
+});
+
+test('round-trips layered terrain with metadata', () => {
+  const chunk = emptyChunk();
+  chunk.blocks.fill(3, 0, CHUNK_BYTES / 2);
+  chunk.blocks.fill(5, CHUNK_BYTES / 2, CHUNK_BYTES / 2 + 100);
+  chunk.meta.fill(2, CHUNK_BYTES / 2 + 50, CHUNK_BYTES / 2 + 100);
+  const encoded = encodeChunk(chunk.blocks, chunk.meta);
+  assert.ok(encoded.length < 100, `expected a small encoding, got ${encoded.length} bytes`);
+  roundTrip(chunk);
+});
+
+test('keeps 16-bit ids apart from metadata', () => {
+  // 257 with metadata 0 and 1 with metadata 1 are different states
+  const chunk = emptyChunk();
+  chunk.blocks.fill(257, 0, 10);
+  chunk.blocks.fill(1, 10, 20);
+  chunk.meta.fill(1, 10, 20);
+  chunk.blocks.fill(300, 20, 30);
+  chunk.meta.fill(7, 20, 30);
+  chunk.blocks.fill(0xffff, 30, 40);
+  chunk.meta.fill(0xff, 30, 40);
+  roundTrip(chunk);
+});
+
+test('stores noisy chunks raw and reads them back', () => {
+  const chunk = emptyChunk();
+  for (let i = 0; i < CHUNK_BYTES; i++) {
+    chunk.blocks[i] = (i * 7919) % 1000;
+    chunk.meta[i] = (i * 31) % 16;
+  }
+  const encoded = encodeChunk(chunk.blocks, chunk.meta);
+  assert.equal(encoded.length, CHUNK_BYTES * 3);
+  roundTrip(chunk);
+});
+
+test('decodes version 1 chunks with zero metadata', () => {
+  // Palette [air, stone]; half stone, half air
+  const half = CHUNK_BYTES / 2; // 16384 = varint 0x80 0x80 0x01
+  const data = Uint8Array.from([0xcb, 1, 2, 0, 3, 0x80, 0x80, 0x01, 1, 0x80, 0x80, 0x01, 0]);
+  const { blocks, meta } = decodeChunk(data);
+  assert.equal(blocks[0], 3);
+  assert.equal(blocks[half - 1], 3);
+  assert.equal(blocks[half], 0);
+  assert.ok(meta.every(m => m === 0));
+});
+
+test('decodes version 2 chunks with one-byte ids and metadata', () => {
+  const data = Uint8Array.from([0xcb, 2, 2, 5, 2, 22, 1, 10, 0, 0xf6, 0xff, 0x01, 1]);
+  const { blocks, meta } = decodeChunk(data);
+  assert.deepEqual([blocks[0], meta[0]], [5, 2]);
+  assert.deepEqual([blocks[9], meta[9]], [5, 2]);
+  assert.deepEqual([blocks[10], meta[10]], [22, 1]);
+  assert.deepEqual([blocks[CHUNK_BYTES - 1], meta[CHUNK_BYTES - 1]], [22, 1]);
+});
+
+test('decodes version 3 chunks with varint ids', () => {
+  // Palette [300 meta 4, air]
+  const data = Uint8Array.from([0xcb, 3, 2, 0xac, 0x02, 4, 0, 0, 1, 0, 0xff, 0xff, 0x01, 1]);
+  const { blocks, meta } = decodeChunk(data);
+  assert.deepEqual([blocks[0], meta[0]], [300, 4]);
+  assert.deepEqual([blocks[1], meta[1]], [0, 0]);
+  assert.equal(blocks[CHUNK_BYTES - 1], 0);
+});
+
+test('reads raw chunks from before the codec', () => {
+  const raw = new Uint8Array(CHUNK_BYTES).fill(3);
+  const { blocks, meta } = decodeChunk(raw);
+  assert.ok(blocks.every(b => b === 3));
+  assert.ok(meta.every(m => m === 0));
+});
+
+test('rejects corrupt and unknown data', () => {
+  assert.throws(() => decodeChunk(Uint8Array.from([0xcb, 9])), /version 9/);
+  assert.throws(() => decodeChunk(Uint8Array.from([0xcb, 3, 1, 1, 0, 10, 0])), /Corrupt/);
+  assert.throws(() => decodeChunk(Uint8Array.from([0xcb, 3, 1, 1, 0, 10, 5])), /Corrupt/);
+  assert.throws(() => decodeChunk(Uint8Array.from([1, 2, 3])), /Unrecognised/);
+});
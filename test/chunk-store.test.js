@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// worlds.js picks the active world slot from localStorage as it loads
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  key: i => [...storage.keys()][i] ?? null,
+  get length() { return storage.size; },
+};
+
+const { installContent } = await import('../src/content.js');
+const { BlockType } = await import('../src/blocks.js');
+const { World, CHUNK_SIZE, WORLD_HEIGHT } = await import('../src/world.js');
+const { ChunkStore } = await import('../src/save.js');
+
+const data = (file) => JSON.parse(readFileSync(new URL(`../public/data/${file}`, import.meta.url)));
+installContent({ blocks: data('blocks.json'), items: data('items.json'), recipes: data('recipes.json'), animations: data('animations.json') });
+
+// Stand-in for the world's IndexedDB database: reads answer straight away,
+// writes only land when flush() is called
+function createDB() {
+  const records = new Map();
+  const pending = [];
+  return {
+    records,
+    flush() {
+      for (const tx of pending.splice(0)) {
+        for (const [key, value] of tx.writes) records.set(key, value);
+        tx.oncomplete();
+      }
+    },
+    transaction(name, mode) {
+      const tx = {
+        writes: [],
+        objectStore: () => ({
+          put: (value, key) => tx.writes.push([key, value]),
+          get: (key) => {
+            const req = {};
+            queueMicrotask(() => {
+              req.result = records.get(key);
+              req.onsuccess();
+            });
+            return req;
+          },
+        }),
+      };
+      if (mode === 'readwrite') pending.push(tx);
+      return tx;
+    },
+    close() {},
+  };
+}
+
+// A terrain pool that hands its requests to the test
+function createPool() {
+  return {
+    requests: [],
+    request(cx, cz, stored = false) {
+      this.requests.push([cx, cz, stored]);
+    },
+  };
+}
+
+const nextTask = () => new Promise(r => setTimeout(r, 0));
+
+test('walking back into a chunk whose eviction write is in flight keeps its edits', async () => {
+  const db = createDB();
+  const store = new ChunkStore();
+  store._db = db;
+  const world = new World(12345);
+  world.chunkStore = store;
+  world.terrainPool = createPool();
+  const key = world.chunkKey(0, 0);
+  const index = (1 * WORLD_HEIGHT + 100) * CHUNK_SIZE + 1;
+
+  world.requestChunk(0, 0);
+  assert.deepEqual(world.terrainPool.requests.pop(), [0, 0, false]);
+  world.addFromPool({ cx: 0, cz: 0, ...world.terrain.generate(0, 0) });
+  world.setBlock(1, 100, 1, BlockType.STONE);
+
+  // Leave, and come back before the write lands
+  world.unloadChunk(key);
+  assert.ok(store.isReady(key));
+  world.requestChunk(0, 0);
+  assert.deepEqual(world.terrainPool.requests.pop(), [0, 0, true]);
+
+  // The write lands while the biome is on its way, taking the copy out of memory
+  db.flush();
+  await nextTask();
+  assert.equal(world.addFromPool({ cx: 0, cz: 0, blocks: null, biome: world.terrain.biomes(0, 0) }), null);
+  assert.ok(!world.chunks.has(key));
+
+  // The chunk loader reads it back and asks again
+  assert.ok(!store.isReady(key));
+  await store.fetch([key]);
+  world.requestChunk(0, 0);
+  assert.deepEqual(world.terrainPool.requests.pop(), [0, 0, true]);
+  const chunk = world.addFromPool({ cx: 0, cz: 0, blocks: null, biome: world.terrain.biomes(0, 0) });
+  assert.equal(chunk.blocks[index], BlockType.STONE);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { installContent } from '../src/content.js';
+import { BlockType } from '../src/blocks.js';
+import { LightEngine, MAX_LIGHT, createLight } from '../src/lighting.js';
+import { CHUNK_SIZE, WORLD_HEIGHT } from '../src/terrain.js';
+
+const data = (file) => JSON.parse(readFileSync(new URL(`../public/data/${file}`, import.meta.url)));
+installContent({ blocks: data('blocks.json'), items: data('items.json'), recipes: data('recipes.json'), animations: data('animations.json') });
+
+function index(x, y, z) {
+  return (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
+}
+
+// A world of loaded chunks, enough for the light engine
+function createWorld() {
+  const chunks = new Map();
+  const world = {
+    getChunk: (cx, cz) => chunks.get(`${cx},${cz}`),
+    addChunk(cx, cz, fill) {
+      const blocks = new Uint16Array(CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE);
+      fill?.(blocks);
+      const chunk = { cx, cz, blocks, light: createLight(), dirty: 0 };
+      chunks.set(`${cx},${cz}`, chunk);
+      world.lighting.initChunk(chunk);
+      return chunk;
+    },
+  };
+  world.lighting = new LightEngine(world);
+  return world;
+}
+
+const sky = (chunk, x, y, z) => chunk.light[index(x, y, z)] >> 4;
+
+test('sky light fades below leaves', () => {
+  const world = createWorld();
+  // A wide canopy at y 70 over the middle of the chunk
+  const chunk = world.addChunk(0, 0, (blocks) => {
+    for (let x = 2; x < 14; x++) {
+      for (let z = 2; z < 14; z++) blocks[index(x, 70, z)] = BlockType.OAK_LEAVES;
+    }
+  });
+  assert.equal(sky(chunk, 0, 69, 0), MAX_LIGHT);
+  assert.equal(sky(chunk, 8, 70, 8), MAX_LIGHT - 2);
+  assert.ok(sky(chunk, 8, 69, 8) < MAX_LIGHT - 2);
+  assert.ok(sky(chunk, 8, 60, 8) < sky(chunk, 8, 69, 8));
+});
+
+test('relighting chunks matches lighting them from scratch', () => {
+  const build = (blocks) => {
+    for (let y = 60; y < 66; y++) {
+      for (let a = 0; a < CHUNK_SIZE; a++) blocks[index(15, y, a)] = BlockType.STONE;
+    }
+    for (let a = 0; a < CHUNK_SIZE; a++) blocks[index(14, 66, a)] = BlockType.OAK_LEAVES;
+  };
+
+  const expected = createWorld();
+  const builtA = expected.addChunk(0, 0, build);
+  const builtB = expected.addChunk(1, 0);
+
+  const world = createWorld();
+  const a = world.addChunk(0, 0);
+  const b = world.addChunk(1, 0);
+  build(a.blocks);
+  world.lighting.relightChunks(new Set([a, b]));
+
+  assert.deepEqual(a.light, builtA.light);
+  assert.deepEqual(b.light, builtB.light);
+});
+
+// Ground at y 60 across two chunks, with a stone roof over part of the first
+// and a torch under it
+function scene(cx) {
+  return (blocks) => {
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        for (let y = 1; y <= 60; y++) blocks[index(x, y, z)] = BlockType.STONE;
+        if (cx === 0 && x >= 3 && x < 12 && z >= 3 && z < 12) blocks[index(x, 66, z)] = BlockType.STONE;
+      }
+    }
+    if (cx === 0) blocks[index(6, 61, 6)] = BlockType.TORCH;
+  };
+}
+
+// Change one block and update() around it, then check the light matches
+// lighting the changed world from scratch
+function assertUpdateMatches(x, y, z, type) {
+  const change = (cx) => (blocks) => {
+    scene(cx)(blocks);
+    if (Math.floor(x / CHUNK_SIZE) === cx) blocks[index(x - cx * CHUNK_SIZE, y, z)] = type;
+  };
+  const expected = createWorld();
+  const expectedChunks = [expected.addChunk(0, 0, change(0)), expected.addChunk(1, 0, change(1))];
+
+  const world = createWorld();
+  const chunks = [world.addChunk(0, 0, scene(0)), world.addChunk(1, 0, scene(1))];
+  const chunk = chunks[Math.floor(x / CHUNK_SIZE)];
+  chunk.blocks[index(x % CHUNK_SIZE, y, z)] = type;
+  world.lighting.update(x, y, z);
+
+  assert.deepEqual(chunks[0].light, expectedChunks[0].light);
+  assert.deepEqual(chunks[1].light, expectedChunks[1].light);
+}
+
+test('placing an opaque block updates light as if lit from scratch', () => {
+  // Shading open ground, and under the roof
+  assertUpdateMatches(1, 63, 1, BlockType.STONE);
+  assertUpdateMatches(7, 65, 7, BlockType.STONE);
+});
+
+test('breaking an opaque block updates light as if lit from scratch', () => {
+  // A hole in the roof, and one in the ground
+  assertUpdateMatches(7, 66, 7, BlockType.AIR);
+  assertUpdateMatches(2, 60, 2, BlockType.AIR);
+});
+
+test('placing an emitter updates light as if lit from scratch', () => {
+  assertUpdateMatches(9, 62, 9, BlockType.GLOWSTONE);
+  assertUpdateMatches(4, 61, 10, BlockType.TORCH);
+});
+
+test('breaking an emitter updates light as if lit from scratch', () => {
+  assertUpdateMatches(6, 61, 6, BlockType.AIR);
+});
+
+test('changes at a chunk border update both chunks', () => {
+  assertUpdateMatches(15, 61, 7, BlockType.GLOWSTONE);
+  assertUpdateMatches(16, 61, 7, BlockType.STONE);
+  assertUpdateMatches(15, 60, 8, BlockType.AIR);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMigrations, SaveMigrationError, SAVE_FORMAT_VERSION, LEGACY_BLOCK_NAMES } from '../src/migrations.js';
+import { Facing, META_TOP, META_OPEN } from '../src/blocks.js';
+import { CHUNK_SIZE, WORLD_HEIGHT } from '../src/world.js';
+
+const CHUNK_BYTES = CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE;
+
+function index(x, y, z) {
+  return (x * WORLD_HEIGHT + y) * CHUNK_SIZE + z;
+}
+
+// In-memory stand-in for the context save.js builds around a world slot
+function createContext(manifest, { state = {}, chunks = {} } = {}) {
+  const values = new Map(Object.entries(state));
+  const written = [];
+  return {
+    manifest,
+    chunks,
+    written,
+    getState: name => values.get(name) ?? null,
+    setState: (name, value) => values.set(name, value),
+    removeState: name => values.delete(name),
+    state: values,
+    async updateChunks(fn) {
+      for (const [key, chunk] of Object.entries(chunks)) {
+        const updated = fn(chunk, key);
+        if (updated) chunks[key] = updated;
+      }
+    },
+    async updateMobs() {},
+    writeManifest: m => written.push(m.formatVersion),
+  };
+}
+
+test('upgrades a v2 world to the current format', async () => {
+  const blocks = new Uint16Array(CHUNK_BYTES);
+  const meta = new Uint8Array(CHUNK_BYTES);
+  blocks[index(0, 5, 0)] = 18;  // water 50%
+  blocks[index(1, 5, 0)] = 24;  // wall torch facing south
+  blocks[index(2, 5, 0)] = 30;  // top slab
+  blocks[index(3, 10, 3)] = 43; // open door facing east...
+  blocks[index(3, 11, 3)] = 45; // ...and its top half
+  blocks[index(4, 11, 4)] = 45; // a door top with nothing under it
+  blocks[index(5, 1, 5)] = 3;   // stone stays as it is
+
+  const ctx = createContext(
+    { formatVersion: 2, chunkSize: CHUNK_SIZE, worldHeight: WORLD_HEIGHT },
+    {
+      state: { inventory_v3: JSON.stringify([{ type: 3, count: 5 }, null, { type: 1000, count: 2 }, { type: 99, count: 1 }]) },
+      chunks: { '0,0': { blocks, meta } },
+    },
+  );
+  await runMigrations(ctx);
+
+  assert.equal(ctx.manifest.formatVersion, SAVE_FORMAT_VERSION);
+  assert.deepEqual(ctx.written, [3, 4]);
+  assert.deepEqual(ctx.manifest.blockNames, LEGACY_BLOCK_NAMES);
+
+  const chunk = ctx.chunks['0,0'];
+  const at = (x, y, z) => [chunk.blocks[index(x, y, z)], chunk.meta[index(x, y, z)]];
+  assert.deepEqual(at(0, 5, 0), [5, 2]);
+  assert.deepEqual(at(1, 5, 0), [22, 1 + Facing.SOUTH]);
+  assert.deepEqual(at(2, 5, 0), [29, META_TOP]);
+  assert.deepEqual(at(3, 10, 3), [37, META_OPEN | Facing.EAST]);
+  assert.deepEqual(at(3, 11, 3), [37, META_TOP | META_OPEN | Facing.EAST]);
+  assert.deepEqual(at(4, 11, 4), [37, META_TOP]);
+  assert.deepEqual(at(5, 1, 5), [3, 0]);
+
+  assert.deepEqual(JSON.parse(ctx.getState('inventory_v3')), [
+    { type: 'minecraft:stone', count: 5 }, null, { type: 'minecraft:stick', count: 2 }, null,
+  ]);
+});
+
+test('leaves current worlds alone', async () => {
+  const ctx = createContext({ formatVersion: SAVE_FORMAT_VERSION, chunkSize: CHUNK_SIZE, worldHeight: WORLD_HEIGHT });
+  await runMigrations(ctx);
+  assert.deepEqual(ctx.written, []);
+});
+
+test('refuses worlds from newer builds and other chunk sizes', async () => {
+  await assert.rejects(
+    runMigrations(createContext({ formatVersion: SAVE_FORMAT_VERSION + 1, chunkSize: CHUNK_SIZE, worldHeight: WORLD_HEIGHT })),
+    SaveMigrationError,
+  );
+  await assert.rejects(
+    runMigrations(createContext({ formatVersion: SAVE_FORMAT_VERSION, chunkSize: 32, worldHeight: WORLD_HEIGHT })),
+    SaveMigrationError,
+  );
+});
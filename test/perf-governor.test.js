@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerfGovernor } from '../src/perf-governor.js';
+
+const SETTINGS = { renderDistance: 8, resolutionScale: 1, adaptive: true, targetFps: 60 };
+
+// Feed `seconds` of frames `interval` apart, each taking `work` of loop time
+function run(governor, seconds, interval, work = 0.002) {
+  for (let t = 0; t < seconds; t += interval) governor.update(interval, work);
+}
+
+test('steps down while frames are slow and back up once they are fast', () => {
+  const governor = new PerfGovernor(SETTINGS);
+  run(governor, 3.5, 1 / 30);
+  assert.equal(governor.level, 3);
+  run(governor, 15, 1 / 60);
+  assert.equal(governor.level, 0);
+});
+
+test('does not step up while frames miss the target, however little the loop works', () => {
+  // GPU-bound: the loop's own time looks fast, frames don't
+  const governor = new PerfGovernor(SETTINGS);
+  run(governor, 1.5, 1 / 40);
+  run(governor, 2, 1 / 55, 0.001);
+  const level = governor.level;
+  assert.ok(level > 0);
+  run(governor, 20, 1 / 55, 0.001);
+  assert.equal(governor.level, level);
+});
+
+test('aims for the refresh rate when the target is above it', () => {
+  const governor = new PerfGovernor({ ...SETTINGS, targetFps: 144 });
+  governor.refreshInterval = 1 / 60;
+  run(governor, 30, 1 / 60);
+  assert.equal(governor.level, 0);
+  assert.equal(governor.budget.resolutionScale, 1);
+});
+
+test('waits longer each time a climb has to be undone', () => {
+  // Frames are on target at level 2 and too slow at level 1
+  const governor = new PerfGovernor(SETTINGS);
+  const frame = () => (governor.level < 2 ? 1 / 40 : 1 / 60);
+  let changes = 0;
+  let last = governor.level;
+  for (let t = 0; t < 120;) {
+    const dt = frame();
+    governor.update(dt, 0.002);
+    t += dt;
+    if (governor.level !== last) {
+      changes++;
+      last = governor.level;
+    }
+  }
+  // Without backing off it would change level about every 2.5 s
+  assert.ok(changes < 16, `changed level ${changes} times`);
+});
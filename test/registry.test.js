@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Registry, SavedIdTable } from '../src/registry.js';
+
+function blocks() {
+  const registry = new Registry('block');
+  for (const name of ['air', 'stone', 'dirt', 'glass']) registry.register(name);
+  return registry;
+}
+
+test('registers namespaced names in order', () => {
+  const registry = blocks();
+  assert.equal(registry.id('minecraft:stone'), 1);
+  assert.equal(registry.name(2), 'minecraft:dirt');
+  assert.throws(() => registry.register('stone'), /Duplicate/);
+  assert.throws(() => registry.register('Bad Name'), /Invalid/);
+
+  const items = new Registry('item', { firstId: 5, limit: 6 });
+  assert.equal(items.register('stick'), 5);
+  assert.throws(() => items.register('apple'), /Too many items/);
+});
+
+test('maps saved ids to runtime ids by name', () => {
+  // The save was written when dirt came before stone
+  const table = new SavedIdTable(blocks(), ['minecraft:air', 'minecraft:dirt', 'minecraft:stone']);
+  assert.equal(table.toRuntime(1), 2);
+  assert.equal(table.toRuntime(2), 1);
+  assert.equal(table.toSaved(2), 1);
+  assert.deepEqual([...table.readIds(Uint16Array.from([0, 1, 2]))], [0, 2, 1]);
+  assert.deepEqual([...table.writeIds(Uint16Array.from([0, 2, 1, 1]))], [0, 1, 2, 2]);
+  assert.equal(table.grown, false);
+});
+
+test('reads unknown names as the fallback and keeps their slot', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const table = new SavedIdTable(blocks(), ['minecraft:air', 'minecraft:ruby_block', 'minecraft:stone']);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(table.toRuntime(1), 0);
+  assert.equal(table.toRuntime(99), 0);
+  // New content goes after the unknown name rather than into its slot
+  assert.equal(table.toSaved(3), 3);
+  assert.deepEqual(table.names, ['minecraft:air', 'minecraft:ruby_block', 'minecraft:stone', 'minecraft:glass']);
+  assert.equal(table.grown, true);
+});
+
+test('reads back ids it gave out for new names', () => {
+  // A new world's table starts empty and grows as chunks are written
+  const table = new SavedIdTable(blocks());
+  const written = table.writeIds(Uint16Array.from([1, 1, 0, 3]));
+  assert.deepEqual(table.names, ['minecraft:stone', 'minecraft:air', 'minecraft:glass']);
+  assert.deepEqual([...table.readIds(written)], [1, 1, 0, 3]);
+});
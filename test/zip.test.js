@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readZip } from '../src/zip.js';
+
+// A zip with one stored (uncompressed) file
+function storedZip(name, text) {
+  const encoder = new TextEncoder();
+  const nameBytes = encoder.encode(name);
+  const data = encoder.encode(text);
+  const local = new DataView(new ArrayBuffer(30 + nameBytes.length + data.length));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint32(18, data.length, true);
+  local.setUint32(22, data.length, true);
+  local.setUint16(26, nameBytes.length, true);
+  new Uint8Array(local.buffer).set(nameBytes, 30);
+  new Uint8Array(local.buffer).set(data, 30 + nameBytes.length);
+
+  const central = new DataView(new ArrayBuffer(46 + nameBytes.length));
+  central.setUint32(0, 0x02014b50, true);
+  central.setUint32(20, data.length, true);
+  central.setUint32(24, data.length, true);
+  central.setUint16(28, nameBytes.length, true);
+  central.setUint32(42, 0, true);
+  new Uint8Array(central.buffer).set(nameBytes, 46);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, central.byteLength, true);
+  end.setUint32(16, local.byteLength, true);
+
+  const bytes = new Uint8Array(local.byteLength + central.byteLength + end.byteLength);
+  bytes.set(new Uint8Array(local.buffer), 0);
+  bytes.set(new Uint8Array(central.buffer), local.byteLength);
+  bytes.set(new Uint8Array(end.buffer), local.byteLength + central.byteLength);
+  return { bytes, view: new DataView(bytes.buffer), centralStart: local.byteLength };
+}
+
+test('reads stored entries', async () => {
+  const { bytes } = storedZip('pack.json', '{"name":"Test"}');
+  const files = await readZip(new Blob([bytes]));
+  assert.deepEqual([...files.keys()], ['pack.json']);
+  assert.equal(await files.get('pack.json').text(), '{"name":"Test"}');
+});
+
+test('rejects out-of-range offsets and lengths as invalid zips', async () => {
+  // Local header past the end of the file
+  let zip = storedZip('a.txt', 'hello');
+  zip.view.setUint32(zip.centralStart + 42, zip.bytes.length - 4, true);
+  await assert.rejects(readZip(new Blob([zip.bytes])), /Invalid zip file: corrupt entry/);
+
+  // Entry data running past the end of the file
+  zip = storedZip('a.txt', 'hello');
+  zip.view.setUint32(zip.centralStart + 20, 0xfffff, true);
+  await assert.rejects(readZip(new Blob([zip.bytes])), /Invalid zip file: truncated entry/);
+
+  // Local name length running past the end of the file
+  zip = storedZip('a.txt', 'hello');
+  zip.view.setUint16(26, 0xffff, true);
+  await assert.rejects(readZip(new Blob([zip.bytes])), /Invalid zip file: truncated entry/);
+
+  // Central directory name running past the end of the file
+  zip = storedZip('a.txt', 'hello');
+  zip.view.setUint16(zip.centralStart + 28, 0xffff, true);
+  await assert.rejects(readZip(new Blob([zip.bytes])), /Invalid zip file: corrupt central directory/);
+
+  await assert.rejects(readZip(new Blob([new Uint8Array(10)])), /Invalid zip file: no central directory/);
+});